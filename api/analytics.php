@@ -0,0 +1,231 @@
+<?php
+/**
+ * Analytics API for Radio Adamowo
+ * Stores event batches sent by the page through the service worker outbox
+ */
+
+// Security headers
+header('Content-Type: application/json');
+header('X-Content-Type-Options: nosniff');
+header('X-Frame-Options: DENY');
+header('X-XSS-Protection: 1; mode=block');
+
+// Define API constant
+define('RADIO_ADAMOWO_API', true);
+
+// Include database configuration
+require_once 'db_config.php';
+
+// Rate limiting
+session_start();
+$client_ip = $_SERVER['REMOTE_ADDR'] ?? '0.0.0.0';
+$rate_limit_key = "analytics_rate_limit_" . hash('md5', $client_ip);
+
+// Check rate limit (max 60 batches per 10 minutes); 429 makes the outbox retry later
+if (isset($_SESSION[$rate_limit_key])) {
+    $requests = $_SESSION[$rate_limit_key];
+    if ($requests['count'] >= 60 && (time() - $requests['timestamp']) < 600) {
+        http_response_code(429);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Rate limit exceeded',
+            'message' => 'Too many analytics batches. Please wait before sending again.'
+        ]);
+        exit;
+    }
+
+    // Reset counter if 10 minutes have passed
+    if ((time() - $requests['timestamp']) >= 600) {
+        $_SESSION[$rate_limit_key] = ['count' => 0, 'timestamp' => time()];
+    }
+} else {
+    $_SESSION[$rate_limit_key] = ['count' => 0, 'timestamp' => time()];
+}
+
+class AnalyticsCollector {
+    // Matches ANALYTICS_BATCH_SIZE in public/script.js with room for the final batch on pagehide
+    private const MAX_EVENTS = 100;
+    private const ALLOWED_CATEGORIES = ['app', 'audio', 'ui', 'i18n', 'pwa', 'error', 'outbox'];
+
+    private $db;
+
+    public function __construct() {
+        $this->db = DatabaseConfig::getInstance();
+    }
+
+    /**
+     * Validate the batch envelope ({ id, events })
+     */
+    public function validateBatch($data) {
+        if (!is_array($data)) {
+            return [
+                'valid' => false,
+                'errors' => ['Request body must be an object']
+            ];
+        }
+
+        $errors = [];
+
+        $batch_id = $data['id'] ?? '';
+        if (!is_string($batch_id) || !preg_match('/^[a-z0-9-]{1,64}$/', $batch_id)) {
+            $errors[] = 'Batch id is required';
+        }
+
+        $events = $data['events'] ?? null;
+        if (!is_array($events) || count($events) === 0) {
+            $errors[] = 'Events are required';
+        } elseif (count($events) > self::MAX_EVENTS) {
+            $errors[] = 'Too many events in one batch';
+        }
+
+        return [
+            'valid' => empty($errors),
+            'errors' => $errors
+        ];
+    }
+
+    /**
+     * Keep only known categories and trim free text to the column sizes
+     */
+    private function sanitizeEvent($event) {
+        if (!is_array($event) || !in_array($event['category'] ?? '', self::ALLOWED_CATEGORIES, true)) {
+            return null;
+        }
+
+        $action = DatabaseConfig::sanitizeString((string)($event['action'] ?? ''));
+        if ($action === '') {
+            return null;
+        }
+
+        $label = $event['label'] ?? null;
+        if ($label !== null && !is_scalar($label)) {
+            $label = json_encode($label);
+        }
+
+        // The page sends milliseconds since the epoch
+        $timestamp = $event['timestamp'] ?? null;
+        $occurred_at = is_numeric($timestamp) ? gmdate('Y-m-d H:i:s', intdiv((int)$timestamp, 1000)) : null;
+
+        return [
+            'category' => $event['category'],
+            'action' => mb_substr($action, 0, 100),
+            'label' => $label === null ? null : mb_substr(DatabaseConfig::sanitizeString((string)$label), 0, 255),
+            'value' => array_key_exists('value', $event) ? json_encode($event['value']) : null,
+            'url' => isset($event['url']) ? mb_substr(filter_var($event['url'], FILTER_SANITIZE_URL), 0, 500) : null,
+            'occurred_at' => $occurred_at
+        ];
+    }
+
+    /**
+     * Store a batch once; a replayed batch (the response was lost after saving) is acknowledged again
+     */
+    public function storeBatch($data) {
+        $events = array_values(array_filter(array_map([$this, 'sanitizeEvent'], $data['events'])));
+
+        try {
+            $this->db->beginTransaction();
+
+            $stmt = $this->db->query(
+                "INSERT IGNORE INTO analytics_batches (batch_id, event_count) VALUES (?, ?)",
+                [$data['id'], count($events)]
+            );
+
+            if ($stmt->rowCount() === 0) {
+                $this->db->rollback();
+                return [
+                    'success' => true,
+                    'status' => 'success',
+                    'duplicate' => true,
+                    'stored' => 0
+                ];
+            }
+
+            foreach ($events as $event) {
+                $this->db->query(
+                    "INSERT INTO analytics_events (batch_id, category, action, label, value, url, occurred_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+                    [
+                        $data['id'],
+                        $event['category'],
+                        $event['action'],
+                        $event['label'],
+                        $event['value'],
+                        $event['url'],
+                        $event['occurred_at']
+                    ]
+                );
+            }
+
+            $this->db->commit();
+
+            return [
+                'success' => true,
+                'status' => 'success',
+                'duplicate' => false,
+                'stored' => count($events)
+            ];
+
+        } catch (Exception $e) {
+            if ($this->db->getConnection()->inTransaction()) {
+                $this->db->rollback();
+            }
+            throw $e;
+        }
+    }
+}
+
+// Handle the request
+try {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        http_response_code(405);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Method not allowed',
+            'message' => 'Only POST requests are allowed'
+        ]);
+        exit;
+    }
+
+    // Get POST data
+    $input = file_get_contents('php://input');
+    $data = json_decode($input, true);
+
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Invalid JSON',
+            'message' => 'Request body must be valid JSON'
+        ]);
+        exit;
+    }
+
+    $collector = new AnalyticsCollector();
+    $validation = $collector->validateBatch($data);
+
+    // 400 tells the outbox not to retry a batch that can never be accepted
+    if (!$validation['valid']) {
+        http_response_code(400);
+        echo json_encode([
+            'success' => false,
+            'error' => 'Validation failed',
+            'messages' => $validation['errors']
+        ]);
+        exit;
+    }
+
+    // Increment rate limit counter
+    $_SESSION[$rate_limit_key]['count']++;
+
+    echo json_encode($collector->storeBatch($data));
+
+} catch (Exception $e) {
+    // 500 keeps the batch in the outbox for the next sync
+    error_log("Analytics API error: " . $e->getMessage());
+    http_response_code(500);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Internal server error',
+        'message' => 'Unable to process request'
+    ]);
+}
+?>
@@ -204,6 +204,30 @@ class DatabaseConfig {
                     INDEX idx_activity (last_activity),
                     INDEX idx_ip (ip_address)
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ",
+            'analytics_batches' => "
+                CREATE TABLE IF NOT EXISTS analytics_batches (
+                    batch_id VARCHAR(64) PRIMARY KEY,
+                    event_count INT NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_created (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            ",
+            'analytics_events' => "
+                CREATE TABLE IF NOT EXISTS analytics_events (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    batch_id VARCHAR(64) NOT NULL,
+                    category VARCHAR(32) NOT NULL,
+                    action VARCHAR(100) NOT NULL,
+                    label VARCHAR(255) NULL,
+                    value JSON NULL,
+                    url VARCHAR(500) NULL,
+                    occurred_at TIMESTAMP NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_batch (batch_id),
+                    INDEX idx_category_action (category, action),
+                    INDEX idx_occurred (occurred_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             "
         ];
         
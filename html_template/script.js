@@ -30,6 +30,13 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     let currentRadioPlaylist = [];
     let currentRadioIndex = 0;
+    
+    // Podcast progress (same storage format as the main player's progress store)
+    const PROGRESS_KEY = 'radio-adamowo-progress';
+    const FINISHED_THRESHOLD = 0.95;
+    const MIN_RESUME_POSITION = 15;
+    let currentPodcast = null;
+    let lastProgressSave = 0;
 
     // --- Audio Initialization ---
     async function initializeAudio() {
@@ -165,9 +172,54 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // --- Visualizer ---
+    // Shared renderers (bars, oscilloscope, infinity, spectrogram) with a picker;
+    // the plain bar loop below is kept as the fallback when the module can't load
+    const VISUALIZER_MODULE_URL = '../src/scripts/modules/visualizer/visualizer.js';
+    const visualizerPicker = doc.getElementById('visualizer-picker');
+    let visualizer = null;
+
+    async function setupVisualizer() {
+        try {
+            const { Visualizer } = await import(VISUALIZER_MODULE_URL);
+            visualizer = new Visualizer({
+                canvas: visualizerCanvas,
+                analyser,
+                sizeTo: 'window',
+                onChange: updateVisualizerPicker
+            });
+            renderVisualizerPicker();
+            if (isPlaying) visualizer.start();
+        } catch (error) {
+            console.warn('Visualizer module unavailable, using basic bars:', error);
+            setupFallbackVisualizer();
+            drawVisualizer();
+        }
+    }
+
+    function renderVisualizerPicker() {
+        if (!visualizerPicker) return;
+        visualizerPicker.innerHTML = visualizer.getRenderers()
+            .map(({ id, label }) => `<button type="button" class="visualizer-option" role="radio" data-visualizer="${id}">${label}</button>`)
+            .join('');
+        visualizerPicker.querySelectorAll('[data-visualizer]').forEach(button => {
+            button.addEventListener('click', () => visualizer.setRenderer(button.dataset.visualizer));
+        });
+        visualizerPicker.classList.remove('hidden');
+        updateVisualizerPicker();
+    }
+
+    function updateVisualizerPicker() {
+        if (!visualizerPicker || !visualizer) return;
+        visualizerPicker.querySelectorAll('[data-visualizer]').forEach(button => {
+            const isActive = button.dataset.visualizer === visualizer.rendererId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', String(isActive));
+        });
+    }
+
     const canvasCtx = visualizerCanvas.getContext('2d');
     let dataArray, bufferLength;
-    function setupVisualizer() {
+    function setupFallbackVisualizer() {
         bufferLength = analyser.frequencyBinCount;
         dataArray = new Uint8Array(bufferLength);
         visualizerCanvas.width = window.innerWidth;
@@ -200,7 +252,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     window.addEventListener('resize', () => {
-        if (isAudioInitialized) {
+        if (isAudioInitialized && !visualizer) {
             visualizerCanvas.width = window.innerWidth;
             visualizerCanvas.height = window.innerHeight;
         }
@@ -296,12 +348,22 @@ document.addEventListener('DOMContentLoaded', () => {
         feedbackEl.textContent = 'Wysyłanie...';
         feedbackEl.className = 'text-gray-400 text-sm mt-2 min-h-[1.25rem]';
         try {
+            // X-Outbox-Kind lets the service worker keep the note and send it once the connection is back
             const response = await fetch('./add_comment.php', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', 'X-Outbox-Kind': 'note' },
                 body: JSON.stringify({ date: currentSelectedDate, name, text })
             });
             const result = await response.json();
+            if (result.status === 'queued') {
+                nameInput.value = '';
+                textInput.value = '';
+                feedbackEl.textContent = result.duplicate
+                    ? 'Ta notatka już czeka na wysłanie.'
+                    : 'Brak połączenia – notatka zostanie wysłana automatycznie.';
+                feedbackEl.className = 'text-amber-400 text-sm mt-2 min-h-[1.25rem]';
+                return;
+            }
             if (!response.ok || result.status !== 'success') throw new Error(result.message || 'Server error');
             nameInput.value = '';
             textInput.value = '';
@@ -316,6 +378,28 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     doc.getElementById('modal-close-btn').addEventListener('click', closeModal);
 
+    // Notes queued offline report back from the service worker outbox
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const { type, data } = event.data || {};
+            if (!data || data.kind !== 'note' || modal.classList.contains('hidden')) return;
+            const feedbackEl = doc.getElementById('modal-feedback');
+            if (type === 'OUTBOX_SENT') {
+                feedbackEl.textContent = 'Zaległa notatka została wysłana.';
+                feedbackEl.className = 'text-green-500 text-sm mt-2 min-h-[1.25rem]';
+                if (currentSelectedDate) fetchNotesForDate(currentSelectedDate);
+            } else if (type === 'OUTBOX_FAILED') {
+                feedbackEl.textContent = `Nie udało się wysłać zaległej notatki: ${data.lastError}`;
+                feedbackEl.className = 'text-red-500 text-sm mt-2 min-h-[1.25rem]';
+            }
+        });
+        // Browsers without Background Sync replay the outbox only when asked
+        window.addEventListener('online', () => {
+            const worker = navigator.serviceWorker.controller;
+            if (worker) worker.postMessage({ type: 'FLUSH_OUTBOX' }, [new MessageChannel().port2]);
+        });
+    }
+
     // --- AI Simulator ---
     const chatForm = doc.getElementById('chat-form');
     const chatInput = doc.getElementById('chat-input');
@@ -358,7 +442,6 @@ document.addEventListener('DOMContentLoaded', () => {
         });
         initializeAudio().then(() => {
             setupVisualizer();
-            drawVisualizer(); // Start drawing loop
             loadMainPlaylist();
         });
     });
@@ -373,12 +456,14 @@ document.addEventListener('DOMContentLoaded', () => {
         isPlaying = true;
         radioPlayIcon.classList.add('hidden');
         radioPauseIcon.classList.remove('hidden');
+        if (visualizer) visualizer.start();
     });
 
     radioPlayer.addEventListener('pause', () => {
         isPlaying = false;
         radioPlayIcon.classList.remove('hidden');
         radioPauseIcon.classList.add('hidden');
+        if (visualizer) visualizer.stop();
     });
 
     doc.querySelectorAll('.playlist-btn').forEach(button => {
@@ -393,12 +478,97 @@ document.addEventListener('DOMContentLoaded', () => {
             const track = playlists.podcasts.find(t => t.id === button.dataset.trackId);
             if (track) {
                 radioPlayer.pause();
+                savePodcastProgress(true);
+                currentPodcast = track;
                 podcastPlayer.src = track.url;
                 doc.getElementById('podcast-title').textContent = track.title;
                 podcastPlayer.play().catch(e => console.error("Podcast playback error:", e));
+                offerPodcastResume(track);
             }
         });
     });
+
+    // --- Podcast Progress ---
+    function loadProgress() {
+        try {
+            return JSON.parse(localStorage.getItem(PROGRESS_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function savePodcastProgress(force = false) {
+        if (!currentPodcast || !podcastPlayer.currentTime) return;
+        const now = Date.now();
+        if (!force && now - lastProgressSave < 5000) return;
+        lastProgressSave = now;
+
+        const { currentTime, duration } = podcastPlayer;
+        const finished = duration > 0 && currentTime / duration >= FINISHED_THRESHOLD;
+        const progress = loadProgress();
+        progress[currentPodcast.url] = {
+            position: finished ? 0 : Math.floor(currentTime),
+            duration: isFinite(duration) ? Math.round(duration) : 0,
+            finished,
+            updatedAt: now
+        };
+
+        try {
+            localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+        } catch (e) {
+            console.warn("Could not save podcast progress:", e);
+        }
+        updatePodcastButtons();
+    }
+
+    function offerPodcastResume(track) {
+        const entry = loadProgress()[track.url];
+        let resumeBtn = doc.getElementById('podcast-resume-btn');
+        if (!entry || entry.finished || entry.position < MIN_RESUME_POSITION) {
+            if (resumeBtn) resumeBtn.classList.add('hidden');
+            return;
+        }
+
+        if (!resumeBtn) {
+            resumeBtn = doc.createElement('button');
+            resumeBtn.id = 'podcast-resume-btn';
+            resumeBtn.type = 'button';
+            resumeBtn.className = 'podcast-resume-btn';
+            doc.getElementById('podcast-title').insertAdjacentElement('afterend', resumeBtn);
+        }
+
+        resumeBtn.textContent = `Wznów od ${formatTime(entry.position)}`;
+        resumeBtn.classList.remove('hidden');
+        resumeBtn.onclick = () => {
+            podcastPlayer.currentTime = entry.position;
+            resumeBtn.classList.add('hidden');
+        };
+    }
+
+    function updatePodcastButtons() {
+        const progress = loadProgress();
+        doc.querySelectorAll('.podcast-play-button').forEach(button => {
+            const track = playlists.podcasts.find(t => t.id === button.dataset.trackId);
+            const entry = track && progress[track.url];
+            button.classList.toggle('finished', Boolean(entry && entry.finished));
+        });
+    }
+
+    function formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    }
+
+    podcastPlayer.addEventListener('timeupdate', () => savePodcastProgress());
+    podcastPlayer.addEventListener('pause', () => savePodcastProgress(true));
+    podcastPlayer.addEventListener('ended', () => {
+        savePodcastProgress(true);
+        const resumeBtn = doc.getElementById('podcast-resume-btn');
+        if (resumeBtn) resumeBtn.classList.add('hidden');
+    });
+    window.addEventListener('pagehide', () => savePodcastProgress(true));
+    updatePodcastButtons();
     
     // Mobile menu toggle
     doc.getElementById('menu-toggle').addEventListener('click', () => mobileMenu.classList.toggle('hidden'));
@@ -8,6 +8,10 @@ const CONFIG = {
     // Audio settings
     VISUALIZER_FFT_SIZE: 256,
     CROSSFADE_DURATION: 300,
+    // Speeds the rate button steps through; stored per content type like the modular player
+    PLAYBACK_RATES: [0.75, 1, 1.25, 1.5, 1.75, 2],
+    PLAYBACK_RATE_STORAGE_KEY: 'radio-adamowo-playback-rates',
+    LONG_FORM_CATEGORIES: ['audio', 'podcasts'],
     
     // UI settings
     SCROLL_THRESHOLD: 300,
@@ -21,16 +25,24 @@ const CONFIG = {
     // Cache settings
     CACHE_NAME: 'radio-adamowo-v1',
     
+    // Analytics batches are POSTed here (api/analytics.php) through the service worker outbox;
+    // null keeps events in the page only
+    ANALYTICS_ENDPOINT: '/api/analytics.php',
+    ANALYTICS_BATCH_SIZE: 20,
+    
     // Module paths
     MODULE_PATHS: {
         i18n: '../src/scripts/modules/i18n/manager.js',
         audio: '../src/scripts/modules/audio/player.js', 
+        podcast: '../src/scripts/modules/podcast/manager.js',
         ui: '../src/scripts/modules/ui/manager.js',
         manipulation: '../src/scripts/modules/manipulation/detector.js',
         services: {
             pwa: '../src/scripts/modules/services/pwa.js',
             storage: '../src/scripts/modules/services/storage.js',
-            analytics: '../src/scripts/modules/services/analytics.js'
+            analytics: '../src/scripts/modules/services/analytics.js',
+            update: '../src/scripts/modules/services/update.js',
+            outbox: '../src/scripts/modules/services/outbox.js'
         },
         utils: '../src/scripts/modules/utils/helpers.js'
     }
@@ -49,7 +61,10 @@ const AppState = {
     
     // UI state
     currentSection: 'player',
-    isMobileMenuOpen: false
+    isMobileMenuOpen: false,
+    
+    // Requests waiting in the service worker outbox
+    outbox: { pending: 0, failed: 0, entries: [] }
 };
 
 // ===== MODULE LOADER =====
@@ -79,6 +94,15 @@ class ModuleLoader {
         }
     }
     
+    static async loadService(name) {
+        // A build gets the services from the bundled module entry in index.html
+        // (src/scripts/services.js); without it the sources are imported directly
+        if (window.RadioAdamowoServices) {
+            return window.RadioAdamowoServices;
+        }
+        return import(CONFIG.MODULE_PATHS.services[name]);
+    }
+    
     static async createFallbackModule(moduleName) {
         // Create minimal fallback implementations
         switch (moduleName) {
@@ -177,6 +201,7 @@ class AudioFallback {
         this.playlist = [];
         this.currentIndex = 0;
         this.isPlaying = false;
+        this.playbackRates = { music: 1, podcast: 1 };
     }
     
     async init() {
@@ -199,13 +224,16 @@ class AudioFallback {
             this.showFallbackMessage();
         }
         
+        this.loadPlaybackRates();
         this.setupEventListeners();
+        this.applyPlaybackRate();
     }
     
     setupEventListeners() {
         const playBtn = document.getElementById('radio-play-pause-btn');
         const nextBtn = document.getElementById('radio-next-btn');
         const prevBtn = document.getElementById('radio-prev-btn');
+        const rateBtn = document.getElementById('playback-rate-btn');
         
         if (playBtn) {
             playBtn.addEventListener('click', () => this.togglePlayPause());
@@ -218,6 +246,19 @@ class AudioFallback {
         if (prevBtn) {
             prevBtn.addEventListener('click', () => this.prev());
         }
+        
+        if (rateBtn) {
+            rateBtn.addEventListener('click', () => this.cyclePlaybackRate(1));
+        }
+        
+        // Shift+< / Shift+> step the speed, as the button title says
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (!e.shiftKey || (e.code !== 'Comma' && e.code !== 'Period')) return;
+            
+            e.preventDefault();
+            this.cyclePlaybackRate(e.code === 'Period' ? 1 : -1, { wrap: false });
+        });
     }
     
     async togglePlayPause() {
@@ -253,6 +294,7 @@ class AudioFallback {
             this.audioElement.src = track.file;
             this.currentIndex = index;
             AppState.currentTrack = track;
+            this.applyPlaybackRate();
             this.updateTrackDisplay();
         }
     }
@@ -273,6 +315,82 @@ class AudioFallback {
         }
     }
     
+    // Playback speed: music and spoken word keep separate rates
+    getContentType(track = AppState.currentTrack) {
+        return track && CONFIG.LONG_FORM_CATEGORIES.includes(track.category) ? 'podcast' : 'music';
+    }
+    
+    loadPlaybackRates() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.PLAYBACK_RATE_STORAGE_KEY) || '{}');
+            for (const type of Object.keys(this.playbackRates)) {
+                if (isFinite(stored[type])) {
+                    this.playbackRates[type] = this.clampPlaybackRate(stored[type]);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load playback rates:', error);
+        }
+    }
+    
+    clampPlaybackRate(rate) {
+        const rates = CONFIG.PLAYBACK_RATES;
+        return Math.max(rates[0], Math.min(rates[rates.length - 1], Number(rate) || 1));
+    }
+    
+    getPlaybackRate() {
+        return this.playbackRates[this.getContentType()] ?? 1;
+    }
+    
+    setPlaybackRate(rate) {
+        const contentType = this.getContentType();
+        this.playbackRates[contentType] = this.clampPlaybackRate(rate);
+        
+        try {
+            localStorage.setItem(CONFIG.PLAYBACK_RATE_STORAGE_KEY, JSON.stringify(this.playbackRates));
+        } catch (error) {
+            console.warn('Failed to save playback rates:', error);
+        }
+        
+        this.applyPlaybackRate();
+        return this.playbackRates[contentType];
+    }
+    
+    cyclePlaybackRate(step = 1, { wrap = true } = {}) {
+        const rates = CONFIG.PLAYBACK_RATES;
+        const current = this.getPlaybackRate();
+        
+        // Nearest preset, so stored in-between values still step sensibly
+        let index = rates.reduce((best, rate, i) =>
+            Math.abs(rate - current) < Math.abs(rates[best] - current) ? i : best, 0);
+        
+        index += step;
+        index = wrap ? (index + rates.length) % rates.length : Math.max(0, Math.min(rates.length - 1, index));
+        
+        return this.setPlaybackRate(rates[index]);
+    }
+    
+    applyPlaybackRate() {
+        const rate = this.getPlaybackRate();
+        
+        if (this.audioElement) {
+            // defaultPlaybackRate survives the reset that loading a new source does
+            this.audioElement.defaultPlaybackRate = rate;
+            this.audioElement.playbackRate = rate;
+            this.audioElement.preservesPitch = true;
+            this.audioElement.mozPreservesPitch = true;
+            this.audioElement.webkitPreservesPitch = true;
+        }
+        
+        const rateBtn = document.getElementById('playback-rate-btn');
+        if (rateBtn) {
+            const label = `${Number(rate.toFixed(2))}×`;
+            rateBtn.textContent = label;
+            rateBtn.setAttribute('aria-label', `Playback speed ${label}`);
+            rateBtn.classList.toggle('active', rate !== 1);
+        }
+    }
+    
     updateTrackDisplay() {
         const titleEl = document.getElementById('current-track-title');
         const metaEl = document.getElementById('current-track-meta');
@@ -470,11 +588,16 @@ class AnalyticsManager {
     constructor() {
         this.events = [];
         this.enabled = true;
+        this.batch = [];
+        this.outbox = null;
     }
     
     init() {
         // Initialize analytics (GA4, self-hosted, etc.)
         this.setupErrorTracking();
+        
+        // The last partial batch goes out when the page is closed or hidden for good
+        window.addEventListener('pagehide', () => this.flushBatch({ keepalive: true }));
     }
     
     track(category, action, label, value) {
@@ -508,6 +631,37 @@ class AnalyticsManager {
         //     event_label: event.label,
         //     value: event.value
         // });
+        
+        if (!CONFIG.ANALYTICS_ENDPOINT) return;
+        
+        this.batch.push(event);
+        if (this.batch.length > 100) {
+            this.batch.shift(); // Keep only recent events while there is no outbox
+        }
+        
+        if (this.batch.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+            this.flushBatch();
+        }
+    }
+    
+    setOutbox(outbox) {
+        this.outbox = outbox;
+        
+        // Events tracked while the outbox was loading
+        if (this.batch.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+            this.flushBatch();
+        }
+    }
+    
+    flushBatch({ keepalive = false } = {}) {
+        if (!CONFIG.ANALYTICS_ENDPOINT || !this.outbox || this.batch.length === 0) return;
+        
+        // The batch id lets the server ignore a batch replayed after a lost response
+        const events = this.batch.splice(0);
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        
+        this.outbox.send(CONFIG.ANALYTICS_ENDPOINT, { kind: 'analytics', body: { id, events }, keepalive })
+            .catch(error => console.warn('Analytics batch not sent:', error));
     }
     
     setupErrorTracking() {
@@ -610,6 +764,8 @@ class RadioAdamowoApp {
                 const registration = await navigator.serviceWorker.register('sw.js');
                 console.log('SW registered:', registration);
                 this.analytics.track('pwa', 'sw_registered', 'success');
+                await this.setupUpdateManager(registration);
+                await this.setupOutbox();
             } catch (error) {
                 console.warn('SW registration failed:', error);
                 this.analytics.track('pwa', 'sw_registration_failed', error.message);
@@ -617,6 +773,54 @@ class RadioAdamowoApp {
         }
     }
     
+    async setupUpdateManager(registration) {
+        // New versions wait for the listener: a toast offers the reload, deferred while audio plays
+        try {
+            const { UpdateManager } = await ModuleLoader.loadService('update');
+            this.updateManager = new UpdateManager();
+            this.updateManager.on('updateAvailable', () => {
+                this.analytics.track('pwa', 'update_available', 'waiting');
+            });
+            this.updateManager.on('updateDeferred', () => {
+                this.analytics.track('pwa', 'update_deferred', 'playing');
+            });
+            this.updateManager.init(registration);
+        } catch (error) {
+            console.warn('Update manager unavailable:', error);
+        }
+    }
+    
+    async setupOutbox() {
+        // POSTs that fail offline wait in the worker's IndexedDB outbox and are replayed on sync
+        try {
+            const { OutboxClient } = await ModuleLoader.loadService('outbox');
+            if (!OutboxClient.isSupported()) return;
+            
+            this.outbox = new OutboxClient();
+            this.outbox.on('status', (status) => {
+                AppState.outbox = status;
+            });
+            this.outbox.on('sent', (entry) => {
+                if (entry.kind === 'analytics') return;
+                AppState.modules.get('utils')?.showToast('Zaległa wiadomość została wysłana', 'success');
+            });
+            this.outbox.on('failed', (entry) => {
+                // A batch the endpoint rejected would only wait in the outbox forever
+                if (entry.kind === 'analytics') {
+                    this.outbox.discard(entry.id);
+                    return;
+                }
+                this.analytics.track('outbox', 'request_failed', entry.kind);
+                AppState.modules.get('utils')?.showToast('Nie udało się wysłać zaległej wiadomości', 'error');
+            });
+            
+            await this.outbox.init();
+            this.analytics.setOutbox(this.outbox);
+        } catch (error) {
+            console.warn('Outbox unavailable:', error);
+        }
+    }
+    
     initializePWA() {
         // Handle app install prompt
         window.addEventListener('beforeinstallprompt', (e) => {
@@ -657,6 +861,16 @@ window.RadioAdamowo = {
         return audio?.prev();
     },
     
+    setPlaybackRate(rate) {
+        const audio = AppState.modules.get('audio');
+        return audio?.setPlaybackRate?.(rate);
+    },
+    
+    getPlaybackRate() {
+        const audio = AppState.modules.get('audio');
+        return audio?.getPlaybackRate?.() ?? 1;
+    },
+    
     // Language controls
     switchLanguage(lang) {
         const i18n = AppState.modules.get('i18n');
@@ -685,6 +899,15 @@ window.RadioAdamowo = {
         return utils?.showToast(message, type);
     },
     
+    // Requests queued offline (comments, notes, analytics batches)
+    getOutboxStatus() {
+        return window.RadioAdamowoApp?.outbox?.getStatus() ?? AppState.outbox;
+    },
+    
+    retryOutbox(id) {
+        return window.RadioAdamowoApp?.outbox?.retry(id);
+    },
+    
     // State access (read-only)
     get state() {
         return { ...AppState };
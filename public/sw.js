@@ -1,23 +1,48 @@
 /**
  * Radio Adamowo - Service Worker
- * Implements caching strategies for PWA offline functionality
+ * Implements caching strategies for PWA offline functionality, background
+ * sync and push notifications
+ *
+ * This is the only worker; Vite copies it to the build root and
+ * scripts/sw-precache.mjs prepends the precache manifest (every built file
+ * with its content hash) and a version derived from it. Installs that copy
+ * the repository unbuilt register the root sw.js, which sets the same two
+ * values for the app shell and imports this file.
  */
 
-const CACHE_NAME = 'radio-adamowo-v1';
-const CACHE_VERSION = '1.0.0';
-
-// Assets to cache immediately on install
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/script.js',
-    '/manifest.json',
-    '/lang/pl.json',
-    '/lang/en.json',
-    '/lang/nl.json',
-    '/data/playlist.json'
-];
+// Unbuilt (vite dev) the worker runs without a manifest and precaches nothing
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+const CACHE_VERSION = self.__PRECACHE_VERSION || 'dev';
+
+// A new build with changed files gets a new cache; older radio-adamowo-v* caches are deleted on activate
+const CACHE_PREFIX = 'radio-adamowo-v';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Tracks downloaded for offline listening; chosen by the user, so never trimmed or expired
+const OFFLINE_CACHE_NAME = 'radio-adamowo-offline-audio';
+
+// Running PRELOAD_AUDIO downloads by id, so the page can cancel them
+const preloadJobs = new Map();
+
+// Full files being fetched in the background after the network answered a range request
+const pendingFullFetches = new Set();
+
+// Responses above this size are not cached (offline downloads have their own cache)
+const MAX_CACHEABLE_SIZE = 10 * 1024 * 1024;
+
+// Files known to be too large to cache, so seeking in them does not start another full fetch
+// (kept while the worker runs)
+const uncacheableUrls = new Set();
+
+// Outbox: POSTs that opt in with an X-Outbox-Kind header (comments, calendar notes,
+// analytics batches) are kept in IndexedDB when the network fails and replayed on sync
+const OUTBOX_DB_NAME = 'radio-adamowo-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+const OUTBOX_MAX_ATTEMPTS = 5;
+
+// The running flush; a sync event and an "online" message from the page can arrive together
+let outboxFlush = null;
 
 // Assets to cache on demand
 const DYNAMIC_ASSETS_PATTERNS = [
@@ -65,7 +90,7 @@ const ROUTE_CONFIGS = [
     }
 ];
 
-// Maximum cache sizes
+// Maximum cache sizes (for CACHE_NAME only; offline downloads are not limited)
 const CACHE_LIMITS = {
     images: 50, // max 50 images
     audio: 20,  // max 20 audio files
@@ -80,24 +105,19 @@ const CACHE_DURATION = {
     static: 7 * 24 * 60 * 60 * 1000   // 7 days
 };
 
-// Install Event - Cache static assets
+// Install Event - Precache the build output
 self.addEventListener('install', (event) => {
-    console.log(`SW Install: Caching static assets for ${CACHE_NAME}`);
+    console.log(`SW Install: Precaching ${PRECACHE_MANIFEST.length} files for ${CACHE_NAME}`);
     
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => {
-                return cache.addAll(STATIC_ASSETS.map(url => {
-                    // Handle root path
-                    if (url === '/') {
-                        return new Request('/', { headers: { 'cache-bust': Date.now() } });
-                    }
-                    return url;
-                }));
+                // Bypass the HTTP cache so unhashed files (index.html, script.js) match the manifest
+                return cache.addAll(PRECACHE_MANIFEST.map(entry => new Request(entry.url, { cache: 'reload' })));
             })
             .then(() => {
+                // An update waits until the page sends SKIP_WAITING, so playback is never cut off
                 console.log('SW Install: Static assets cached successfully');
-                return self.skipWaiting(); // Activate immediately
             })
             .catch(error => {
                 console.error('SW Install: Failed to cache static assets:', error);
@@ -113,14 +133,15 @@ self.addEventListener('activate', (event) => {
         Promise.all([
             // Clean old caches
             caches.keys().then(cacheNames => {
-                return Promise.all(
-                    cacheNames.map(cacheName => {
-                        if (cacheName !== CACHE_NAME && cacheName.startsWith('radio-adamowo-')) {
-                            console.log(`SW Activate: Deleting old cache ${cacheName}`);
-                            return caches.delete(cacheName);
-                        }
-                    })
+                // Every other radio-adamowo-v* cache belongs to an older build; downloads are kept
+                const oldCaches = cacheNames.filter(cacheName =>
+                    cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME
                 );
+                
+                return Promise.all(oldCaches.map(cacheName => {
+                    console.log(`SW Activate: Deleting old cache ${cacheName}`);
+                    return caches.delete(cacheName);
+                }));
             }),
             // Enforce cache size limits
             enforceQuotaLimits(),
@@ -146,6 +167,12 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // Opted-in POSTs go through the outbox so a failed send is queued instead of lost
+    if (request.method === 'POST' && request.headers.has('X-Outbox-Kind')) {
+        event.respondWith(sendOrQueue(request));
+        return;
+    }
+    
     // Skip POST requests and other non-GET requests
     if (request.method !== 'GET') {
         return;
@@ -175,6 +202,43 @@ self.addEventListener('sync', (event) => {
     if (event.tag === 'background-analytics') {
         event.waitUntil(syncAnalyticsData());
     }
+    
+    if (event.tag === OUTBOX_SYNC_TAG || event.tag === 'background-sync') {
+        // A rejected flush tells the browser to retry the sync later
+        event.waitUntil(flushOutbox());
+    }
+});
+
+// Push notification support
+self.addEventListener('push', (event) => {
+    if (!event.data) {
+        return;
+    }
+    
+    const data = event.data.json();
+    const options = {
+        body: data.body,
+        icon: 'https://public-frontend-cos.metadl.com/mgx/img/favicon.png',
+        badge: 'https://public-frontend-cos.metadl.com/mgx/img/favicon.png',
+        vibrate: [100, 50, 100],
+        data: {
+            dateOfArrival: Date.now(),
+            primaryKey: 1
+        }
+    };
+    
+    event.waitUntil(
+        self.registration.showNotification(data.title, options)
+    );
+});
+
+// Notification click handler
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    
+    event.waitUntil(
+        self.clients.openWindow('/')
+    );
 });
 
 // Message handling - Communication with main thread
@@ -187,9 +251,11 @@ self.addEventListener('message', (event) => {
             break;
             
         case 'GET_CACHE_STATUS':
-            event.ports[0].postMessage({
-                cacheSize: getCacheSize(),
-                cacheVersion: CACHE_VERSION
+            getCacheSize().then(cacheSize => {
+                event.ports[0].postMessage({
+                    cacheSize,
+                    cacheVersion: CACHE_VERSION
+                });
             });
             break;
             
@@ -200,9 +266,57 @@ self.addEventListener('message', (event) => {
             break;
             
         case 'PRELOAD_AUDIO':
-            preloadAudio(data.urls).then(() => {
-                event.ports[0].postMessage({ success: true });
-            });
+            event.waitUntil(
+                preloadAudio(data.urls, { id: data.id, client: event.source }).then(result => {
+                    event.ports[0].postMessage({ success: true, ...result });
+                }).catch(error => {
+                    // The page waits on this port; an answer of any kind lets it move on
+                    console.error('SW: Preload failed:', error);
+                    event.ports[0].postMessage({ success: false, error: error.message, downloaded: [], failed: data.urls || [], cancelled: false });
+                })
+            );
+            break;
+            
+        case 'CANCEL_PRELOAD':
+            cancelPreload(data.id);
+            event.ports[0].postMessage({ success: true });
+            break;
+            
+        case 'GET_OUTBOX_STATUS':
+            event.waitUntil(
+                getOutboxStatus().then(status => event.ports[0].postMessage(status))
+            );
+            break;
+            
+        case 'FLUSH_OUTBOX':
+            // Browsers without Background Sync ask for this when they come back online
+            event.waitUntil(
+                flushOutbox()
+                    .catch(error => console.log('SW Outbox: Flush incomplete:', error.message))
+                    .then(getOutboxStatus)
+                    .then(status => event.ports[0].postMessage(status))
+            );
+            break;
+            
+        case 'RETRY_OUTBOX':
+            event.waitUntil(
+                retryOutboxEntry(data.id)
+                    .then(() => flushOutbox())
+                    .catch(error => console.log('SW Outbox: Retry incomplete:', error.message))
+                    .then(getOutboxStatus)
+                    .then(status => event.ports[0].postMessage(status))
+            );
+            break;
+            
+        case 'DISCARD_OUTBOX':
+            event.waitUntil(
+                outboxRequest('readwrite', store => store.delete(data.id))
+                    .then(getOutboxStatus)
+                    .then(status => {
+                        event.ports[0].postMessage(status);
+                        return notifyClients('OUTBOX_STATUS', status);
+                    })
+            );
             break;
             
         default:
@@ -235,25 +349,126 @@ async function handleRequest(request, strategy) {
 
 async function cacheFirst(request) {
     const cachedResponse = await caches.match(request);
+    // Media elements seek with Range requests; the cache holds whole files
+    const range = request.headers.get('range');
     
     if (cachedResponse && !isExpired(cachedResponse, request.url)) {
-        return cachedResponse;
+        return range ? createRangeResponse(range, cachedResponse) : cachedResponse;
     }
     
     try {
         const networkResponse = await fetch(request);
-        if (networkResponse.ok) {
+        if (networkResponse.status === 206) {
+            // A partial answer cannot be cached; fetch the whole file for the next seek,
+            // unless Content-Range already shows it is too large to keep
+            const totalSize = getTotalSize(networkResponse);
+            if (totalSize !== null && totalSize > MAX_CACHEABLE_SIZE) {
+                uncacheableUrls.add(request.url);
+            } else {
+                cacheFullResponse(request.url);
+            }
+        } else if (networkResponse.ok) {
             await cacheResponse(request, networkResponse.clone());
         }
         return networkResponse;
     } catch (error) {
         if (cachedResponse) {
-            return cachedResponse; // Return stale cache if network fails
+            // Return stale cache if network fails
+            return range ? createRangeResponse(range, cachedResponse) : cachedResponse;
         }
         throw error;
     }
 }
 
+// Range support
+function parseRange(header, size) {
+    // Single ranges only: "bytes=start-end", "bytes=start-" or "bytes=-suffix"
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    
+    let start;
+    let end;
+    
+    if (match[1] === '') {
+        const suffix = parseInt(match[2]);
+        if (!suffix) return null;
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+    
+    if (start > end || start >= size) {
+        return null;
+    }
+    
+    return { start, end };
+}
+
+async function createRangeResponse(rangeHeader, response) {
+    // Blob slices are lazy, so long episodes are not copied into memory
+    const blob = await response.blob();
+    const contentType = response.headers.get('content-type') || blob.type || 'application/octet-stream';
+    const range = parseRange(rangeHeader, blob.size);
+    
+    if (!range) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${blob.size}` }
+        });
+    }
+    
+    const { start, end } = range;
+    return new Response(blob.slice(start, end + 1, contentType), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': contentType,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+// Full size of the file behind a response: "bytes 0-1023/52428800" for 206, else Content-Length
+function getTotalSize(response) {
+    if (response.status === 206) {
+        const match = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+        return match ? parseInt(match[1]) : null;
+    }
+    
+    const contentLength = response.headers.get('content-length');
+    return contentLength ? parseInt(contentLength) : null;
+}
+
+async function cacheFullResponse(url) {
+    if (pendingFullFetches.has(url) || uncacheableUrls.has(url)) return;
+    pendingFullFetches.add(url);
+    
+    try {
+        const response = await fetch(url);
+        if (response.status !== 200) return;
+        
+        // Content-Range may not have said; stop before downloading a file that would be thrown away
+        if (!shouldCache(response)) {
+            uncacheableUrls.add(url);
+            if (response.body) response.body.cancel().catch(() => {});
+            return;
+        }
+        
+        await cacheResponse(new Request(url), response);
+    } catch (error) {
+        console.log('SW: Failed to cache full file:', error.message);
+    } finally {
+        pendingFullFetches.delete(url);
+    }
+}
+
 async function networkFirst(request) {
     try {
         const networkResponse = await fetch(request);
@@ -324,14 +539,14 @@ async function cacheResponse(request, response) {
     
     const cache = await caches.open(CACHE_NAME);
     
-    // Add timestamp for expiration checking
+    // Add timestamp for expiration checking; the original headers (Content-Type) are kept for range responses
+    const headers = new Headers(response.headers);
+    headers.set('sw-cached-at', Date.now());
+    
     const responseWithTimestamp = new Response(response.body, {
         status: response.status,
         statusText: response.statusText,
-        headers: {
-            ...response.headers,
-            'sw-cached-at': Date.now()
-        }
+        headers
     });
     
     await cache.put(request, responseWithTimestamp);
@@ -343,14 +558,19 @@ function shouldCache(response) {
         return false;
     }
     
+    // The Cache API rejects partial content
+    if (response.status === 206) {
+        return false;
+    }
+    
     // Don't cache opaque responses (CORS)
     if (response.type === 'opaque') {
         return false;
     }
     
     // Don't cache very large responses
-    const contentLength = response.headers.get('content-length');
-    if (contentLength && parseInt(contentLength) > 10 * 1024 * 1024) { // 10MB limit
+    const totalSize = getTotalSize(response);
+    if (totalSize !== null && totalSize > MAX_CACHEABLE_SIZE) {
         return false;
     }
     
@@ -389,7 +609,9 @@ function findRouteConfig(pathname) {
 
 async function enforceQuotaLimits() {
     const cache = await caches.open(CACHE_NAME);
-    const requests = await cache.keys();
+    // Precached files are part of the build and never evicted
+    const precached = new Set(PRECACHE_MANIFEST.map(entry => new URL(entry.url, self.location.origin).href));
+    const requests = (await cache.keys()).filter(request => !precached.has(request.url));
     
     // Group requests by type
     const grouped = {
@@ -442,32 +664,349 @@ async function updatePlaylistCache() {
 }
 
 async function syncAnalyticsData() {
-    // Placeholder for analytics sync
+    // Analytics batches are queued in the outbox like every other opted-in POST
     console.log('SW: Analytics sync triggered');
-    
-    // In a real implementation, this would:
-    // 1. Read queued analytics events from IndexedDB
-    // 2. Send them to analytics server
-    // 3. Clear the queue on success
+    return flushOutbox();
 }
 
-async function preloadAudio(urls) {
-    if (!Array.isArray(urls)) return;
+// ===== Outbox =====
+async function sendOrQueue(request) {
+    // The body can be read only once, so the stored copy is taken before sending
+    const entry = await serializeRequest(request.clone());
     
-    const cache = await caches.open(CACHE_NAME);
-    const preloadPromises = urls.map(async url => {
+    try {
+        const response = await fetch(request);
+        // Client errors (400, 403, 422...) go back to the page; a retry would fail the same way
+        if (!isRetryableStatus(response.status)) {
+            return response;
+        }
+        return await queueRequest(entry, `HTTP ${response.status}`);
+    } catch (error) {
         try {
-            const response = await fetch(url);
-            if (response.ok) {
-                await cache.put(url, response);
-                console.log(`SW: Preloaded audio: ${url}`);
+            return await queueRequest(entry, error.message);
+        } catch (queueError) {
+            console.error('SW Outbox: Failed to queue request:', queueError);
+            return createErrorResponse();
+        }
+    }
+}
+
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+async function serializeRequest(request) {
+    // Bodies are kept as text, which covers the JSON the app sends
+    const body = await request.text();
+    const headers = {};
+    request.headers.forEach((value, name) => {
+        headers[name] = value;
+    });
+    
+    const kind = request.headers.get('X-Outbox-Kind');
+    // Without an explicit key, the same body sent twice to the same URL is one entry
+    const key = request.headers.get('X-Outbox-Key') || `${kind}:${await hashText(`${request.url}\n${body}`)}`;
+    
+    return {
+        key,
+        kind,
+        url: request.url,
+        method: request.method,
+        headers,
+        body,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: Date.now()
+    };
+}
+
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function queueRequest(entry, reason) {
+    const { id, duplicate } = await addOutboxEntry({ ...entry, lastError: reason });
+    console.log(`SW Outbox: ${duplicate ? 'Already queued' : 'Queued'} ${entry.kind} request ${id}:`, reason);
+    
+    await registerOutboxSync();
+    notifyClients('OUTBOX_STATUS', await getOutboxStatus());
+    
+    return new Response(
+        JSON.stringify({ status: 'queued', queued: true, id, duplicate, kind: entry.kind }),
+        {
+            status: 202,
+            statusText: 'Accepted',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Outbox-Queued': 'true'
             }
+        }
+    );
+}
+
+async function registerOutboxSync() {
+    // Without Background Sync (Firefox, Safari) the page sends FLUSH_OUTBOX when it comes back online
+    if (!self.registration.sync) {
+        return false;
+    }
+    
+    try {
+        await self.registration.sync.register(OUTBOX_SYNC_TAG);
+        return true;
+    } catch (error) {
+        console.log('SW Outbox: Background sync unavailable:', error.message);
+        return false;
+    }
+}
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(OUTBOX_DB_NAME, 1);
+        open.onupgradeneeded = () => {
+            const store = open.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('key', 'key', { unique: true });
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+async function outboxRequest(mode, run) {
+    const db = await openOutbox();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = run(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+async function addOutboxEntry(entry) {
+    const db = await openOutbox();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+        const store = transaction.objectStore(OUTBOX_STORE);
+        let result = null;
+        
+        const lookup = store.index('key').get(entry.key);
+        lookup.onsuccess = () => {
+            const existing = lookup.result;
+            
+            // Still waiting: the second send is the duplicate
+            if (existing && existing.status !== 'failed') {
+                result = { id: existing.id, duplicate: true };
+                return;
+            }
+            
+            // Sending again after giving up starts the attempts over
+            const write = existing ? store.put({ ...entry, id: existing.id }) : store.add(entry);
+            write.onsuccess = () => {
+                result = { id: write.result, duplicate: false };
+            };
+        };
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+async function retryOutboxEntry(id) {
+    const entry = await outboxRequest('readonly', store => store.get(id));
+    if (entry) {
+        await outboxRequest('readwrite', store => store.put({ ...entry, status: 'pending', attempts: 0 }));
+    }
+}
+
+function flushOutbox() {
+    if (!outboxFlush) {
+        outboxFlush = replayOutbox().finally(() => {
+            outboxFlush = null;
+        });
+    }
+    return outboxFlush;
+}
+
+async function replayOutbox() {
+    const entries = (await outboxRequest('readonly', store => store.getAll()))
+        .filter(entry => entry.status === 'pending');
+    
+    if (entries.length === 0) {
+        return;
+    }
+    
+    // One at a time and oldest first, so notes arrive in the order they were written
+    let remaining = 0;
+    for (const entry of entries) {
+        if (await replayEntry(entry) === 'pending') {
+            remaining++;
+        }
+    }
+    
+    notifyClients('OUTBOX_STATUS', await getOutboxStatus());
+    console.log(`SW Outbox: Replayed ${entries.length} requests, ${remaining} still pending`);
+    
+    if (remaining > 0) {
+        throw new Error(`${remaining} outbox requests still pending`);
+    }
+}
+
+async function replayEntry(entry) {
+    let response;
+    try {
+        response = await fetch(entry.url, {
+            method: entry.method,
+            headers: entry.headers,
+            body: entry.body,
+            credentials: 'same-origin'
+        });
+    } catch (error) {
+        return recordOutboxFailure(entry, error.message, true);
+    }
+    
+    if (response.ok) {
+        await outboxRequest('readwrite', store => store.delete(entry.id));
+        notifyClients('OUTBOX_SENT', {
+            ...summarizeOutboxEntry(entry),
+            response: await response.text().catch(() => null)
+        });
+        return 'sent';
+    }
+    
+    return recordOutboxFailure(entry, `HTTP ${response.status}`, isRetryableStatus(response.status));
+}
+
+async function recordOutboxFailure(entry, reason, retryable) {
+    const attempts = entry.attempts + 1;
+    const status = retryable && attempts < OUTBOX_MAX_ATTEMPTS ? 'pending' : 'failed';
+    const updated = { ...entry, attempts, status, lastError: reason };
+    
+    await outboxRequest('readwrite', store => store.put(updated));
+    
+    if (status === 'failed') {
+        // Failed entries stay until the page retries or discards them
+        notifyClients('OUTBOX_FAILED', summarizeOutboxEntry(updated));
+    }
+    
+    return status;
+}
+
+function summarizeOutboxEntry(entry) {
+    const { id, key, kind, url, status, attempts, lastError, createdAt } = entry;
+    return { id, key, kind, url, status, attempts, lastError, createdAt };
+}
+
+async function getOutboxStatus() {
+    try {
+        const entries = (await outboxRequest('readonly', store => store.getAll())).map(summarizeOutboxEntry);
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length,
+            entries
+        };
+    } catch (error) {
+        console.error('SW Outbox: Failed to read outbox:', error);
+        return { pending: 0, failed: 0, entries: [] };
+    }
+}
+
+async function notifyClients(type, data) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type, data }));
+}
+
+async function preloadAudio(urls, { id = null, client = null } = {}) {
+    const downloaded = [];
+    const failed = [];
+    if (!Array.isArray(urls)) return { downloaded, failed, cancelled: false };
+    
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    const controller = new AbortController();
+    if (id) preloadJobs.set(id, controller);
+    
+    const report = (progress = {}) => {
+        if (!client || !id) return;
+        client.postMessage({
+            type: 'PRELOAD_PROGRESS',
+            data: { id, total: urls.length, done: downloaded.length, failed: failed.length, ...progress }
+        });
+    };
+    
+    // One file at a time, so a whole category does not saturate the connection
+    for (const url of urls) {
+        if (controller.signal.aborted) break;
+        
+        let completed = null;
+        try {
+            const size = await downloadAudio(cache, url, controller.signal, (loaded, length) => report({ url, loaded, length }));
+            completed = { url, size };
+            downloaded.push(completed);
+            console.log(`SW: Preloaded audio: ${url}`);
         } catch (error) {
+            if (controller.signal.aborted) break;
+            failed.push(url);
             console.error(`SW: Failed to preload audio ${url}:`, error);
         }
+        
+        // The page records a finished file from this report, in case the event is stopped before it answers
+        report(completed ? { completed } : {});
+    }
+    
+    if (id) preloadJobs.delete(id);
+    return { downloaded, failed, cancelled: controller.signal.aborted };
+}
+
+async function downloadAudio(cache, url, signal, onProgress) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const length = parseInt(response.headers.get('content-length')) || 0;
+    let loaded = 0;
+    let lastReport = 0;
+    
+    // Count bytes on their way into the cache instead of holding the file in memory
+    const counter = new TransformStream({
+        transform(chunk, stream) {
+            loaded += chunk.byteLength;
+            if (Date.now() - lastReport > 250) {
+                lastReport = Date.now();
+                onProgress(loaded, length);
+            }
+            stream.enqueue(chunk);
+        }
     });
     
-    await Promise.all(preloadPromises);
+    const headers = new Headers({ 'Content-Type': response.headers.get('content-type') || 'audio/mpeg' });
+    if (length) headers.set('Content-Length', String(length));
+    
+    await cache.put(url, new Response(response.body.pipeThrough(counter, { signal }), { headers }));
+    onProgress(loaded, length);
+    return loaded;
+}
+
+function cancelPreload(id) {
+    const controller = preloadJobs.get(id);
+    if (controller) {
+        controller.abort();
+        preloadJobs.delete(id);
+    }
 }
 
 async function getCacheSize() {
@@ -552,12 +1091,18 @@ console.log(`SW: Radio Adamowo Service Worker ${CACHE_VERSION} loaded`);
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         CACHE_NAME,
+        CACHE_PREFIX,
+        PRECACHE_MANIFEST,
         CACHE_STRATEGIES,
         handleRequest,
         cacheFirst,
         networkFirst,
         staleWhileRevalidate,
         shouldCache,
-        isExpired
+        isExpired,
+        parseRange,
+        createRangeResponse,
+        getTotalSize,
+        isRetryableStatus
     };
 }
\ No newline at end of file
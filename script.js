@@ -1,8 +1,37 @@
 // ===== CONFIGURATION =====
 const CONFIG = {
     // Stream configuration - set to empty string to hide live functionality
-    STREAM_URL: '', // 'https://example.com/radio-adamowo/stream.m3u8'
-    FALLBACK_URL: '',
+    STREAM_URL: '', // 'https://example.com/radio-adamowo/stream.m3u8' or '/data/hls-fixture/stream.m3u8' (public/data is served at /data)
+    FALLBACK_URL: '', // Icecast/MP3 mount or second HLS playlist
+    HLS_LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/hls.js@1.5.7/dist/hls.min.js',
+    // SRI hash of that exact file; a new version needs a new hash (openssl dgst -sha384 -binary hls.min.js | openssl base64 -A)
+    HLS_LIBRARY_INTEGRITY: 'sha384-1B+J55elPxu+trIhW7QThjZg3evX8C5P6zjB82Xnn46RKPAXpL+vkanRSjCidsJv',
+    EFFECTS_MODULE_URL: './src/scripts/modules/audio/effects.js',
+    VISUALIZER_MODULE_URL: './src/scripts/modules/visualizer/visualizer.js',
+    PLAYLIST_LOADER_URL: './src/scripts/modules/playlist/loader.js',
+    MOOD_MODULE_URL: './src/scripts/modules/playlist/mood.js',
+    METADATA_MODULE_URL: './src/scripts/modules/metadata/reader.js',
+    TAGS_MODULE_URL: './src/scripts/modules/metadata/tags.js',
+    HISTORY_MODULE_URL: './src/scripts/modules/history/history.js',
+    UTILS_MODULE_URL: './src/scripts/modules/utils/helpers.js',
+    PLAYLIST_URL: 'playlist.json',
+    
+    // Live stream reconnection
+    LIVE_RECONNECT: {
+        BASE_DELAY: 1000,
+        MAX_DELAY: 30000,
+        MAX_ATTEMPTS: 6,
+        STALL_TIMEOUT: 10000
+    },
+    
+    // Now-playing titles on the live stream (HLS streams carry ID3 tags and need none of this)
+    LIVE_METADATA: {
+        STATUS_URL: '', // Server status polled for the title, e.g. Icecast's '/status-json.xsl'
+        STATUS_INTERVAL: 15000,
+        // Reads ICY titles over a second connection to the stream, doubling the listener's
+        // bandwidth; only for Icecast/MP3 mounts without a status URL
+        ICY_READER: false
+    },
     
     // Cache configuration
     CACHE_NAME: 'radio-adamowo-v2',
@@ -22,9 +51,14 @@ const CONFIG = {
         PREV: 'ArrowLeft',
         MUTE: 'm',
         SHUFFLE: 's',
+        REPEAT: 'r',
         HOME: 'Home'
     },
     
+    // Repeat: stop at the end of the playlist, loop the playlist, or loop one track
+    REPEAT_MODES: ['off', 'all', 'one'],
+    REPEAT_STORAGE_KEY: 'radio-adamowo-repeat-mode',
+    
     // i18n settings
     DEFAULT_LANGUAGE: 'pl',
     SUPPORTED_LANGUAGES: ['pl', 'en', 'nl'],
@@ -38,6 +72,9 @@ const AppState = {
     audioSource: null,
     analyser: null,
     gainNode: null,
+    effects: null,
+    visualizer: null,
+    metadataReader: null,
     isAudioInitialized: false,
     isPlaying: false,
     isMuted: false,
@@ -56,6 +93,11 @@ const AppState = {
     currentPlaylist: [],
     currentTrackIndex: 0,
     isShuffled: false,
+    repeatMode: 'all',
+    catalogue: null,
+    currentMood: null,
+    moodPicks: [],
+    recentFiles: [],
     
     // UI
     animationId: null,
@@ -67,6 +109,11 @@ const AppState = {
     // HLS
     hls: null,
     isLiveMode: false,
+    liveSourceUrl: null,
+    liveReconnectAttempts: 0,
+    onDemandPosition: null,
+    nowPlaying: null,
+    liveHistory: [],
     
     // i18n
     currentLanguage: CONFIG.DEFAULT_LANGUAGE,
@@ -338,6 +385,7 @@ const I18nManager = {
         this.updateElement('.mood-title', 'radio.moodTitle');
         this.updateElement('.mood-hint', 'radio.moodHint');
         this.updateElement('.live-text', 'radio.liveToggle');
+        this.updateElement('#live-history summary', 'radio.live.historyTitle');
         this.updateElement('#current-track', 'radio.trackInfo');
         
         // Update mood buttons
@@ -345,6 +393,13 @@ const I18nManager = {
         moods.forEach(mood => {
             this.updateElement(`[data-mood="${mood}"]`, `radio.moods.${mood}`);
         });
+        this.updateElement('#mood-history summary', 'radio.moodQueue.historyTitle');
+        
+        AudioPlayer.updateRepeatButton();
+        MoodPlaylistManager.renderHistory();
+        if (AppState.currentPlaylist[AppState.currentTrackIndex]) {
+            MoodPlaylistManager.showReason(AppState.currentPlaylist[AppState.currentTrackIndex]);
+        }
         
         // Update playlist buttons
         const playlists = ['ambient', 'disco', 'hiphop', 'barbara'];
@@ -754,10 +809,26 @@ const PWAManager = {
         if ('serviceWorker' in navigator) {
             window.addEventListener('load', () => {
                 navigator.serviceWorker.register('/sw.js')
-                    .then(reg => console.log('Service Worker registered:', reg.scope))
+                    .then(reg => {
+                        console.log('Service Worker registered:', reg.scope);
+                        this.setupUpdates(reg);
+                    })
                     .catch(err => console.error('Service Worker registration failed:', err));
             });
         }
+    },
+    
+    setupUpdates(registration) {
+        // New versions wait for the listener: a toast offers the reload, deferred while audio plays.
+        // The classes come from the module entry in index.html (src/scripts/services.js)
+        const services = window.RadioAdamowoServices;
+        if (!services) {
+            console.warn('Update manager unavailable: services entry not loaded');
+            return;
+        }
+        
+        AppState.updateManager = new services.UpdateManager();
+        AppState.updateManager.init(registration);
     }
 };
 
@@ -1006,8 +1077,7 @@ const UIManager = {
     },
     
     showProgressModal() {
-        // Implementation for progress modal
-        Utils.showToast(I18nManager.t('common.loading'), 'info');
+        HistoryManager.showStats();
     }
 };
 
@@ -1041,6 +1111,12 @@ const KeyboardManager = {
                     e.preventDefault();
                     AudioPlayer.toggleShuffle();
                     break;
+                case CONFIG.SHORTCUTS.REPEAT:
+                    // Leave Ctrl+R / Cmd+R to the browser
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    AudioPlayer.cycleRepeatMode();
+                    break;
                 case CONFIG.SHORTCUTS.HOME:
                     e.preventDefault();
                     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -1328,6 +1404,897 @@ const SinsGuide = {
     }
 };
 
+// ===== LIVE STREAM MANAGER =====
+const LiveStreamManager = {
+    sources: [],
+    sourceIndex: 0,
+    reconnectTimer: null,
+    stallTimer: null,
+    hlsLibraryPromise: null,
+    listenersBound: false,
+    
+    async start() {
+        const audioElement = Utils.$('#radio-player');
+        if (!audioElement) return;
+        
+        this.sources = [CONFIG.STREAM_URL, CONFIG.FALLBACK_URL].filter(url => url && url.trim());
+        if (this.sources.length === 0) return;
+        
+        this.savePosition(audioElement);
+        this.bindStallDetection(audioElement);
+        
+        this.sourceIndex = 0;
+        AppState.liveReconnectAttempts = 0;
+        
+        LiveMetadataManager.saveDisplay();
+        Utils.showToast(I18nManager.t('radio.live.connecting'), 'info');
+        await this.connect(this.sources[this.sourceIndex]);
+    },
+    
+    stop() {
+        this.clearTimers();
+        this.teardown();
+        AppState.liveSourceUrl = null;
+        AppState.liveReconnectAttempts = 0;
+        
+        LiveMetadataManager.restoreDisplay();
+        this.restorePosition();
+    },
+    
+    savePosition(audioElement) {
+        // Remember where on-demand playback was so switching live off resumes it
+        AppState.onDemandPosition = audioElement.src ? {
+            src: audioElement.src,
+            currentTime: audioElement.currentTime,
+            trackIndex: AppState.currentTrackIndex,
+            wasPlaying: AppState.isPlaying
+        } : null;
+    },
+    
+    restorePosition() {
+        const audioElement = Utils.$('#radio-player');
+        const position = AppState.onDemandPosition;
+        AppState.onDemandPosition = null;
+        
+        if (!audioElement) return;
+        
+        audioElement.pause();
+        audioElement.removeAttribute('src');
+        
+        if (!position) {
+            audioElement.load();
+            return;
+        }
+        
+        AppState.currentTrackIndex = position.trackIndex;
+        audioElement.src = position.src;
+        audioElement.addEventListener('loadedmetadata', () => {
+            audioElement.currentTime = position.currentTime;
+            if (position.wasPlaying) {
+                audioElement.play().catch(error => console.warn('Resume after live failed:', error));
+            }
+        }, { once: true });
+        audioElement.load();
+    },
+    
+    async connect(url) {
+        const audioElement = Utils.$('#radio-player');
+        if (!audioElement || !AppState.isLiveMode) return;
+        
+        this.teardown();
+        AppState.liveSourceUrl = url;
+        
+        // Streams are routed through the Web Audio graph, which needs CORS
+        audioElement.crossOrigin = 'anonymous';
+        
+        try {
+            if (this.isHlsUrl(url) && !audioElement.canPlayType('application/vnd.apple.mpegurl')) {
+                const Hls = await this.loadHlsLibrary();
+                if (!Hls || !Hls.isSupported()) {
+                    throw new Error('HLS playback is not supported in this browser');
+                }
+                
+                // ID3 titles come from the parsed fragments instead of metadata text tracks
+                AppState.hls = new Hls({ liveDurationInfinity: true, enableID3MetadataCues: false });
+                AppState.hls.on(Hls.Events.FRAG_PARSING_METADATA, (event, data) => {
+                    LiveMetadataManager.handleId3Samples(data.samples, audioElement);
+                });
+                AppState.hls.on(Hls.Events.ERROR, (event, data) => {
+                    if (data.fatal) {
+                        console.warn('HLS fatal error:', data.type, data.details);
+                        this.handleFailure(data.details);
+                    }
+                });
+                AppState.hls.loadSource(url);
+                AppState.hls.attachMedia(audioElement);
+            } else {
+                // Native HLS (Safari) or a plain Icecast/MP3 mount
+                audioElement.src = url;
+            }
+            
+            LiveMetadataManager.attach(url, audioElement);
+            
+            if (AppState.audioContext && AppState.audioContext.state === 'suspended') {
+                await AppState.audioContext.resume();
+            }
+            
+            await audioElement.play();
+        } catch (error) {
+            console.error('Live stream connection failed:', error);
+            this.handleFailure(error.message);
+        }
+    },
+    
+    isHlsUrl(url) {
+        return /\.m3u8($|\?)/i.test(url);
+    },
+    
+    loadHlsLibrary() {
+        if (window.Hls) return Promise.resolve(window.Hls);
+        
+        if (!this.hlsLibraryPromise) {
+            this.hlsLibraryPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = CONFIG.HLS_LIBRARY_URL;
+                script.integrity = CONFIG.HLS_LIBRARY_INTEGRITY;
+                script.crossOrigin = 'anonymous';
+                script.async = true;
+                script.onload = () => resolve(window.Hls);
+                script.onerror = () => {
+                    this.hlsLibraryPromise = null;
+                    reject(new Error('Failed to load hls.js'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        
+        return this.hlsLibraryPromise;
+    },
+    
+    bindStallDetection(audioElement) {
+        if (this.listenersBound) return;
+        this.listenersBound = true;
+        
+        const armStallTimer = () => {
+            if (!AppState.isLiveMode || this.stallTimer) return;
+            this.stallTimer = setTimeout(() => {
+                this.stallTimer = null;
+                this.handleFailure('stalled');
+            }, CONFIG.LIVE_RECONNECT.STALL_TIMEOUT);
+        };
+        
+        const clearStallTimer = () => {
+            clearTimeout(this.stallTimer);
+            this.stallTimer = null;
+        };
+        
+        audioElement.addEventListener('waiting', armStallTimer);
+        audioElement.addEventListener('stalled', armStallTimer);
+        audioElement.addEventListener('timeupdate', clearStallTimer);
+        audioElement.addEventListener('playing', () => {
+            clearStallTimer();
+            if (AppState.isLiveMode) {
+                AppState.liveReconnectAttempts = 0;
+            }
+        });
+        audioElement.addEventListener('ended', () => {
+            // A live stream never ends on its own; treat it as a dropped connection
+            if (AppState.isLiveMode) this.handleFailure('ended');
+        });
+    },
+    
+    handleFailure(reason) {
+        if (!AppState.isLiveMode || this.reconnectTimer) return;
+        
+        AppState.liveReconnectAttempts++;
+        
+        if (AppState.liveReconnectAttempts > CONFIG.LIVE_RECONNECT.MAX_ATTEMPTS) {
+            if (this.sourceIndex < this.sources.length - 1) {
+                this.sourceIndex++;
+                AppState.liveReconnectAttempts = 0;
+                Utils.showToast(I18nManager.t('radio.live.fallback'), 'info');
+                this.connect(this.sources[this.sourceIndex]);
+            } else {
+                Utils.showToast(I18nManager.t('radio.live.unavailable'), 'error');
+                AudioPlayer.toggleLiveMode(false);
+            }
+            return;
+        }
+        
+        // Exponential backoff with jitter
+        const { BASE_DELAY, MAX_DELAY } = CONFIG.LIVE_RECONNECT;
+        const delay = Math.min(BASE_DELAY * Math.pow(2, AppState.liveReconnectAttempts - 1), MAX_DELAY);
+        const jitter = Math.random() * delay * 0.2;
+        
+        console.warn(`Live stream interrupted (${reason}), reconnecting in ${Math.round(delay + jitter)}ms`);
+        Utils.showToast(I18nManager.t('radio.live.reconnecting'), 'info');
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect(this.sources[this.sourceIndex]);
+        }, delay + jitter);
+    },
+    
+    teardown() {
+        LiveMetadataManager.detach();
+        
+        if (AppState.hls) {
+            AppState.hls.destroy();
+            AppState.hls = null;
+        }
+    },
+    
+    clearTimers() {
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.stallTimer);
+        this.reconnectTimer = null;
+        this.stallTimer = null;
+    }
+};
+
+// ===== LIVE METADATA MANAGER =====
+const LiveMetadataManager = {
+    HISTORY_KEY: 'radio-adamowo-live-history',
+    HISTORY_LIMIT: 25,
+    
+    icyController: null,
+    statusTimer: null,
+    sampleTimers: new Set(),
+    tagsModule: null,
+    textTracksBound: false,
+    savedDisplay: null,
+    
+    init() {
+        try {
+            AppState.liveHistory = JSON.parse(localStorage.getItem(this.HISTORY_KEY) || '[]');
+        } catch (error) {
+            AppState.liveHistory = [];
+        }
+        this.renderHistory();
+    },
+    
+    attach(url, audioElement) {
+        // Native HLS (Safari) exposes ID3 frames as metadata text tracks; hls.js reports them per fragment
+        this.bindTextTracks(audioElement);
+        
+        if (CONFIG.LIVE_METADATA.STATUS_URL) {
+            this.startStatusPolling(url);
+        } else if (CONFIG.LIVE_METADATA.ICY_READER && !LiveStreamManager.isHlsUrl(url)) {
+            this.startIcyReader(url);
+        }
+    },
+    
+    detach() {
+        if (this.icyController) {
+            this.icyController.abort();
+            this.icyController = null;
+        }
+        
+        clearInterval(this.statusTimer);
+        this.statusTimer = null;
+        
+        this.sampleTimers.forEach(timer => clearTimeout(timer));
+        this.sampleTimers.clear();
+    },
+    
+    bindTextTracks(audioElement) {
+        if (this.textTracksBound || !audioElement.textTracks) return;
+        this.textTracksBound = true;
+        
+        const watchTrack = (track) => {
+            if (track.kind !== 'metadata') return;
+            track.mode = 'hidden';
+            track.addEventListener('cuechange', () => {
+                if (!AppState.isLiveMode || !track.activeCues) return;
+                this.handleId3Cues(Array.from(track.activeCues));
+            });
+        };
+        
+        Array.from(audioElement.textTracks).forEach(watchTrack);
+        audioElement.textTracks.addEventListener('addtrack', (e) => watchTrack(e.track));
+    },
+    
+    handleId3Cues(cues) {
+        const info = {};
+        
+        cues.forEach(cue => {
+            const frame = cue.value;
+            if (!frame || typeof frame.data !== 'string') return;
+            
+            switch (frame.key) {
+                case 'TIT2':
+                    info.title = frame.data;
+                    break;
+                case 'TPE1':
+                    info.artist = frame.data;
+                    break;
+                case 'TXXX':
+                    if (/streamtitle|title/i.test(frame.info || '')) {
+                        Object.assign(info, this.parseStreamTitle(frame.data));
+                    }
+                    break;
+            }
+        });
+        
+        if (info.title) {
+            this.setNowPlaying(info);
+        }
+    },
+    
+    async handleId3Samples(samples, audioElement) {
+        if (!Array.isArray(samples) || samples.length === 0) return;
+        
+        try {
+            this.tagsModule = this.tagsModule || await import(CONFIG.TAGS_MODULE_URL);
+        } catch (error) {
+            console.warn('ID3 parser unavailable:', error);
+            return;
+        }
+        
+        samples.forEach(sample => {
+            const tags = this.tagsModule.parseTags(sample.data);
+            if (!tags || !tags.title) return;
+            
+            // Fragments are parsed ahead of playback; the title changes when its audio is heard
+            const delay = Number.isFinite(sample.pts) ? Math.max(0, sample.pts - audioElement.currentTime) : 0;
+            const timer = setTimeout(() => {
+                this.sampleTimers.delete(timer);
+                if (AppState.isLiveMode) {
+                    this.setNowPlaying({ title: tags.title, artist: tags.artist });
+                }
+            }, delay * 1000);
+            this.sampleTimers.add(timer);
+        });
+    },
+    
+    startStatusPolling(streamUrl) {
+        this.detach();
+        
+        const poll = async () => {
+            try {
+                const response = await fetch(CONFIG.LIVE_METADATA.STATUS_URL, { cache: 'no-store' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const info = this.parseStatus(await response.json(), streamUrl);
+                if (info && AppState.isLiveMode) {
+                    this.setNowPlaying(info);
+                }
+            } catch (error) {
+                console.warn('Live status unavailable:', error);
+            }
+        };
+        
+        poll();
+        this.statusTimer = setInterval(poll, CONFIG.LIVE_METADATA.STATUS_INTERVAL);
+    },
+    
+    parseStatus(status, streamUrl) {
+        // Icecast lists a single source as an object and several as an array
+        const sources = [].concat((status && status.icestats && status.icestats.source) || []);
+        const pathOf = (url) => {
+            try {
+                return new URL(url, location.href).pathname;
+            } catch (error) {
+                return null;
+            }
+        };
+        
+        const mount = pathOf(streamUrl);
+        const source = sources.find(item => item.listenurl && pathOf(item.listenurl) === mount) || sources[0];
+        if (!source || !source.title) return null;
+        
+        return source.artist
+            ? { title: String(source.title), artist: String(source.artist) }
+            : this.parseStreamTitle(String(source.title));
+    },
+    
+    async startIcyReader(url) {
+        this.detach();
+        
+        // Browsers hide in-band ICY data from <audio>, so a metadata-only request reads it
+        const controller = new AbortController();
+        this.icyController = controller;
+        
+        try {
+            const response = await fetch(url, {
+                headers: { 'Icy-MetaData': '1' },
+                signal: controller.signal
+            });
+            
+            const metaInt = parseInt(response.headers.get('icy-metaint'), 10);
+            if (!response.ok || !metaInt || !response.body) {
+                controller.abort();
+                return;
+            }
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder('utf-8');
+            let audioBytesLeft = metaInt;
+            let metaBytesLeft = null;
+            let metaChunks = [];
+            
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                
+                let offset = 0;
+                while (offset < value.length) {
+                    if (audioBytesLeft > 0) {
+                        const skip = Math.min(audioBytesLeft, value.length - offset);
+                        audioBytesLeft -= skip;
+                        offset += skip;
+                    } else if (metaBytesLeft === null) {
+                        // Length byte: metadata block size in 16-byte units
+                        metaBytesLeft = value[offset++] * 16;
+                        metaChunks = [];
+                        if (metaBytesLeft === 0) {
+                            metaBytesLeft = null;
+                            audioBytesLeft = metaInt;
+                        }
+                    } else {
+                        const take = Math.min(metaBytesLeft, value.length - offset);
+                        metaChunks.push(value.subarray(offset, offset + take));
+                        metaBytesLeft -= take;
+                        offset += take;
+                        
+                        if (metaBytesLeft === 0) {
+                            const text = metaChunks.map(chunk => decoder.decode(chunk, { stream: true })).join('') + decoder.decode();
+                            this.handleIcyMetadata(text.replace(/\0+$/, ''));
+                            metaBytesLeft = null;
+                            audioBytesLeft = metaInt;
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('ICY metadata unavailable:', error);
+            }
+        }
+    },
+    
+    handleIcyMetadata(text) {
+        const match = /StreamTitle='(.*?)';/.exec(text);
+        if (match && match[1].trim()) {
+            this.setNowPlaying(this.parseStreamTitle(match[1]));
+        }
+    },
+    
+    parseStreamTitle(streamTitle) {
+        const separator = streamTitle.indexOf(' - ');
+        if (separator === -1) {
+            return { title: streamTitle.trim() };
+        }
+        
+        return {
+            artist: streamTitle.slice(0, separator).trim(),
+            title: streamTitle.slice(separator + 3).trim()
+        };
+    },
+    
+    setNowPlaying({ title, artist }) {
+        const current = AppState.nowPlaying;
+        if (current && current.title === title && current.artist === (artist || '')) return;
+        
+        AppState.nowPlaying = { title, artist: artist || '', playedAt: Date.now() };
+        
+        AppState.liveHistory.unshift(AppState.nowPlaying);
+        AppState.liveHistory = AppState.liveHistory.slice(0, this.HISTORY_LIMIT);
+        
+        try {
+            localStorage.setItem(this.HISTORY_KEY, JSON.stringify(AppState.liveHistory));
+        } catch (error) {
+            console.warn('Failed to save live history:', error);
+        }
+        
+        this.updateDisplay(title, artist || 'Radio Adamowo');
+        AudioPlayer.updateMediaSession({ title, artist, album: I18nManager.t('radio.liveToggle') });
+        this.renderHistory();
+    },
+    
+    updateDisplay(title, artist) {
+        const trackEl = Utils.$('#current-track');
+        const artistEl = Utils.$('#track-artist');
+        
+        if (trackEl) trackEl.textContent = title;
+        if (artistEl) artistEl.textContent = artist;
+    },
+    
+    saveDisplay() {
+        const trackEl = Utils.$('#current-track');
+        const artistEl = Utils.$('#track-artist');
+        
+        this.savedDisplay = {
+            title: trackEl ? trackEl.textContent : '',
+            artist: artistEl ? artistEl.textContent : ''
+        };
+    },
+    
+    restoreDisplay() {
+        AppState.nowPlaying = null;
+        
+        if (this.savedDisplay) {
+            this.updateDisplay(this.savedDisplay.title, this.savedDisplay.artist);
+            AudioPlayer.updateMediaSession(this.savedDisplay);
+            this.savedDisplay = null;
+        }
+    },
+    
+    renderHistory() {
+        const container = Utils.$('#live-history');
+        const list = Utils.$('#live-history-list');
+        if (!container || !list) return;
+        
+        container.classList.toggle('hidden', AppState.liveHistory.length === 0);
+        list.innerHTML = '';
+        
+        AppState.liveHistory.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'live-history-item';
+            
+            const time = document.createElement('time');
+            time.dateTime = new Date(entry.playedAt).toISOString();
+            time.textContent = new Date(entry.playedAt).toLocaleTimeString(AppState.currentLanguage, {
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            
+            const label = document.createElement('span');
+            label.textContent = entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+            
+            item.appendChild(time);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+    }
+};
+
+// ===== MOOD PLAYLIST MANAGER =====
+const MoodPlaylistManager = {
+    QUEUE_LENGTH: 20,
+    RECENT_LIMIT: 50,
+    
+    module: null,
+    history: null,
+    
+    init() {
+        Utils.$$('.mood-buttons .mood-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectMood(btn.dataset.mood));
+        });
+        
+        // History is rendered as soon as the module is available; playback waits for a click
+        this.loadModule()
+            .then(() => this.renderHistory())
+            .catch(error => console.warn('Mood playlists unavailable:', error));
+    },
+    
+    async loadModule() {
+        if (!this.module) {
+            this.module = await import(CONFIG.MOOD_MODULE_URL);
+            this.history = new this.module.MoodHistory();
+        }
+        return this.module;
+    },
+    
+    async loadCatalogue() {
+        if (!AppState.catalogue) {
+            const { PlaylistLoader } = await import(CONFIG.PLAYLIST_LOADER_URL);
+            const playlist = await new PlaylistLoader({ url: CONFIG.PLAYLIST_URL }).load();
+            AppState.catalogue = playlist.tracks;
+        }
+        return AppState.catalogue;
+    },
+    
+    async selectMood(mood) {
+        try {
+            const { generateMoodQueue } = await this.loadModule();
+            const tracks = await this.loadCatalogue();
+            
+            const picks = generateMoodQueue(tracks, mood, {
+                length: this.QUEUE_LENGTH,
+                recentFiles: AppState.recentFiles
+            });
+            
+            if (picks.length === 0) {
+                Utils.showToast(I18nManager.t('radio.moodQueue.unavailable'), 'warning');
+                return;
+            }
+            
+            AppState.currentMood = mood;
+            AppState.moodPicks = picks;
+            AppState.currentPlaylist = picks.map(pick => pick.track);
+            
+            this.history.record(mood);
+            this.renderHistory();
+            this.updateButtons();
+            
+            if (AppState.isLiveMode) {
+                await AudioPlayer.toggleLiveMode(false);
+            }
+            
+            Utils.showToast(I18nManager.t('radio.moodQueue.generated', { count: picks.length }), 'success');
+            await AudioPlayer.playFromPlaylist(0);
+            
+        } catch (error) {
+            console.error('Failed to build mood playlist:', error);
+            Utils.showToast(I18nManager.t('radio.moodQueue.unavailable'), 'error');
+        }
+    },
+    
+    rememberPlayed(file) {
+        AppState.recentFiles = [file, ...AppState.recentFiles.filter(entry => entry !== file)].slice(0, this.RECENT_LIMIT);
+    },
+    
+    updateButtons() {
+        Utils.$$('.mood-buttons .mood-btn').forEach(btn => {
+            const isActive = btn.dataset.mood === AppState.currentMood;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', isActive.toString());
+        });
+    },
+    
+    describePick(track) {
+        const pick = AppState.moodPicks.find(entry => entry.track === track);
+        if (!pick) return '';
+        
+        const reasons = pick.reasons.map(reason => {
+            switch (reason.type) {
+                case 'category':
+                    return I18nManager.t('radio.moodQueue.reasons.category', { value: I18nManager.t(`radio.playlists.${reason.value}`) });
+                case 'tag':
+                    return I18nManager.t('radio.moodQueue.reasons.tag', { value: I18nManager.t(`radio.moodTags.${reason.value}`) });
+                case 'energy':
+                    return I18nManager.t('radio.moodQueue.reasons.energy', { value: reason.value });
+                case 'fresh':
+                    return I18nManager.t('radio.moodQueue.reasons.fresh');
+                default:
+                    return null;
+            }
+        }).filter(Boolean);
+        
+        return I18nManager.t('radio.moodQueue.why', {
+            mood: I18nManager.t(`radio.moods.${AppState.currentMood}`),
+            reasons: reasons.join(', ')
+        });
+    },
+    
+    showReason(track) {
+        const reasonEl = Utils.$('#mood-reason');
+        if (!reasonEl) return;
+        
+        const text = this.describePick(track);
+        reasonEl.textContent = text;
+        reasonEl.classList.toggle('hidden', !text);
+    },
+    
+    renderHistory() {
+        const container = Utils.$('#mood-history');
+        const list = Utils.$('#mood-history-list');
+        if (!container || !list || !this.history) return;
+        
+        const entries = this.history.list(5);
+        container.classList.toggle('hidden', entries.length === 0);
+        list.innerHTML = '';
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'mood-history-item';
+            
+            const time = document.createElement('time');
+            time.dateTime = new Date(entry.at).toISOString();
+            time.textContent = new Date(entry.at).toLocaleString(AppState.currentLanguage, {
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            
+            const label = document.createElement('span');
+            label.textContent = I18nManager.t(`radio.moods.${entry.mood}`);
+            
+            item.appendChild(label);
+            item.appendChild(time);
+            list.appendChild(item);
+        });
+    }
+};
+
+// ===== LISTENING HISTORY MANAGER =====
+const HistoryManager = {
+    RECENT_LIMIT: 10,
+    
+    module: null,
+    history: null,
+    session: null,
+    utils: null,
+    
+    init() {
+        this.setupModal();
+        
+        this.loadModule()
+            .then(() => this.setupEventListeners())
+            .catch(error => console.warn('Listening history unavailable:', error));
+    },
+    
+    async loadModule() {
+        if (!this.module) {
+            // formatDuration comes from the shared UtilsManager so both apps format time alike
+            const [history, { UtilsManager }] = await Promise.all([
+                import(CONFIG.HISTORY_MODULE_URL),
+                import(CONFIG.UTILS_MODULE_URL)
+            ]);
+            this.module = history;
+            this.history = new history.ListeningHistory();
+            this.utils = new UtilsManager();
+        }
+        return this.module;
+    },
+    
+    setupEventListeners() {
+        const audioElement = Utils.$('#radio-player');
+        if (!audioElement) return;
+        
+        // The live stream has no tracks to log
+        audioElement.addEventListener('play', () => {
+            if (this.session && !AppState.isLiveMode) this.session.play();
+        });
+        
+        audioElement.addEventListener('pause', () => {
+            if (this.session) this.session.pause();
+        });
+        
+        audioElement.addEventListener('timeupdate', () => {
+            if (this.session) this.session.update(audioElement.currentTime, audioElement.duration);
+        });
+        
+        window.addEventListener('pagehide', () => this.finishSession());
+    },
+    
+    startTrack(track) {
+        if (!this.module) return;
+        
+        // Called before the new source is set, so "ended" still describes the previous track
+        const audioElement = Utils.$('#radio-player');
+        this.finishSession({ completed: Boolean(audioElement && audioElement.ended), replaced: true });
+        this.session = new this.module.ListeningSession(track);
+    },
+    
+    finishSession(options = {}) {
+        if (!this.session) return;
+        
+        const entry = this.session.finish(options);
+        this.session = null;
+        if (entry) this.history.record(entry);
+    },
+    
+    setupModal() {
+        const modal = Utils.$('#stats-modal');
+        if (!modal) return;
+        
+        const closeBtn = Utils.$('#stats-modal-close');
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeStats());
+        
+        const clearBtn = Utils.$('#stats-clear');
+        if (clearBtn) clearBtn.addEventListener('click', () => this.clearHistory());
+        
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeStats();
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+                this.closeStats();
+            }
+        });
+    },
+    
+    async showStats() {
+        const modal = Utils.$('#stats-modal');
+        if (!modal) return;
+        
+        try {
+            await this.loadModule();
+        } catch (error) {
+            console.error('Listening history unavailable:', error);
+            Utils.showToast(I18nManager.t('common.error'), 'error');
+            return;
+        }
+        
+        this.renderStats();
+        modal.classList.remove('hidden');
+        
+        const closeBtn = Utils.$('#stats-modal-close');
+        if (closeBtn) closeBtn.focus();
+    },
+    
+    closeStats() {
+        const modal = Utils.$('#stats-modal');
+        if (modal) modal.classList.add('hidden');
+    },
+    
+    clearHistory() {
+        if (!this.history) return;
+        
+        this.history.clear();
+        this.renderStats();
+        Utils.showToast(I18nManager.t('stats.cleared'), 'info');
+    },
+    
+    renderStats() {
+        const container = Utils.$('#stats-content');
+        if (!container || !this.history) return;
+        
+        const entries = this.history.list();
+        const stats = this.module.computeStats(entries, { weeks: 8 });
+        
+        if (stats.playCount === 0) {
+            container.innerHTML = `<p class="stats-empty">${I18nManager.t('stats.empty')}</p>`;
+            return;
+        }
+        
+        const duration = seconds => this.utils.formatDuration(seconds);
+        const categoryName = category => {
+            const key = `radio.playlists.${category}`;
+            const name = I18nManager.t(key);
+            return name === key ? category : name;
+        };
+        const trackTitle = track => this.utils.escapeHtml(track.title || Utils.generateTitle(track.file));
+        
+        const maxCategory = Math.max(...stats.topCategories.map(item => item.seconds), 1);
+        const maxWeek = Math.max(...stats.weekly.map(week => week.seconds), 1);
+        
+        container.innerHTML = `
+            <div class="stats-summary">
+                <div class="stats-figure"><strong>${duration(stats.totalSeconds)}</strong><span>${I18nManager.t('stats.totalTime')}</span></div>
+                <div class="stats-figure"><strong>${stats.playCount}</strong><span>${I18nManager.t('stats.plays')}</span></div>
+                <div class="stats-figure"><strong>${stats.completedCount}</strong><span>${I18nManager.t('stats.completed')}</span></div>
+                <div class="stats-figure"><strong>${stats.skippedCount}</strong><span>${I18nManager.t('stats.skipped')}</span></div>
+            </div>
+            
+            <h4 class="stats-heading">${I18nManager.t('stats.topCategories')}</h4>
+            <ul class="stats-bars">
+                ${stats.topCategories.map(item => `
+                    <li class="stats-bar-row">
+                        <span class="stats-bar-label">${this.utils.escapeHtml(categoryName(item.category))}</span>
+                        <span class="stats-bar"><span style="width: ${Math.round(item.seconds / maxCategory * 100)}%"></span></span>
+                        <span class="stats-bar-value">${duration(item.seconds)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            
+            <h4 class="stats-heading">${I18nManager.t('stats.weekly')}</h4>
+            <div class="stats-weeks" role="img" aria-label="${I18nManager.t('stats.weekly')}">
+                ${stats.weekly.map(week => `
+                    <div class="stats-week" title="${duration(week.seconds)}">
+                        <span class="stats-week-bar" style="height: ${Math.round(week.seconds / maxWeek * 100)}%"></span>
+                        <span class="stats-week-label">${new Date(week.weekStart).toLocaleDateString(AppState.currentLanguage, { day: 'numeric', month: 'numeric' })}</span>
+                    </div>
+                `).join('')}
+            </div>
+            
+            <h4 class="stats-heading">${I18nManager.t('stats.mostSkipped')}</h4>
+            ${stats.mostSkipped.length === 0 ? `<p class="stats-empty">${I18nManager.t('stats.noSkips')}</p>` : `
+                <ol class="stats-list">
+                    ${stats.mostSkipped.map(track => `
+                        <li>${trackTitle(track)} <span class="stats-muted">${I18nManager.t('stats.skipCount', { skips: track.skips, plays: track.plays })}</span></li>
+                    `).join('')}
+                </ol>
+            `}
+            
+            <h4 class="stats-heading">${I18nManager.t('stats.recent')}</h4>
+            <ol class="stats-list">
+                ${entries.slice(0, this.RECENT_LIMIT).map(entry => `
+                    <li>
+                        ${trackTitle(entry)}
+                        <span class="stats-muted">${duration(entry.listened)} · ${I18nManager.t(entry.completed ? 'stats.status.completed' : entry.skipped ? 'stats.status.skipped' : 'stats.status.partial')}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+};
+
 // ===== AUDIO PLAYER =====
 const AudioPlayer = {
     async init() {
@@ -1340,6 +2307,7 @@ const AudioPlayer = {
         if (CONFIG.STREAM_URL && CONFIG.STREAM_URL.trim()) {
             if (liveContainer) liveContainer.classList.remove('hidden');
             this.setupLiveToggle();
+            LiveMetadataManager.init();
         } else {
             if (liveContainer) liveContainer.classList.add('hidden');
         }
@@ -1355,20 +2323,38 @@ const AudioPlayer = {
         });
     },
     
-    toggleLiveMode(enable) {
+    async toggleLiveMode(enable) {
         const liveToggle = Utils.$('#live-toggle');
-        if (!liveToggle) return;
+        if (!liveToggle || AppState.isLiveMode === enable) return;
+        
+        if (enable && !AppState.isAudioInitialized) {
+            await this.initializeAudio();
+        }
         
         AppState.isLiveMode = enable;
         liveToggle.setAttribute('aria-pressed', enable.toString());
+        document.body.classList.toggle('live-mode', enable);
         
         if (enable) {
-            Utils.showToast(I18nManager.t('common.success'), 'success');
+            await LiveStreamManager.start();
         } else {
-            Utils.showToast(I18nManager.t('common.success'), 'success');
+            LiveStreamManager.stop();
+            Utils.showToast(I18nManager.t('radio.live.ended'), 'info');
         }
     },
     
+    updateMediaSession({ title, artist, album } = {}) {
+        if (!('mediaSession' in navigator)) return;
+        
+        const artwork = Utils.$('#track-image');
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: title || I18nManager.t('radio.trackInfo'),
+            artist: artist || 'Radio Adamowo',
+            album: album || 'Radio Adamowo',
+            artwork: artwork && artwork.src ? [{ src: artwork.src, sizes: '512x512', type: 'image/png' }] : []
+        });
+    },
+    
     async initializeAudio() {
         if (AppState.isAudioInitialized) return;
         
@@ -1385,15 +2371,18 @@ const AudioPlayer = {
             AppState.gainNode = AppState.audioContext.createGain();
             AppState.gainNode.gain.value = AppState.currentVolume;
             
+            AppState.gainNode
+                .connect(AppState.analyser)
+                .connect(AppState.audioContext.destination);
+            
             const audioElement = Utils.$('#radio-player');
             if (audioElement) {
                 AppState.audioSource = AppState.audioContext.createMediaElementSource(audioElement);
-                AppState.audioSource
-                    .connect(AppState.gainNode)
-                    .connect(AppState.analyser)
-                    .connect(AppState.audioContext.destination);
+                AppState.audioSource.connect(await this.setupEffects());
             }
             
+            await this.setupVisualizer();
+            
             AppState.isAudioInitialized = true;
             console.log('Web Audio API initialized successfully');
             
@@ -1407,6 +2396,98 @@ const AudioPlayer = {
         }
     },
     
+    async setupEffects() {
+        // Shared with the modular player; falls back to a direct connection
+        try {
+            const { EffectsChain } = await import(CONFIG.EFFECTS_MODULE_URL);
+            AppState.effects = new EffectsChain({ audioContext: AppState.audioContext });
+            AppState.effects.output.connect(AppState.gainNode);
+            return AppState.effects.input;
+        } catch (error) {
+            console.warn('Effects chain unavailable:', error);
+            AppState.effects = null;
+            return AppState.gainNode;
+        }
+    },
+    
+    async setupVisualizer() {
+        const canvas = Utils.$('#visualizer-canvas');
+        if (!canvas) return;
+        
+        // Same renderers as the modular player; the page keeps working without them
+        try {
+            const { Visualizer } = await import(CONFIG.VISUALIZER_MODULE_URL);
+            AppState.visualizer = new Visualizer({
+                canvas,
+                analyser: AppState.analyser,
+                sizeTo: 'window',
+                onChange: () => this.updateVisualizerPicker()
+            });
+            this.renderVisualizerPicker();
+            
+            if (AppState.isPlaying) AppState.visualizer.start();
+        } catch (error) {
+            console.warn('Visualizer unavailable:', error);
+            AppState.visualizer = null;
+        }
+    },
+    
+    renderVisualizerPicker() {
+        const picker = Utils.$('#visualizer-picker');
+        if (!picker || !AppState.visualizer) return;
+        
+        picker.innerHTML = AppState.visualizer.getRenderers().map(({ id, label }) => {
+            const key = `radio.visualizer.${id}`;
+            const text = I18nManager.t(key);
+            return `<button type="button" class="visualizer-option" role="radio" data-visualizer="${id}">${text === key ? label : text}</button>`;
+        }).join('');
+        
+        picker.querySelectorAll('[data-visualizer]').forEach(button => {
+            button.addEventListener('click', () => this.setVisualizer(button.dataset.visualizer));
+        });
+        
+        picker.classList.remove('hidden');
+        this.updateVisualizerPicker();
+    },
+    
+    updateVisualizerPicker() {
+        if (!AppState.visualizer) return;
+        
+        Utils.$$('#visualizer-picker [data-visualizer]').forEach(button => {
+            const isActive = button.dataset.visualizer === AppState.visualizer.rendererId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', String(isActive));
+        });
+    },
+    
+    setVisualizer(renderer) {
+        if (!AppState.visualizer) return false;
+        AppState.visualizer.setRenderer(renderer);
+        return true;
+    },
+    
+    setEqPreset(name) {
+        if (!AppState.effects) return false;
+        AppState.effects.setPreset(name);
+        return true;
+    },
+    
+    setEqBand(index, gain) {
+        if (!AppState.effects) return false;
+        AppState.effects.setBand(index, gain);
+        return true;
+    },
+    
+    setEffectEnabled(effect, enabled) {
+        if (!AppState.effects) return false;
+        AppState.effects.setEnabled(effect, enabled);
+        return true;
+    },
+    
+    getEffectsSettings() {
+        return AppState.effects ? AppState.effects.getSettings() : null;
+    },
+    
     setupEventListeners() {
         const audioElement = Utils.$('#radio-player');
         if (!audioElement) return;
@@ -1414,16 +2495,18 @@ const AudioPlayer = {
         audioElement.addEventListener('play', () => {
             AppState.isPlaying = true;
             this.updatePlayButton();
+            if (AppState.visualizer) AppState.visualizer.start();
         });
         
         audioElement.addEventListener('pause', () => {
             AppState.isPlaying = false;
             this.updatePlayButton();
+            if (AppState.visualizer) AppState.visualizer.stop();
         });
         
         audioElement.addEventListener('ended', () => {
             if (!AppState.isLiveMode) {
-                this.next();
+                this.onTrackEnded();
             }
         });
         
@@ -1433,7 +2516,11 @@ const AudioPlayer = {
         
         audioElement.addEventListener('error', (e) => {
             console.error('Audio error:', e);
-            this.handleAudioError();
+            if (AppState.isLiveMode) {
+                LiveStreamManager.handleFailure('media-error');
+            } else {
+                this.handleAudioError();
+            }
         });
         
         // Control buttons
@@ -1441,13 +2528,17 @@ const AudioPlayer = {
         const nextBtn = Utils.$('#next-btn');
         const prevBtn = Utils.$('#prev-btn');
         const shuffleBtn = Utils.$('#shuffle-btn');
+        const repeatBtn = Utils.$('#repeat-btn');
         const muteBtn = Utils.$('#mute-btn');
         
         if (playPauseBtn) playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         if (nextBtn) nextBtn.addEventListener('click', () => this.next());
         if (prevBtn) prevBtn.addEventListener('click', () => this.prev());
         if (shuffleBtn) shuffleBtn.addEventListener('click', () => this.toggleShuffle());
+        if (repeatBtn) repeatBtn.addEventListener('click', () => this.cycleRepeatMode());
         if (muteBtn) muteBtn.addEventListener('click', () => this.toggleMute());
+        
+        this.loadRepeatMode();
     },
     
     enableControls() {
@@ -1478,12 +2569,165 @@ const AudioPlayer = {
         }
     },
     
+    async playFromPlaylist(index, { autoplay = true } = {}) {
+        const audioElement = Utils.$('#radio-player');
+        const track = AppState.currentPlaylist[index];
+        if (!audioElement || !track) return;
+        
+        if (!AppState.isAudioInitialized) {
+            await this.initializeAudio();
+        }
+        
+        AppState.currentTrackIndex = index;
+        HistoryManager.startTrack(track);
+        audioElement.src = track.file;
+        
+        this.showTrackInfo(track);
+        this.loadTrackTags(track);
+        MoodPlaylistManager.showReason(track);
+        MoodPlaylistManager.rememberPlayed(track.file);
+        
+        if (!autoplay) return;
+        
+        try {
+            await audioElement.play();
+        } catch (error) {
+            console.error('Playback error:', error);
+            Utils.showToast(I18nManager.t('common.error'), 'error');
+        }
+    },
+    
+    showTrackInfo(track) {
+        const title = track.metadata.title || Utils.generateTitle(track.file);
+        const artist = track.metadata.artist || 'Radio Adamowo';
+        const album = track.metadata.album || I18nManager.t(`radio.playlists.${track.category}`);
+        
+        const artwork = Utils.$('#track-image');
+        if (artwork) {
+            // The studio photo stays as the fallback cover
+            artwork.dataset.defaultSrc = artwork.dataset.defaultSrc || artwork.getAttribute('src');
+            artwork.src = track.metadata.artwork || artwork.dataset.defaultSrc;
+            artwork.alt = track.metadata.artwork ? album : I18nManager.t('radio.trackArtwork');
+        }
+        
+        LiveMetadataManager.updateDisplay(title, artist);
+        this.updateMediaSession({ title, artist, album });
+    },
+    
+    async loadTrackTags(track) {
+        // Real titles, artists and cover art from ID3/Vorbis tags, cached in IndexedDB
+        try {
+            if (!AppState.metadataReader) {
+                const { TrackMetadataReader } = await import(CONFIG.METADATA_MODULE_URL);
+                AppState.metadataReader = new TrackMetadataReader();
+            }
+            
+            const tags = await AppState.metadataReader.read(track.file);
+            if (!tags) return;
+            
+            ['title', 'artist', 'album', 'artwork'].forEach(field => {
+                if (!track.metadata[field] && tags[field]) track.metadata[field] = tags[field];
+            });
+            
+            if (AppState.currentPlaylist[AppState.currentTrackIndex] === track && !AppState.isLiveMode) {
+                this.showTrackInfo(track);
+            }
+        } catch (error) {
+            console.warn('Track tags unavailable:', error);
+        }
+    },
+    
     next() {
-        Utils.showToast(I18nManager.t('common.success'), 'info');
+        if (AppState.currentPlaylist.length === 0) {
+            Utils.showToast(I18nManager.t('common.success'), 'info');
+            return;
+        }
+        
+        const nextIndex = AppState.currentTrackIndex + 1;
+        if (nextIndex >= AppState.currentPlaylist.length && AppState.repeatMode === 'off') {
+            return this.stopAtEndOfList();
+        }
+        
+        return this.playFromPlaylist(nextIndex % AppState.currentPlaylist.length);
     },
     
     prev() {
-        Utils.showToast(I18nManager.t('common.success'), 'info');
+        if (AppState.currentPlaylist.length === 0) {
+            Utils.showToast(I18nManager.t('common.success'), 'info');
+            return;
+        }
+        
+        // With repeat off the first track just starts over
+        const length = AppState.currentPlaylist.length;
+        const prevIndex = AppState.currentTrackIndex - 1;
+        return this.playFromPlaylist(prevIndex < 0 && AppState.repeatMode === 'off' ? 0 : (prevIndex + length) % length);
+    },
+    
+    onTrackEnded() {
+        if (AppState.repeatMode === 'one') {
+            return this.playFromPlaylist(AppState.currentTrackIndex);
+        }
+        
+        return this.next();
+    },
+    
+    stopAtEndOfList() {
+        // Same as the modular player: playback stops and the first track is ready to start again
+        const audioElement = Utils.$('#radio-player');
+        if (audioElement) audioElement.pause();
+        
+        Utils.showToast(I18nManager.t('radio.controls.listEnded'), 'info');
+        return this.playFromPlaylist(0, { autoplay: false });
+    },
+    
+    loadRepeatMode() {
+        try {
+            const stored = localStorage.getItem(CONFIG.REPEAT_STORAGE_KEY);
+            if (CONFIG.REPEAT_MODES.includes(stored)) {
+                AppState.repeatMode = stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load repeat mode:', error);
+        }
+        
+        this.updateRepeatButton();
+    },
+    
+    setRepeatMode(mode) {
+        if (!CONFIG.REPEAT_MODES.includes(mode)) return false;
+        
+        AppState.repeatMode = mode;
+        
+        try {
+            localStorage.setItem(CONFIG.REPEAT_STORAGE_KEY, mode);
+        } catch (error) {
+            console.warn('Failed to save repeat mode:', error);
+        }
+        
+        this.updateRepeatButton();
+        return true;
+    },
+    
+    cycleRepeatMode() {
+        const modes = CONFIG.REPEAT_MODES;
+        const mode = modes[(modes.indexOf(AppState.repeatMode) + 1) % modes.length];
+        
+        this.setRepeatMode(mode);
+        Utils.showToast(I18nManager.t(`radio.controls.repeat.${mode}`), 'info');
+        return mode;
+    },
+    
+    updateRepeatButton() {
+        const repeatBtn = Utils.$('#repeat-btn');
+        if (!repeatBtn) return;
+        
+        const label = I18nManager.t(`radio.controls.repeat.${AppState.repeatMode}`);
+        repeatBtn.textContent = AppState.repeatMode === 'one' ? '🔂' : '🔁';
+        repeatBtn.style.opacity = AppState.repeatMode === 'off' ? '0.6' : '1';
+        repeatBtn.dataset.mode = AppState.repeatMode;
+        repeatBtn.setAttribute('aria-pressed', (AppState.repeatMode !== 'off').toString());
+        repeatBtn.setAttribute('aria-label', label);
+        repeatBtn.title = `${label} (R)`;
     },
     
     toggleShuffle() {
@@ -1585,6 +2829,8 @@ class RadioAdamowoApp {
             // Initialize interactive components
             NotesManager.init();
             ChatSimulator.init();
+            MoodPlaylistManager.init();
+            HistoryManager.init();
             
             // Initialize audio system (after user interaction)
             this.setupAutoplayOverlay();
@@ -1637,8 +2883,24 @@ window.RadioAdamowo = {
     next() { return AudioPlayer.next(); },
     prev() { return AudioPlayer.prev(); },
     shuffle() { return AudioPlayer.toggleShuffle(); },
+    repeat(mode) { return mode ? AudioPlayer.setRepeatMode(mode) : AudioPlayer.cycleRepeatMode(); },
     mute() { return AudioPlayer.toggleMute(); },
     
+    // Effects chain
+    setEqPreset(name) { return AudioPlayer.setEqPreset(name); },
+    setEqBand(index, gain) { return AudioPlayer.setEqBand(index, gain); },
+    setEffectEnabled(effect, enabled) { return AudioPlayer.setEffectEnabled(effect, enabled); },
+    getEffectsSettings() { return AudioPlayer.getEffectsSettings(); },
+    
+    // Visualizer
+    setVisualizer(renderer) { return AudioPlayer.setVisualizer(renderer); },
+    
+    // Mood playlists
+    selectMood(mood) { return MoodPlaylistManager.selectMood(mood); },
+    
+    // Listening history
+    showStats() { return HistoryManager.showStats(); },
+    
     // Language controls
     switchLanguage(langCode) { return I18nManager.switchLanguage(langCode); },
     getCurrentLanguage() { return AppState.currentLanguage; },
@@ -1652,7 +2914,11 @@ window.RadioAdamowo = {
         return {
             isPlaying: AppState.isPlaying,
             isLiveMode: AppState.isLiveMode,
+            liveSourceUrl: AppState.liveSourceUrl,
+            nowPlaying: AppState.nowPlaying,
+            currentMood: AppState.currentMood,
             isShuffled: AppState.isShuffled,
+            repeatMode: AppState.repeatMode,
             isMuted: AppState.isMuted,
             currentLanguage: AppState.currentLanguage,
             isLanguageLoaded: AppState.isLanguageLoaded
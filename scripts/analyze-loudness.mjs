@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Loudness Analysis - Measures integrated loudness (EBU R128) of catalogue
+ * files with ffmpeg's ebur128 filter and writes ReplayGain-style gain values
+ * back into the playlist
+ *
+ * Usage:
+ *   node scripts/analyze-loudness.mjs [--playlist playlist.json] [--root .]
+ *                                     [--include music/] [--target -18]
+ *                                     [--force] [--dry-run]
+ *
+ * Each analysed track gets:
+ *   "gain": { "lufs": -14.2, "track": -3.8, "trackPeak": 0.98,
+ *             "album": -2.9, "albumPeak": 0.99, "duration": 263.1 }
+ * Gains are in dB relative to --target; peaks are linear true peaks. The
+ * "album" is the track's category.
+ */
+
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readPlaylist, round, serialise } from './playlist-file.mjs';
+
+const DEFAULTS = {
+    playlist: 'playlist.json',
+    root: '.',
+    include: 'music/',
+    target: -18,
+    force: false,
+    dryRun: false
+};
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--playlist':
+                options.playlist = argv[++i];
+                break;
+            case '--root':
+                options.root = argv[++i];
+                break;
+            case '--include':
+                options.include = argv[++i];
+                break;
+            case '--target':
+                options.target = parseFloat(argv[++i]);
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--help':
+                console.log('Usage: node scripts/analyze-loudness.mjs [--playlist file] [--root dir] [--include prefix] [--target LUFS] [--force] [--dry-run]');
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!isFinite(options.target)) {
+        throw new Error('--target must be a number (LUFS)');
+    }
+
+    return options;
+}
+
+function measure(file) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner', '-nostats',
+            '-i', file,
+            '-af', 'ebur128=peak=true:framelog=quiet',
+            '-f', 'null', '-'
+        ]);
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', error => reject(new Error(`Cannot run ffmpeg: ${error.message}`)));
+        ffmpeg.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`ffmpeg exited with ${code} for ${file}`));
+                return;
+            }
+
+            // The summary is printed last; earlier matches belong to per-frame logs
+            const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+            const loudness = /I:\s+(-?[\d.]+|-inf)\s+LUFS/.exec(summary);
+            const peak = /Peak:\s+(-?[\d.]+|-inf)\s+dBFS/.exec(summary);
+            const duration = /Duration:\s+(\d+):(\d+):([\d.]+)/.exec(stderr);
+
+            if (!loudness || loudness[1] === '-inf') {
+                reject(new Error(`No loudness measurement for ${file} (silent or unreadable)`));
+                return;
+            }
+
+            resolve({
+                lufs: parseFloat(loudness[1]),
+                peak: peak && peak[1] !== '-inf' ? Math.pow(10, parseFloat(peak[1]) / 20) : 1,
+                duration: duration
+                    ? parseInt(duration[1], 10) * 3600 + parseInt(duration[2], 10) * 60 + parseFloat(duration[3])
+                    : 1
+            });
+        });
+    });
+}
+
+function albumLoudness(measurements) {
+    // Duration-weighted energy mean of the integrated loudness values
+    const totalDuration = measurements.reduce((sum, m) => sum + m.duration, 0);
+    const energy = measurements.reduce((sum, m) => sum + m.duration * Math.pow(10, m.lufs / 10), 0);
+    return 10 * Math.log10(energy / totalDuration);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const playlistPath = path.resolve(options.playlist);
+    const { data, tracks } = await readPlaylist(playlistPath);
+
+    const candidates = tracks.filter(track =>
+        track && typeof track.file === 'string' && track.file.startsWith(options.include)
+    );
+
+    console.log(`Analysing ${candidates.length} of ${tracks.length} tracks (target ${options.target} LUFS)`);
+
+    const measurements = new Map();
+    let failed = 0;
+
+    for (const [index, track] of candidates.entries()) {
+        const label = `[${index + 1}/${candidates.length}] ${track.file}`;
+
+        if (!options.force && track.gain && isFinite(track.gain.lufs)) {
+            measurements.set(track, { lufs: track.gain.lufs, peak: track.gain.trackPeak ?? 1, duration: track.gain.duration ?? 1 });
+            console.log(`${label}: cached ${track.gain.lufs} LUFS`);
+            continue;
+        }
+
+        const filePath = path.resolve(options.root, track.file);
+        if (!existsSync(filePath)) {
+            console.warn(`${label}: file not found, skipped`);
+            failed++;
+            continue;
+        }
+
+        try {
+            const result = await measure(filePath);
+            measurements.set(track, result);
+            console.log(`${label}: ${result.lufs} LUFS, peak ${round(result.peak, 3)}`);
+        } catch (error) {
+            console.warn(`${label}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // Album values per category
+    const albums = new Map();
+    measurements.forEach((measurement, track) => {
+        if (!albums.has(track.category)) albums.set(track.category, []);
+        albums.get(track.category).push(measurement);
+    });
+
+    const albumGains = new Map();
+    albums.forEach((items, category) => {
+        albumGains.set(category, {
+            gain: round(options.target - albumLoudness(items)),
+            peak: round(Math.max(...items.map(item => item.peak)), 4)
+        });
+    });
+
+    measurements.forEach((measurement, track) => {
+        const album = albumGains.get(track.category);
+        track.gain = {
+            lufs: round(measurement.lufs),
+            track: round(options.target - measurement.lufs),
+            trackPeak: round(measurement.peak, 4),
+            album: album.gain,
+            albumPeak: album.peak,
+            duration: round(measurement.duration, 1)
+        };
+    });
+
+    albumGains.forEach((album, category) => {
+        console.log(`Album "${category}": ${album.gain} dB, peak ${album.peak}`);
+    });
+
+    if (options.dryRun) {
+        console.log('Dry run - playlist not written');
+    } else {
+        await writeFile(playlistPath, serialise(data));
+        console.log(`Wrote gain values for ${measurements.size} tracks to ${options.playlist}`);
+    }
+
+    if (failed > 0) {
+        console.warn(`${failed} tracks could not be analysed`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Mood Indexing - Writes per-track "mood" tags and a 1-10 "energy" into the
+ * playlist, for mood playlists (src/scripts/modules/playlist/mood.js)
+ *
+ * Usage:
+ *   node scripts/index-moods.mjs [--playlist playlist.json] [--root .]
+ *                                [--include music/] [--curated public/data/playlist.json]
+ *                                [--force] [--dry-run]
+ *
+ * Hand-curated values come first: tracks listed in --curated with their own
+ * metadata.mood/energy keep them, as long as the curated file puts the track
+ * in the same category. Every other track is measured with ffmpeg's ebur128
+ * filter and ranked against the rest of the measured catalogue:
+ *   - louder and less dynamic (lower loudness range) means more energy
+ *   - "energetic" / "calm" mark the top and bottom of that ranking,
+ *     "reflective" the widest loudness ranges
+ * so the tags only say what was measured. Tracks that already have mood or
+ * energy are left alone unless --force is given; tracks with neither fall back
+ * to their category's default mood in the player.
+ */
+
+import { spawn } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readPlaylist, round, serialise } from './playlist-file.mjs';
+
+const DEFAULTS = {
+    playlist: 'playlist.json',
+    root: '.',
+    include: 'music/',
+    curated: 'public/data/playlist.json',
+    force: false,
+    dryRun: false
+};
+
+// Ranking thresholds (0 = quietest and most dynamic in the catalogue, 1 = loudest and most compressed)
+const ENERGETIC_FROM = 0.7;
+const CALM_UP_TO = 0.3;
+const REFLECTIVE_RANGE_FROM = 0.75;
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--playlist':
+                options.playlist = argv[++i];
+                break;
+            case '--root':
+                options.root = argv[++i];
+                break;
+            case '--include':
+                options.include = argv[++i];
+                break;
+            case '--curated':
+                options.curated = argv[++i];
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--help':
+                console.log('Usage: node scripts/index-moods.mjs [--playlist file] [--root dir] [--include prefix] [--curated file] [--force] [--dry-run]');
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function measure(file) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-hide_banner', '-nostats',
+            '-i', file,
+            '-af', 'ebur128=framelog=quiet',
+            '-f', 'null', '-'
+        ]);
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', error => reject(new Error(`Cannot run ffmpeg: ${error.message}`)));
+        ffmpeg.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`ffmpeg exited with ${code} for ${file}`));
+                return;
+            }
+
+            const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+            const loudness = /I:\s+(-?[\d.]+|-inf)\s+LUFS/.exec(summary);
+            const range = /LRA:\s+([\d.]+)\s+LU/.exec(summary);
+
+            if (!loudness || loudness[1] === '-inf' || !range) {
+                reject(new Error(`No loudness measurement for ${file} (silent or unreadable)`));
+                return;
+            }
+
+            resolve({ lufs: parseFloat(loudness[1]), lra: parseFloat(range[1]) });
+        });
+    });
+}
+
+function percentiles(values) {
+    // Share of the other values below each value (ties share a rank), 0-1
+    const sorted = [...values].sort((a, b) => a - b);
+    const span = Math.max(1, values.length - 1);
+    return values.map(value => sorted.indexOf(value) / span);
+}
+
+function moodFromRanks(loudnessRank, rangeRank) {
+    const score = (loudnessRank + (1 - rangeRank)) / 2;
+    const mood = [];
+
+    if (score >= ENERGETIC_FROM) mood.push('energetic');
+    if (score <= CALM_UP_TO) mood.push('calm');
+    if (rangeRank >= REFLECTIVE_RANGE_FROM) mood.push('reflective');
+
+    return { mood, energy: 1 + Math.round(score * 9) };
+}
+
+async function loadCurated(curatedPath) {
+    if (!curatedPath || !existsSync(curatedPath)) return new Map();
+
+    const { tracks } = await readPlaylist(curatedPath);
+    const curated = new Map();
+
+    tracks.forEach(track => {
+        const metadata = track.metadata || {};
+        const mood = track.mood ?? metadata.mood;
+        const energy = track.energy ?? metadata.energy;
+        if (track.file && (mood || isFinite(energy))) {
+            curated.set(track.file, { category: track.category, mood, energy });
+        }
+    });
+
+    return curated;
+}
+
+function applyMood(track, { mood, energy }) {
+    if (mood && (!Array.isArray(mood) || mood.length > 0)) track.mood = mood;
+    if (isFinite(energy)) track.energy = energy;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const playlistPath = path.resolve(options.playlist);
+    const { data, tracks } = await readPlaylist(playlistPath);
+    const curated = await loadCurated(options.curated && path.resolve(options.curated));
+
+    const candidates = tracks.filter(track =>
+        track && typeof track.file === 'string' && track.file.startsWith(options.include) &&
+        (options.force || (track.mood === undefined && track.energy === undefined))
+    );
+
+    console.log(`Indexing ${candidates.length} of ${tracks.length} tracks`);
+
+    const measured = [];
+    let fromCurated = 0;
+    let failed = 0;
+
+    for (const [index, track] of candidates.entries()) {
+        const label = `[${index + 1}/${candidates.length}] ${track.file}`;
+        const entry = curated.get(track.file);
+
+        if (entry && entry.category === track.category) {
+            applyMood(track, entry);
+            fromCurated++;
+            console.log(`${label}: curated ${JSON.stringify(entry.mood)}, energy ${entry.energy}`);
+            continue;
+        }
+        if (entry) {
+            console.warn(`${label}: curated as "${entry.category}" but catalogued as "${track.category}", curated values ignored`);
+        }
+
+        const filePath = path.resolve(options.root, track.file);
+        if (!existsSync(filePath)) {
+            console.warn(`${label}: file not found, skipped`);
+            failed++;
+            continue;
+        }
+
+        try {
+            const result = await measure(filePath);
+            measured.push({ track, ...result });
+            console.log(`${label}: ${result.lufs} LUFS, LRA ${result.lra} LU`);
+        } catch (error) {
+            console.warn(`${label}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // Ranks are relative to everything measured in this run
+    const loudnessRanks = percentiles(measured.map(item => item.lufs));
+    const rangeRanks = percentiles(measured.map(item => item.lra));
+
+    measured.forEach(({ track }, index) => {
+        const { mood, energy } = moodFromRanks(loudnessRanks[index], rangeRanks[index]);
+        delete track.mood;
+        applyMood(track, { mood, energy });
+        console.log(`${track.file}: energy ${energy}${mood.length ? `, ${mood.join(', ')}` : ''} (rank ${round(loudnessRanks[index])}/${round(rangeRanks[index])})`);
+    });
+
+    if (options.dryRun) {
+        console.log('Dry run - playlist not written');
+    } else {
+        await writeFile(playlistPath, serialise(data));
+        console.log(`Wrote moods for ${fromCurated} curated and ${measured.length} measured tracks to ${options.playlist}`);
+    }
+
+    if (failed > 0) {
+        console.warn(`${failed} tracks could not be indexed`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
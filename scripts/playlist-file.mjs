@@ -0,0 +1,44 @@
+/**
+ * Playlist File - Reading and writing playlist.json for the catalogue scripts
+ * (analyze-loudness.mjs, index-moods.mjs), so both keep the file's layout
+ *
+ * The root catalogue is a flat array with one track per line; categorised
+ * files ({ tracks: [...] }) are pretty-printed.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+export async function readPlaylist(playlistPath) {
+    const data = JSON.parse(await readFile(playlistPath, 'utf8'));
+    const tracks = Array.isArray(data) ? data : data.tracks;
+
+    if (!Array.isArray(tracks)) {
+        throw new Error(`${playlistPath} has no track list`);
+    }
+
+    return { data, tracks };
+}
+
+export const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function formatFlatEntry(value) {
+    // Matches the one-entry-per-line style of the flat playlist.json
+    if (Array.isArray(value)) {
+        return `[${value.map(formatFlatEntry).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.entries(value).map(([key, inner]) => `${JSON.stringify(key)}: ${formatFlatEntry(inner)}`).join(', ')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+export function serialise(data) {
+    if (Array.isArray(data)) {
+        return `[\n${data.map(entry => `  ${formatFlatEntry(entry)}`).join(',\n')}\n]`;
+    }
+    // Categorised files keep short arrays of scalars on one line
+    return JSON.stringify(data, null, 2).replace(
+        /\[\n\s+([^[\]{}]*?)\n\s*\]/g,
+        (match, items) => `[${items.split(/,\n\s*/).join(', ')}]`
+    );
+}
@@ -0,0 +1,161 @@
+/**
+ * Service Worker Precache - Vite plugin that gives public/sw.js (copied to
+ * the build as sw.js) the list of files to precache, with content hashes
+ *
+ * After the bundle is written, every file in the output directory except
+ * media, docs and large files goes into the manifest. The worker receives it
+ * as two lines prepended to sw.js:
+ *
+ *   self.__PRECACHE_MANIFEST = [{ "url": "/index.html", "hash": "3f2a9c01d4e5" }, ...];
+ *   self.__PRECACHE_VERSION = "8b41d07a";
+ *
+ * The version is a hash over the whole manifest, so it changes exactly when a
+ * precached file changes and the worker's cache name (radio-adamowo-v<version>)
+ * changes with it.
+ *
+ * Installs that copy the repository as-is (no build) register the root sw.js
+ * instead. Run as a script, this module regenerates that file: the same two
+ * lines for the app shell below, then importScripts('/public/sw.js').
+ *
+ *   node scripts/sw-precache.mjs --standalone   (pnpm sw:standalone)
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULTS = {
+    worker: 'sw.js',
+    // Audio and video are cached on demand (or downloaded for offline listening), never precached
+    exclude: [/\.(mp3|wav|ogg|m4a|aac|flac|opus|mp4|webm|m3u8|ts)$/i, /\.(md|txt|bak|map)$/i, /(^|\/)\./],
+    maxFileSize: 2 * 1024 * 1024
+};
+
+// What the copy-everything install precaches: the page, its scripts and modules, translations
+const STANDALONE = {
+    output: 'sw.js',
+    worker: 'public/sw.js',
+    include: [
+        /^index\.html$/,
+        /^(style\.css|script\.js|manifest\.json|playlist\.json)$/,
+        /^lang\/[a-z]+\.json$/,
+        /^public\/images\/studio\/[^/]+\.png$/,
+        /^src\/scripts\/.+\.js$/
+    ]
+};
+
+function hash(content, length = 12) {
+    return createHash('sha256').update(content).digest('hex').slice(0, length);
+}
+
+async function listFiles(dir, root = dir) {
+    const files = [];
+
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            // Only reachable when indexing the repository itself for the standalone worker
+            if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+            files.push(...await listFiles(fullPath, root));
+        } else if (entry.isFile()) {
+            files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+
+    return files;
+}
+
+export async function buildPrecacheManifest(outDir, options = {}) {
+    const { worker, exclude, include = null, maxFileSize, base = '/' } = { ...DEFAULTS, ...options };
+    const manifest = [];
+
+    for (const file of (await listFiles(outDir)).sort()) {
+        if (file === worker || exclude.some(pattern => pattern.test(file))) continue;
+        if (include && !include.some(pattern => pattern.test(file))) continue;
+
+        const fullPath = path.join(outDir, file);
+        if ((await stat(fullPath)).size > maxFileSize) continue;
+
+        const entry = { url: base + file, hash: hash(await readFile(fullPath)) };
+        manifest.push(entry);
+
+        // Navigations to the site root are answered from the cached page
+        if (file === 'index.html') {
+            manifest.push({ url: base, hash: entry.hash });
+        }
+    }
+
+    return {
+        manifest,
+        version: hash(JSON.stringify(manifest), 8)
+    };
+}
+
+export function swPrecache(options = {}) {
+    let config;
+
+    return {
+        name: 'radio-adamowo-sw-precache',
+        apply: 'build',
+
+        configResolved(resolvedConfig) {
+            config = resolvedConfig;
+        },
+
+        async closeBundle() {
+            const outDir = path.resolve(config.root, config.build.outDir);
+            const worker = options.worker || DEFAULTS.worker;
+            const workerPath = path.join(outDir, worker);
+
+            let source;
+            try {
+                source = await readFile(workerPath, 'utf8');
+            } catch (error) {
+                this.warn(`${worker} not found in ${outDir}, no precache manifest written`);
+                return;
+            }
+
+            const { manifest, version } = await buildPrecacheManifest(outDir, { base: config.base, ...options });
+            const header = [
+                `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};`,
+                `self.__PRECACHE_VERSION = ${JSON.stringify(version)};`
+            ].join('\n');
+
+            await writeFile(workerPath, `${header}\n${source}`);
+            config.logger.info(`sw.js: ${manifest.length} precached files, cache version ${version}`);
+        }
+    };
+}
+
+export async function writeStandaloneWorker(root) {
+    const { manifest } = await buildPrecacheManifest(root, { include: STANDALONE.include, worker: STANDALONE.output });
+
+    // The imported worker is part of the version, so a change to it also gives a fresh cache
+    const workerHash = hash(await readFile(path.join(root, STANDALONE.worker)));
+    const version = hash(JSON.stringify(manifest) + workerHash, 8);
+
+    const source = [
+        '// Generated by scripts/sw-precache.mjs (pnpm sw:standalone) for installs that copy the',
+        '// repository as-is; builds use public/sw.js with their own manifest. Do not edit by hand.',
+        `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};`,
+        `self.__PRECACHE_VERSION = ${JSON.stringify(version)};`,
+        `importScripts('/${STANDALONE.worker}');`,
+        ''
+    ].join('\n');
+
+    await writeFile(path.join(root, STANDALONE.output), source);
+    return { manifest, version };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url) && process.argv.includes('--standalone')) {
+    const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+    writeStandaloneWorker(root)
+        .then(({ manifest, version }) => console.log(`sw.js: ${manifest.length} precached files, cache version ${version}`))
+        .catch(error => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+}
+
+export default swPrecache;
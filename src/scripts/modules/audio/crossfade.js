@@ -0,0 +1,271 @@
+/**
+ * Crossfade Engine - Dual-deck playback with gain-curve crossfades between tracks
+ *
+ * Each deck runs source → level → fade gain → destination. The level node
+ * holds the deck's loudness normalisation, so both tracks keep their own
+ * level while they overlap; the fade gain only carries the crossfade curve.
+ */
+
+const CURVE_RESOLUTION = 128;
+
+// Each curve maps progress (0..1) to the incoming deck's gain; the outgoing deck mirrors it
+export const CROSSFADE_CURVES = {
+    'linear': (t) => ({ fadeIn: t, fadeOut: 1 - t }),
+    'equal-power': (t) => ({
+        fadeIn: Math.sin(t * Math.PI / 2),
+        fadeOut: Math.cos(t * Math.PI / 2)
+    }),
+    'exponential': (t) => ({ fadeIn: t * t, fadeOut: (1 - t) * (1 - t) }),
+    's-curve': (t) => {
+        const eased = t * t * (3 - 2 * t);
+        return { fadeIn: eased, fadeOut: 1 - eased };
+    }
+};
+
+export class CrossfadeEngine {
+    constructor(config = {}) {
+        this.config = {
+            duration: config.duration ?? 300,
+            curve: config.curve || 'equal-power'
+        };
+
+        this.audioContext = config.audioContext;
+        this.destination = config.destination;
+
+        // Decks: the primary element from the page plus a hidden twin
+        this.decks = [];
+        this.activeDeckIndex = 0;
+
+        // Fade state; currentFade is set from the moment a fade starts, while play() is still pending
+        this.isFading = false;
+        this.fadeTimer = null;
+        this.currentFade = null;
+
+        if (config.primaryElement) {
+            this.addDeck(config.primaryElement);
+            this.addDeck(this.createSecondaryElement(config.primaryElement));
+        }
+    }
+
+    createSecondaryElement(primaryElement) {
+        const element = document.createElement('audio');
+        element.preload = primaryElement.preload || 'auto';
+        element.crossOrigin = primaryElement.crossOrigin;
+        element.setAttribute('aria-hidden', 'true');
+        element.hidden = true;
+
+        if (primaryElement.id) {
+            element.id = `${primaryElement.id}-deck-b`;
+        }
+
+        if (primaryElement.parentNode) {
+            primaryElement.parentNode.insertBefore(element, primaryElement.nextSibling);
+        }
+
+        return element;
+    }
+
+    addDeck(element) {
+        const source = this.audioContext.createMediaElementSource(element);
+        const level = this.audioContext.createGain();
+        const gain = this.audioContext.createGain();
+
+        gain.gain.value = this.decks.length === this.activeDeckIndex ? 1 : 0;
+        source.connect(level).connect(gain).connect(this.destination);
+
+        this.decks.push({ element, source, level, gain });
+    }
+
+    /**
+     * Sets a deck's normalisation level (the active deck by default);
+     * a time constant glides to it instead of jumping
+     */
+    setLevel(value, { deck = this.activeDeck, timeConstant = 0 } = {}) {
+        if (!deck) return;
+
+        const now = this.audioContext.currentTime;
+        const param = deck.level.gain;
+
+        param.cancelScheduledValues(now);
+        if (timeConstant > 0) {
+            param.setTargetAtTime(value, now, timeConstant);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    }
+
+    get activeDeck() {
+        return this.decks[this.activeDeckIndex];
+    }
+
+    get inactiveDeck() {
+        return this.decks[1 - this.activeDeckIndex];
+    }
+
+    get activeElement() {
+        return this.activeDeck ? this.activeDeck.element : null;
+    }
+
+    get elements() {
+        return this.decks.map(deck => deck.element);
+    }
+
+    get durationSeconds() {
+        return Math.max(0, this.config.duration) / 1000;
+    }
+
+    setDuration(duration) {
+        this.config.duration = Math.max(0, Number(duration) || 0);
+    }
+
+    setCurve(curve) {
+        if (!CROSSFADE_CURVES[curve]) {
+            throw new Error(`Unknown crossfade curve: ${curve}`);
+        }
+        this.config.curve = curve;
+    }
+
+    buildCurves(curveName) {
+        const curveFn = CROSSFADE_CURVES[curveName] || CROSSFADE_CURVES['equal-power'];
+        const fadeIn = new Float32Array(CURVE_RESOLUTION);
+        const fadeOut = new Float32Array(CURVE_RESOLUTION);
+
+        for (let i = 0; i < CURVE_RESOLUTION; i++) {
+            const point = curveFn(i / (CURVE_RESOLUTION - 1));
+            fadeIn[i] = point.fadeIn;
+            fadeOut[i] = point.fadeOut;
+        }
+
+        return { fadeIn, fadeOut };
+    }
+
+    /**
+     * Starts the incoming source on the idle deck and fades the decks across.
+     * The incoming deck becomes active immediately; the promise resolves with
+     * { superseded: false } once the outgoing deck has been silenced and
+     * paused, or with { superseded: true } when a newer fade replaced this one.
+     */
+    async crossfade(src, options = {}) {
+        if (this.decks.length < 2) {
+            throw new Error('Crossfade engine has no decks');
+        }
+
+        // A new fade replaces any fade still in flight
+        const previous = this.currentFade;
+        if (previous && !previous.started) {
+            // Its track never became audible, so the deck it was fading out is still the one playing
+            this.currentFade = null;
+            this.activeDeckIndex = this.decks.indexOf(previous.outgoing);
+        } else if (previous) {
+            this.completeFade({ superseded: true });
+        }
+
+        const duration = options.duration ?? this.config.duration;
+        const curve = options.curve || this.config.curve;
+        const durationSeconds = Math.max(0, duration) / 1000;
+
+        const outgoing = this.activeDeck;
+        const incoming = this.inactiveDeck;
+
+        incoming.element.src = src;
+        incoming.element.currentTime = 0;
+        this.activeDeckIndex = 1 - this.activeDeckIndex;
+
+        const now = this.audioContext.currentTime;
+        incoming.gain.gain.cancelScheduledValues(now);
+        incoming.gain.gain.setValueAtTime(0, now);
+
+        const fade = { outgoing, incoming, started: false, resolve: null };
+        this.currentFade = fade;
+        this.isFading = true;
+
+        try {
+            await incoming.element.play();
+        } catch (error) {
+            // A newer fade replacing the source aborts this play(); that is not a failure
+            if (this.currentFade !== fade) {
+                return { superseded: true };
+            }
+
+            this.currentFade = null;
+            this.isFading = false;
+            this.activeDeckIndex = this.decks.indexOf(outgoing);
+            incoming.gain.gain.setValueAtTime(0, this.audioContext.currentTime);
+            throw error;
+        }
+
+        // Another crossfade (or load) may have superseded this one while play() was pending
+        if (this.currentFade !== fade) {
+            return { superseded: true };
+        }
+
+        fade.started = true;
+        const startTime = this.audioContext.currentTime;
+
+        if (durationSeconds === 0) {
+            incoming.gain.gain.setValueAtTime(1, startTime);
+            outgoing.gain.gain.setValueAtTime(0, startTime);
+        } else {
+            const { fadeIn, fadeOut } = this.buildCurves(curve);
+            outgoing.gain.gain.cancelScheduledValues(startTime);
+            incoming.gain.gain.setValueCurveAtTime(fadeIn, startTime, durationSeconds);
+            outgoing.gain.gain.setValueCurveAtTime(fadeOut, startTime, durationSeconds);
+        }
+
+        return new Promise(resolve => {
+            fade.resolve = resolve;
+            this.fadeTimer = setTimeout(() => this.completeFade(), durationSeconds * 1000);
+        });
+    }
+
+    completeFade(result = { superseded: false }) {
+        clearTimeout(this.fadeTimer);
+        this.fadeTimer = null;
+
+        const fade = this.currentFade;
+        this.currentFade = null;
+        this.isFading = false;
+
+        if (!fade) return;
+
+        const now = this.audioContext.currentTime;
+        const { outgoing, incoming, resolve } = fade;
+
+        incoming.gain.gain.cancelScheduledValues(now);
+        incoming.gain.gain.setValueAtTime(1, now);
+        outgoing.gain.gain.cancelScheduledValues(now);
+        outgoing.gain.gain.setValueAtTime(0, now);
+
+        outgoing.element.pause();
+        outgoing.element.removeAttribute('src');
+        outgoing.element.load();
+
+        // Not set while play() is pending; that call sees it was superseded instead
+        if (resolve) resolve(result);
+    }
+
+    /**
+     * Loads a source on the active deck without fading (paused or first track)
+     */
+    load(src) {
+        if (this.isFading) {
+            this.completeFade();
+        }
+
+        const deck = this.activeDeck;
+        deck.element.src = src;
+        deck.gain.gain.setValueAtTime(1, this.audioContext.currentTime);
+    }
+
+    destroy() {
+        this.completeFade();
+        this.decks.forEach(deck => {
+            deck.source.disconnect();
+            deck.level.disconnect();
+            deck.gain.disconnect();
+        });
+        this.decks = [];
+    }
+}
+
+export default CrossfadeEngine;
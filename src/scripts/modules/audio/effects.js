@@ -0,0 +1,287 @@
+/**
+ * Effects Chain - Pluggable Web Audio processing inserted between the media
+ * source and the master gain: 10-band EQ, compressor/limiter, stereo widener
+ * and mono downmix, each with its own bypass
+ *
+ * Loaded as a module by the AudioPlayer class and through import() by the
+ * legacy player in script.js.
+ */
+
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Gains in dB, one per band in EQ_FREQUENCIES
+export const EQ_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    bass: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    treble: [0, 0, 0, 0, 0, 0, 2, 4, 5, 6],
+    speech: [-6, -4, -2, 0, 2, 4, 4, 3, 1, 0],
+    ambient: [3, 2, 1, 0, -1, -1, 0, 1, 2, 3],
+    night: [-4, -2, 0, 1, 2, 2, 1, 0, -2, -4]
+};
+
+export const EFFECT_NAMES = ['eq', 'compressor', 'widener', 'mono'];
+
+const EQ_GAIN_LIMIT = 12;
+
+const DEFAULT_SETTINGS = {
+    preset: 'flat',
+    bands: EQ_PRESETS.flat,
+    customPresets: {},
+    enabled: { eq: true, compressor: false, widener: false, mono: false },
+    widenerAmount: 1.5
+};
+
+export class EffectsChain {
+    constructor(config = {}) {
+        if (!config.audioContext) {
+            throw new Error('EffectsChain requires an audioContext');
+        }
+
+        this.config = {
+            storageKey: config.storageKey || 'radio-adamowo-effects',
+            ...config
+        };
+
+        this.context = config.audioContext;
+        this.input = this.context.createGain();
+        this.output = this.context.createGain();
+
+        this.settings = this.loadSettings();
+
+        // Order in the chain; disabled stages are skipped when wiring
+        this.stages = {
+            eq: this.createEqualizer(),
+            compressor: this.createCompressor(),
+            widener: this.createWidener(),
+            mono: this.createMonoDownmix()
+        };
+
+        this.applySettings();
+        this.connect();
+    }
+
+    // ===== Stages =====
+    createEqualizer() {
+        const filters = EQ_FREQUENCIES.map((frequency, index) => {
+            const filter = this.context.createBiquadFilter();
+            filter.type = index === 0 ? 'lowshelf' : index === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = 1.4;
+            filter.gain.value = 0;
+            return filter;
+        });
+
+        filters.reduce((previous, filter) => previous.connect(filter));
+
+        return { input: filters[0], output: filters[filters.length - 1], filters };
+    }
+
+    createCompressor() {
+        const compressor = this.context.createDynamicsCompressor();
+        compressor.threshold.value = -24;
+        compressor.knee.value = 30;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+
+        // Brick-wall-ish limiter after the compressor keeps peaks under 0 dBFS
+        const limiter = this.context.createDynamicsCompressor();
+        limiter.threshold.value = -1;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.001;
+        limiter.release.value = 0.05;
+
+        compressor.connect(limiter);
+
+        return { input: compressor, output: limiter, compressor, limiter };
+    }
+
+    createWidener() {
+        // Mid/side matrix: L' = M + S·w, R' = M − S·w
+        const input = this.context.createGain();
+        const splitter = this.context.createChannelSplitter(2);
+        const merger = this.context.createChannelMerger(2);
+        const mid = this.context.createGain();
+        const side = this.context.createGain();
+        const sideInverted = this.context.createGain();
+        const leftToSide = this.context.createGain();
+        const rightToSide = this.context.createGain();
+
+        mid.gain.value = 0.5;
+        leftToSide.gain.value = 0.5;
+        rightToSide.gain.value = -0.5;
+        sideInverted.gain.value = -1;
+
+        input.connect(splitter);
+        splitter.connect(mid, 0);
+        splitter.connect(mid, 1);
+        splitter.connect(leftToSide, 0);
+        splitter.connect(rightToSide, 1);
+        leftToSide.connect(side);
+        rightToSide.connect(side);
+
+        mid.connect(merger, 0, 0);
+        mid.connect(merger, 0, 1);
+        side.connect(merger, 0, 0);
+        side.connect(sideInverted);
+        sideInverted.connect(merger, 0, 1);
+
+        return { input, output: merger, side };
+    }
+
+    createMonoDownmix() {
+        // An explicit single-channel node makes the browser sum L+R
+        const downmix = this.context.createGain();
+        downmix.channelCount = 1;
+        downmix.channelCountMode = 'explicit';
+        downmix.channelInterpretation = 'speakers';
+
+        return { input: downmix, output: downmix };
+    }
+
+    // ===== Wiring =====
+    connect() {
+        this.input.disconnect();
+        Object.values(this.stages).forEach(stage => stage.output.disconnect());
+
+        const active = EFFECT_NAMES
+            .filter(name => this.settings.enabled[name])
+            .map(name => this.stages[name]);
+
+        let node = this.input;
+        active.forEach(stage => {
+            node.connect(stage.input);
+            node = stage.output;
+        });
+        node.connect(this.output);
+    }
+
+    applySettings() {
+        const now = this.context.currentTime;
+
+        this.stages.eq.filters.forEach((filter, index) => {
+            filter.gain.setTargetAtTime(this.settings.bands[index] || 0, now, 0.02);
+        });
+
+        this.stages.widener.side.gain.setTargetAtTime(this.settings.widenerAmount, now, 0.02);
+    }
+
+    // ===== Controls =====
+    setEnabled(effect, enabled) {
+        if (!EFFECT_NAMES.includes(effect)) {
+            throw new Error(`Unknown effect: ${effect}`);
+        }
+
+        this.settings.enabled[effect] = Boolean(enabled);
+        this.connect();
+        this.saveSettings();
+    }
+
+    isEnabled(effect) {
+        return Boolean(this.settings.enabled[effect]);
+    }
+
+    setPreset(name) {
+        const bands = this.getPresets()[name];
+        if (!bands) {
+            throw new Error(`Unknown EQ preset: ${name}`);
+        }
+
+        this.settings.preset = name;
+        this.settings.bands = [...bands];
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    setBand(index, gain) {
+        if (index < 0 || index >= EQ_FREQUENCIES.length) {
+            throw new Error(`Invalid EQ band: ${index}`);
+        }
+
+        this.settings.bands = [...this.settings.bands];
+        this.settings.bands[index] = Math.max(-EQ_GAIN_LIMIT, Math.min(EQ_GAIN_LIMIT, Number(gain) || 0));
+        this.settings.preset = 'custom';
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    savePreset(name) {
+        if (!name || EQ_PRESETS[name]) {
+            throw new Error(`Cannot overwrite preset: ${name}`);
+        }
+
+        this.settings.customPresets[name] = [...this.settings.bands];
+        this.settings.preset = name;
+        this.saveSettings();
+    }
+
+    deletePreset(name) {
+        if (!this.settings.customPresets[name]) return false;
+
+        delete this.settings.customPresets[name];
+        if (this.settings.preset === name) {
+            this.settings.preset = 'custom';
+        }
+        this.saveSettings();
+        return true;
+    }
+
+    setWidenerAmount(amount) {
+        this.settings.widenerAmount = Math.max(0, Math.min(3, Number(amount) || 0));
+        this.applySettings();
+        this.saveSettings();
+    }
+
+    getPresets() {
+        return { ...EQ_PRESETS, ...this.settings.customPresets };
+    }
+
+    getSettings() {
+        return {
+            ...this.settings,
+            bands: [...this.settings.bands],
+            enabled: { ...this.settings.enabled },
+            frequencies: EQ_FREQUENCIES
+        };
+    }
+
+    // ===== Persistence =====
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            const bands = Array.isArray(stored.bands) && stored.bands.length === EQ_FREQUENCIES.length
+                ? stored.bands.map(gain => Number(gain) || 0)
+                : DEFAULT_SETTINGS.bands;
+
+            return {
+                ...DEFAULT_SETTINGS,
+                ...stored,
+                bands: [...bands],
+                customPresets: { ...(stored.customPresets || {}) },
+                enabled: { ...DEFAULT_SETTINGS.enabled, ...(stored.enabled || {}) }
+            };
+        } catch (error) {
+            console.warn('Failed to load effects settings:', error);
+            return { ...DEFAULT_SETTINGS, bands: [...DEFAULT_SETTINGS.bands], customPresets: {}, enabled: { ...DEFAULT_SETTINGS.enabled } };
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save effects settings:', error);
+            return false;
+        }
+    }
+
+    destroy() {
+        this.input.disconnect();
+        this.output.disconnect();
+        Object.values(this.stages).forEach(stage => stage.output.disconnect());
+    }
+}
+
+export default EffectsChain;
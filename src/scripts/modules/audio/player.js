@@ -2,12 +2,66 @@
  * Audio Player Module - Handles audio playback, playlists, and Media Session API
  */
 
+import { CrossfadeEngine } from './crossfade.js';
+import { EffectsChain } from './effects.js';
+import { PlaybackProgressStore } from './progress.js';
+import { SleepTimer, SLEEP_END_OF_TRACK } from './sleep-timer.js';
+import { Visualizer } from '../visualizer/visualizer.js';
+import { TrackMetadataReader } from '../metadata/reader.js';
+import { ListeningHistory, ListeningSession } from '../history/history.js';
+import { PlaylistLoader } from '../playlist/loader.js';
+import { PLAYLIST_FORMATS, detectFormat, parsePlaylist, serializePlaylist } from '../playlist/formats.js';
+import { UserPlaylistStore, FAVORITES_ID } from '../playlist/user-playlists.js';
+import { PlayQueue } from '../playlist/queue.js';
+import { SHUFFLE_MODES, generateSeed, shuffleTracks } from '../playlist/shuffle.js';
+import { SearchIndex } from '../search/search.js';
+import { OfflineLibrary } from '../offline/library.js';
+import { PodcastManager } from '../podcast/manager.js';
+import { UtilsManager } from '../utils/helpers.js';
+
+// What happens when a track ends: stop at the end of the list, loop the list, or loop the track
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
 export class AudioPlayer {
     constructor(config = {}) {
         this.config = {
             visualizerFFTSize: config.visualizerFFTSize || 256,
-            crossfadeDuration: config.crossfadeDuration || 300,
+            crossfadeDuration: config.crossfadeDuration ?? 300,
+            crossfadeCurve: config.crossfadeCurve || 'equal-power',
+            enableCrossfade: config.enableCrossfade !== false,
+            enableEffects: config.enableEffects !== false,
+            replayGainMode: config.replayGainMode || 'track',
+            replayGainPreamp: config.replayGainPreamp || 0,
+            replayGainStorageKey: config.replayGainStorageKey || 'radio-adamowo-replaygain-mode',
             enableVisualization: config.enableVisualization !== false,
+            enableTagReading: config.enableTagReading !== false,
+            enableOffline: config.enableOffline !== false,
+            enablePodcasts: config.enablePodcasts !== false,
+            podcastFeedUrl: config.podcastFeedUrl || 'data/podcasts.json',
+            visualizerRenderer: config.visualizerRenderer || 'bars',
+            // The full catalogue at the site root (same file as CONFIG.PLAYLIST_URL in script.js);
+            // public/data/playlist.json is only the small sample for the public/ pages
+            playlistUrl: config.playlistUrl || 'playlist.json',
+            positionSaveInterval: config.positionSaveInterval || 5000,
+            longFormMinDuration: config.longFormMinDuration || 600,
+            longFormCategories: config.longFormCategories || ['audio', 'podcasts'],
+            finishedThreshold: config.finishedThreshold || 0.95,
+            playbackRates: config.playbackRates || [0.75, 1, 1.25, 1.5, 1.75, 2],
+            playbackRateStorageKey: config.playbackRateStorageKey || 'radio-adamowo-playback-rates',
+            sleepTimerPresets: config.sleepTimerPresets || [15, 30, 60, SLEEP_END_OF_TRACK],
+            sleepFadeDuration: config.sleepFadeDuration ?? 30,
+            repeatMode: config.repeatMode || 'all',
+            repeatModeStorageKey: config.repeatModeStorageKey || 'radio-adamowo-repeat-mode',
+            shuffleMode: config.shuffleMode || 'smart',
+            // A fixed seed makes every shuffle reproducible (for debugging)
+            shuffleSeed: config.shuffleSeed ?? null,
+            shuffleRecentWindow: config.shuffleRecentWindow || 50,
+            shuffleFavoriteWeight: config.shuffleFavoriteWeight || 2,
+            fullMix: config.fullMix !== false,
+            fullMixCategory: config.fullMixCategory || 'mix',
+            fullMixName: config.fullMixName || 'Wszystko',
+            searchDebounce: config.searchDebounce ?? 150,
+            searchLimit: config.searchLimit || 50,
             ...config
         };
         
@@ -17,20 +71,78 @@ export class AudioPlayer {
         this.audioSource = null;
         this.analyser = null;
         this.gainNode = null;
+        this.normalizationNode = null;
+        this.effects = null;
+        this.crossfade = null;
+        this.visualizer = null;
+        this.visualizerBarsFrame = null;
         
         // Playback state
         this.isPlaying = false;
         this.isMuted = false;
         this.isShuffled = false;
+        this.shuffleMode = SHUFFLE_MODES.includes(this.config.shuffleMode) ? this.config.shuffleMode : 'smart';
+        this.lastShuffle = null;
+        this.repeatMode = REPEAT_MODES.includes(this.config.repeatMode) ? this.config.repeatMode : 'all';
         this.currentVolume = 1.0;
+        this.playbackRates = { music: 1, podcast: 1 };
         this.currentTrack = null;
         this.currentIndex = 0;
+        this.isQueuedTrack = false;
+        this.pendingSeek = null;
+        this.lastPositionSave = 0;
         
         // Playlists
+        this.playlistLoader = new PlaylistLoader({ url: this.config.playlistUrl });
+        this.userPlaylists = new UserPlaylistStore();
+        this.playlistMenu = null;
+        this.pendingPlaylistTrack = null;
         this.playlists = new Map();
+        this.categories = [];
+        this.playlistErrors = [];
         this.currentPlaylist = 'ambient';
         this.currentTracks = [];
         
+        // Play queue and saved listening position
+        this.queue = new PlayQueue();
+        
+        // Search over the catalogue and registered podcast episodes
+        this.searchIndex = new SearchIndex({ limit: this.config.searchLimit });
+        this.searchQuery = '';
+        this.searchFilter = 'all';
+        this.searchResults = [];
+        this.searchTimeout = null;
+        
+        // Per-track progress for long-form content
+        this.progress = new PlaybackProgressStore({ finishedThreshold: this.config.finishedThreshold });
+        
+        // Listening history: one entry per track played, with listened time and skip/complete
+        this.history = new ListeningHistory();
+        this.listeningSession = null;
+        this.lastProgressSave = 0;
+        this.resumeOffer = null;
+        
+        // Embedded ID3/Vorbis tags, cached after the first read
+        this.metadataReader = this.config.enableTagReading ? new TrackMetadataReader() : null;
+        
+        // Tracks downloaded for offline listening, kept by the service worker
+        this.offline = this.config.enableOffline && OfflineLibrary.isSupported() ? new OfflineLibrary() : null;
+        this.offlineObjectUrl = null;
+        this.offlineStatusTimeout = null;
+        this.utils = new UtilsManager();
+        
+        // Podcast panel: episode list, chapters and transcripts for the 'podcasts' category
+        this.podcasts = null;
+        
+        // Sleep timer
+        this.sleepTimer = new SleepTimer({
+            fadeDuration: this.config.sleepFadeDuration,
+            getTrackRemaining: () => this.getTrackRemaining(),
+            onTick: (remaining, mode) => this.updateSleepTimerDisplay(remaining, mode),
+            onFadeStart: (remaining) => this.fadeOutForSleep(remaining),
+            onExpire: (mode) => this.onSleepTimerExpired(mode)
+        });
+        
         // UI elements
         this.elements = {};
         
@@ -52,9 +164,13 @@ export class AudioPlayer {
             
             // Load playlist data
             await this.loadPlaylists();
+            this.progress.load();
+            this.loadPlaybackRates();
+            this.loadRepeatMode();
             
             // Setup event listeners
             this.setupEventListeners();
+            this.syncCategoryTabs();
             
             // Initialize audio context (requires user interaction)
             this.prepareAudioContext();
@@ -65,8 +181,11 @@ export class AudioPlayer {
             // Setup visualizer
             this.setupVisualizer();
             
-            // Load initial playlist
-            this.loadPlaylist(this.currentPlaylist);
+            // Podcast episodes (loaded in the background, like the offline library)
+            this.setupPodcasts();
+            
+            // Load initial playlist, resuming the last session if there is one
+            this.restoreSession();
             
             this.isInitialized = true;
             this.emit('initialized');
@@ -85,16 +204,57 @@ export class AudioPlayer {
             nextBtn: '#radio-next-btn',
             prevBtn: '#radio-prev-btn',
             shuffleBtn: '#shuffle-btn',
+            repeatBtn: '#repeat-btn',
+            favoriteBtn: '#add-to-favorites',
+            playbackRateBtn: '#playback-rate-btn',
+            sleepTimerBtn: '#sleep-timer-btn',
+            sleepTimerMenu: '#sleep-timer-menu',
+            sleepTimerCustomInput: '#sleep-timer-custom',
+            sleepTimerDisplay: '#sleep-timer-remaining',
+            sessionTimer: '#session-timer',
             muteBtn: '#mute-btn',
             progressBar: '#progress-bar',
             progressFill: '#progress-fill',
             trackTitle: '#current-track-title',
+            trackArtist: '#current-artist',
+            trackArtwork: '#current-track-artwork',
             trackMeta: '#current-track-meta',
             categoryLabel: '#current-category',
             durationLabel: '#current-duration',
             visualizer: '#visualizer',
+            visualizerCanvas: '#visualizer-canvas',
+            visualizerPicker: '#visualizer-picker',
             playlist: '#playlist',
+            searchInput: '#track-search',
+            searchFilter: '#track-search-filter',
+            searchStatus: '#track-search-status',
+            queueList: '#play-queue',
+            categoryTabList: '.playlist-categories',
             categoryTabs: '.category-tab',
+            playlistImportInput: '#playlist-import-input',
+            userPlaylistCreateForm: '#user-playlist-create-form',
+            userPlaylistNameInput: '#user-playlist-name',
+            userPlaylistRenameForm: '#user-playlist-rename-form',
+            userPlaylistRenameInput: '#user-playlist-rename',
+            userPlaylistDeleteBtn: '#user-playlist-delete-btn',
+            userPlaylistsExportBtn: '#user-playlists-export-btn',
+            userPlaylistsImportInput: '#user-playlists-import-input',
+            progressImportInput: '#progress-import-input',
+            progressExportBtn: '#progress-export-btn',
+            resumePrompt: '#resume-prompt',
+            resumeBtn: '#resume-btn',
+            resumeDismissBtn: '#resume-dismiss-btn',
+            offlineTools: '#offline-tools',
+            downloadCategoryBtn: '#download-category-btn',
+            offlineProgress: '#offline-progress',
+            offlineProgressLabel: '#offline-progress-label',
+            offlineProgressFill: '#offline-progress-fill',
+            offlineCancelBtn: '#offline-cancel-btn',
+            offlineStorage: '#offline-storage',
+            offlineStorageSummary: '#offline-storage-summary',
+            offlineStorageFill: '#offline-storage-fill',
+            offlineStorageList: '#offline-storage-list',
+            offlineClearBtn: '#offline-clear-btn',
             autoplayOverlay: '#autoplay-overlay',
             fallbackMessage: '#audio-fallback'
         };
@@ -109,60 +269,72 @@ export class AudioPlayer {
         
         // Get category tabs as NodeList
         this.elements.categoryTabs = document.querySelectorAll('.category-tab');
+        this.elements.playlistExportButtons = document.querySelectorAll('[data-export-format]');
     }
     
     async loadPlaylists() {
         try {
-            const response = await fetch('data/playlist.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load playlist: ${response.status}`);
+            const playlist = await this.playlistLoader.load();
+            
+            this.categories = playlist.categories;
+            this.playlistErrors = playlist.errors;
+            this.playlists = this.playlistLoader.groupByCategory(playlist);
+            if (this.config.fullMix) {
+                this.registerFullMix();
             }
             
-            const data = await response.json();
+            if (playlist.errors.length > 0) {
+                console.warn(`Skipped ${playlist.errors.length} invalid playlist entries:`,
+                    playlist.errors.map(error => error.message)
+                );
+                this.emit('playlistErrors', { errors: playlist.errors });
+            }
             
-            // Organize tracks by category
-            if (data.tracks && Array.isArray(data.tracks)) {
-                const categories = ['ambient', 'disco', 'hiphop', 'kids', 'barbara'];
-                
-                categories.forEach(category => {
-                    const categoryTracks = data.tracks.filter(track => 
-                        track.category === category
-                    );
-                    this.playlists.set(category, categoryTracks);
-                });
-                
-                console.log(`Loaded playlists:`, 
-                    Array.from(this.playlists.entries()).map(([cat, tracks]) => 
-                        `${cat}: ${tracks.length} tracks`
-                    ).join(', ')
+            if (playlist.warnings.length > 0) {
+                console.warn(`Playlist entries with ignored data:`,
+                    playlist.warnings.map(warning => warning.message)
                 );
-            } else {
-                throw new Error('Invalid playlist format');
             }
             
+            console.log(`Loaded playlists:`, 
+                Array.from(this.playlists.entries()).map(([cat, tracks]) => 
+                    `${cat}: ${tracks.length} tracks`
+                ).join(', ')
+            );
+            
         } catch (error) {
             console.warn('Failed to load playlists:', error);
             
-            // Create fallback empty playlists
-            ['ambient', 'disco', 'hiphop', 'kids'].forEach(category => {
-                this.playlists.set(category, []);
+            if (error.errors) {
+                this.playlistErrors = error.errors;
+                this.emit('playlistErrors', { errors: error.errors });
+            }
+            
+            // Create fallback empty playlists for the tabs present in the page
+            this.playlists = new Map();
+            this.elements.categoryTabs.forEach(tab => {
+                const category = tab.getAttribute('data-category');
+                if (category) {
+                    this.playlists.set(category, []);
+                }
             });
             
             this.showFallbackMessage();
         }
+        
+        this.userPlaylists.load().forEach(playlist => this.registerUserPlaylist(playlist));
+        this.indexPlaylists();
+        
+        // Fall back to the first available category if the default is missing
+        if (!this.playlists.has(this.currentPlaylist) && this.playlists.size > 0) {
+            this.currentPlaylist = this.playlists.keys().next().value;
+        }
     }
     
     setupEventListeners() {
         // Audio element events
         if (this.elements.audioElement) {
-            this.elements.audioElement.addEventListener('loadstart', () => this.onLoadStart());
-            this.elements.audioElement.addEventListener('canplay', () => this.onCanPlay());
-            this.elements.audioElement.addEventListener('play', () => this.onPlay());
-            this.elements.audioElement.addEventListener('pause', () => this.onPause());
-            this.elements.audioElement.addEventListener('ended', () => this.onEnded());
-            this.elements.audioElement.addEventListener('error', (e) => this.onError(e));
-            this.elements.audioElement.addEventListener('timeupdate', () => this.onTimeUpdate());
-            this.elements.audioElement.addEventListener('loadedmetadata', () => this.onLoadedMetadata());
+            this.bindAudioElementEvents(this.elements.audioElement);
         }
         
         // Control buttons
@@ -182,10 +354,28 @@ export class AudioPlayer {
             this.elements.shuffleBtn.addEventListener('click', () => this.toggleShuffle());
         }
         
+        if (this.elements.repeatBtn) {
+            this.elements.repeatBtn.addEventListener('click', () => this.cycleRepeatMode());
+        }
+        
+        if (this.elements.favoriteBtn) {
+            this.elements.favoriteBtn.addEventListener('click', () => this.toggleFavorite());
+        }
+        
         if (this.elements.muteBtn) {
             this.elements.muteBtn.addEventListener('click', () => this.toggleMute());
         }
         
+        if (this.elements.playbackRateBtn) {
+            this.elements.playbackRateBtn.addEventListener('click', () => this.cyclePlaybackRate());
+        }
+        
+        // Sleep timer
+        this.setupSleepTimerControls();
+        
+        // Search
+        this.setupSearchControls();
+        
         // Progress bar
         if (this.elements.progressBar) {
             this.elements.progressBar.addEventListener('click', (e) => this.seek(e));
@@ -201,6 +391,50 @@ export class AudioPlayer {
             });
         });
         
+        // Playlist import/export
+        if (this.elements.playlistImportInput) {
+            this.elements.playlistImportInput.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.importPlaylistFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        this.elements.playlistExportButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.downloadPlaylist(btn.getAttribute('data-export-format')));
+        });
+        
+        // Favourites and user playlists
+        this.setupUserPlaylistControls();
+        
+        // Offline downloads
+        this.setupOfflineLibrary();
+        
+        // Listening progress
+        if (this.elements.progressImportInput) {
+            this.elements.progressImportInput.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.importProgressFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        if (this.elements.progressExportBtn) {
+            this.elements.progressExportBtn.addEventListener('click', () => this.downloadProgress());
+        }
+        
+        if (this.elements.resumeBtn) {
+            this.elements.resumeBtn.addEventListener('click', () => this.acceptResume());
+        }
+        
+        if (this.elements.resumeDismissBtn) {
+            this.elements.resumeDismissBtn.addEventListener('click', () => this.hideResumePrompt());
+        }
+        
         // Autoplay overlay
         if (this.elements.autoplayOverlay) {
             const moodButtons = this.elements.autoplayOverlay.querySelectorAll('.mood-btn');
@@ -209,10 +443,39 @@ export class AudioPlayer {
             });
         }
         
+        // Keep the listening position when the page goes away
+        window.addEventListener('pagehide', () => {
+            this.savePosition({ force: true });
+            this.trackProgress(true);
+            this.finishListeningSession();
+        });
+        
         // Keyboard shortcuts
         this.setupKeyboardShortcuts();
     }
     
+    bindAudioElementEvents(element) {
+        // Only the active deck drives player state; the idle crossfade deck is ignored
+        const handlers = {
+            loadstart: () => this.onLoadStart(),
+            canplay: () => this.onCanPlay(),
+            play: () => this.onPlay(),
+            pause: () => this.onPause(),
+            ended: () => this.onEnded(),
+            error: (e) => this.onError(e),
+            timeupdate: () => this.onTimeUpdate(),
+            loadedmetadata: () => this.onLoadedMetadata()
+        };
+        
+        for (const [type, handler] of Object.entries(handlers)) {
+            element.addEventListener(type, (e) => {
+                if (e.target === this.elements.audioElement) {
+                    handler(e);
+                }
+            });
+        }
+    }
+    
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Only handle shortcuts when not typing in inputs
@@ -220,6 +483,15 @@ export class AudioPlayer {
                 return;
             }
             
+            // "/" or Ctrl+K jumps to the search field
+            if ((e.key === '/' && !e.ctrlKey && !e.metaKey) || (e.code === 'KeyK' && (e.ctrlKey || e.metaKey))) {
+                if (this.elements.searchInput) {
+                    e.preventDefault();
+                    this.focusSearch();
+                }
+                return;
+            }
+            
             switch (e.code) {
                 case 'Space':
                     e.preventDefault();
@@ -241,6 +513,41 @@ export class AudioPlayer {
                     e.preventDefault();
                     this.toggleShuffle();
                     break;
+                case 'KeyR':
+                    // Leave Ctrl+R / Cmd+R to the browser
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    this.cycleRepeatMode();
+                    break;
+                case 'KeyF':
+                    // Leave Ctrl+F / Cmd+F (find in page) to the browser
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    this.toggleFavorite();
+                    break;
+                case 'KeyT':
+                    // T cycles the sleep timer presets, Shift+T cancels; Ctrl+T / Cmd+T stay with the browser
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.cancelSleepTimer();
+                    } else {
+                        this.cycleSleepTimer();
+                    }
+                    break;
+                case 'Escape':
+                    if (this.sleepTimer.isActive) {
+                        this.cancelSleepTimer();
+                    }
+                    break;
+                case 'Comma':
+                case 'Period':
+                    // Shift+< / Shift+> step the playback speed
+                    if (e.shiftKey) {
+                        e.preventDefault();
+                        this.cyclePlaybackRate(e.code === 'Period' ? 1 : -1, { wrap: false });
+                    }
+                    break;
             }
         });
     }
@@ -268,18 +575,34 @@ export class AudioPlayer {
             this.gainNode = this.audioContext.createGain();
             this.gainNode.gain.value = this.currentVolume;
             
+            this.gainNode
+                .connect(this.analyser)
+                .connect(this.audioContext.destination);
+            
+            // Source(s) → loudness normalisation → effects → master gain
+            const sourceDestination = this.setupEffects();
+            this.loadReplayGainMode();
+            
             // Connect audio element to Web Audio API
             if (this.elements.audioElement) {
-                this.audioSource = this.audioContext.createMediaElementSource(this.elements.audioElement);
-                this.audioSource
-                    .connect(this.gainNode)
-                    .connect(this.analyser)
-                    .connect(this.audioContext.destination);
+                if (this.config.enableCrossfade) {
+                    // Each crossfade deck normalises its own track
+                    this.setupCrossfade(sourceDestination);
+                } else {
+                    this.normalizationNode = this.audioContext.createGain();
+                    this.normalizationNode.connect(sourceDestination);
+                    this.audioSource = this.audioContext.createMediaElementSource(this.elements.audioElement);
+                    this.audioSource.connect(this.normalizationNode);
+                }
             }
+            this.applyTrackGain(this.currentTrack, { immediate: true });
             
             this.isAudioContextInitialized = true;
             this.enableControls();
             
+            // Playback may have started before the analyser existed
+            this.startVisualizer();
+            
             console.log('Web Audio API initialized successfully');
             
         } catch (error) {
@@ -288,6 +611,171 @@ export class AudioPlayer {
         }
     }
     
+    loadReplayGainMode() {
+        try {
+            const stored = localStorage.getItem(this.config.replayGainStorageKey);
+            if (['track', 'album', 'off'].includes(stored)) {
+                this.config.replayGainMode = stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load ReplayGain mode:', error);
+        }
+    }
+    
+    getTrackGain(track) {
+        // Linear gain for the track in the current mode, clamped so peaks stay below full scale
+        const gain = track && track.gain;
+        if (!gain || this.config.replayGainMode === 'off') return 1;
+        
+        const useAlbum = this.config.replayGainMode === 'album';
+        const db = (useAlbum ? gain.album : gain.track) + this.config.replayGainPreamp;
+        const peak = useAlbum ? gain.albumPeak : gain.trackPeak;
+        
+        return Math.min(Math.pow(10, db / 20), 1 / (peak || 1));
+    }
+    
+    applyTrackGain(track, { immediate = false } = {}) {
+        // A new track starts at its level; a mode change glides so it is not a jump
+        const value = this.getTrackGain(track);
+        const timeConstant = immediate ? 0 : 0.1;
+        
+        if (this.crossfade) {
+            // Only the active deck: during a fade the outgoing track keeps its own level
+            this.crossfade.setLevel(value, { timeConstant });
+            return;
+        }
+        
+        if (!this.normalizationNode) return;
+        
+        const now = this.audioContext.currentTime;
+        const param = this.normalizationNode.gain;
+        
+        param.cancelScheduledValues(now);
+        if (timeConstant > 0) {
+            param.setTargetAtTime(value, now, timeConstant);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    }
+    
+    setReplayGainMode(mode) {
+        if (!['track', 'album', 'off'].includes(mode)) {
+            throw new Error(`Unknown ReplayGain mode: ${mode}`);
+        }
+        
+        this.config.replayGainMode = mode;
+        
+        try {
+            localStorage.setItem(this.config.replayGainStorageKey, mode);
+        } catch (error) {
+            console.warn('Failed to save ReplayGain mode:', error);
+        }
+        
+        this.applyTrackGain(this.currentTrack);
+        this.emit('replayGainModeChanged', { mode });
+    }
+    
+    setupEffects() {
+        if (!this.config.enableEffects) return this.gainNode;
+        
+        try {
+            this.effects = new EffectsChain({ audioContext: this.audioContext });
+            this.effects.output.connect(this.gainNode);
+            return this.effects.input;
+        } catch (error) {
+            console.warn('Effects chain unavailable:', error);
+            this.effects = null;
+            return this.gainNode;
+        }
+    }
+    
+    setEqPreset(name) {
+        if (!this.effects) return false;
+        
+        this.effects.setPreset(name);
+        this.emit('effectsChanged', this.effects.getSettings());
+        return true;
+    }
+    
+    setEqBand(index, gain) {
+        if (!this.effects) return false;
+        
+        this.effects.setBand(index, gain);
+        this.emit('effectsChanged', this.effects.getSettings());
+        return true;
+    }
+    
+    setEffectEnabled(effect, enabled) {
+        if (!this.effects) return false;
+        
+        this.effects.setEnabled(effect, enabled);
+        this.emit('effectsChanged', this.effects.getSettings());
+        return true;
+    }
+    
+    getEffectsSettings() {
+        return this.effects ? this.effects.getSettings() : null;
+    }
+    
+    setupCrossfade(destination = this.gainNode) {
+        // Each deck gets its own level and fade GainNodes feeding the effects chain → gainNode → analyser
+        this.crossfade = new CrossfadeEngine({
+            audioContext: this.audioContext,
+            destination,
+            primaryElement: this.elements.audioElement,
+            duration: this.config.crossfadeDuration,
+            curve: this.config.crossfadeCurve
+        });
+        
+        this.audioSource = this.crossfade.activeDeck.source;
+        
+        // The second deck is created here, after the primary element was bound
+        this.crossfade.elements
+            .filter(element => element !== this.elements.audioElement)
+            .forEach(element => this.bindAudioElementEvents(element));
+        
+        this.applyPlaybackRate();
+    }
+    
+    canCrossfade() {
+        return Boolean(this.crossfade) && this.isPlaying && this.crossfade.durationSeconds > 0;
+    }
+    
+    async crossfadeTo(track, index) {
+        const duration = this.crossfade.config.duration;
+        const curve = this.crossfade.config.curve;
+        
+        this.emit('crossfadeStart', { track, index, duration, curve });
+        
+        const fade = this.crossfade.crossfade(track.file);
+        
+        // The incoming deck is active from the start of the fade
+        this.elements.audioElement = this.crossfade.activeElement;
+        
+        try {
+            const { superseded } = await fade;
+            // A newer crossfade took over; it reports its own end
+            if (superseded) return;
+            this.emit('crossfadeEnd', { track, index });
+        } catch (error) {
+            this.elements.audioElement = this.crossfade.activeElement;
+            console.error('Crossfade failed:', error);
+            this.showError('Nie można odtworzyć utworu');
+        }
+    }
+    
+    setCrossfade({ duration, curve } = {}) {
+        if (duration !== undefined) {
+            this.config.crossfadeDuration = Math.max(0, Number(duration) || 0);
+            if (this.crossfade) this.crossfade.setDuration(this.config.crossfadeDuration);
+        }
+        
+        if (curve !== undefined) {
+            if (this.crossfade) this.crossfade.setCurve(curve);
+            this.config.crossfadeCurve = curve;
+        }
+    }
+    
     setupMediaSession() {
         if (!this.mediaSessionSupported) {
             console.log('Media Session API not supported');
@@ -297,7 +785,7 @@ export class AudioPlayer {
         navigator.mediaSession.setActionHandler('play', () => this.play());
         navigator.mediaSession.setActionHandler('pause', () => this.pause());
         navigator.mediaSession.setActionHandler('previoustrack', () => this.prev());
-        navigator.mediaSession.setActionHandler('nexttrack', () => this.next());
+        this.updateMediaSessionActions();
         
         // Optional handlers
         if ('seekbackward' in navigator.mediaSession) {
@@ -313,9 +801,9 @@ export class AudioPlayer {
         if (!this.mediaSessionSupported || !this.currentTrack) return;
         
         const metadata = {
-            title: this.generateTitle(this.currentTrack.file),
-            artist: 'Radio Adamowo',
-            album: this.currentTrack.category || 'Unknown',
+            title: this.getTrackTitle(this.currentTrack),
+            artist: this.currentTrack.metadata?.artist || 'Radio Adamowo',
+            album: this.currentTrack.metadata?.album || this.currentTrack.category || 'Unknown',
         };
         
         // Add artwork if available
@@ -324,7 +812,7 @@ export class AudioPlayer {
                 {
                     src: this.currentTrack.metadata.artwork,
                     sizes: '512x512',
-                    type: 'image/png'
+                    type: this.currentTrack.metadata.artworkType || 'image/png'
                 }
             ];
         } else {
@@ -339,36 +827,158 @@ export class AudioPlayer {
         }
         
         navigator.mediaSession.metadata = new MediaMetadata(metadata);
+        this.updateMediaSessionActions();
+        this.updatePositionState();
+    }
+    
+    updateMediaSessionActions() {
+        if (!this.mediaSessionSupported) return;
+        
+        // Without a next track (repeat off, end of the list) the system controls grey out "next"
+        try {
+            navigator.mediaSession.setActionHandler('nexttrack', this.hasNext() ? () => this.next() : null);
+        } catch (error) {
+            console.warn('Failed to update Media Session actions:', error);
+        }
+    }
+    
+    updatePositionState() {
+        if (!this.mediaSessionSupported || !('setPositionState' in navigator.mediaSession)) return;
+        
+        const audio = this.elements.audioElement;
+        if (!audio || !isFinite(audio.duration) || audio.duration <= 0) return;
+        
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: audio.duration,
+                playbackRate: audio.playbackRate,
+                position: Math.min(audio.currentTime, audio.duration)
+            });
+        } catch (error) {
+            console.warn('Failed to update Media Session position:', error);
+        }
     }
     
     setupVisualizer() {
-        if (!this.config.enableVisualization || !this.elements.visualizer) return;
+        if (!this.config.enableVisualization) return;
+        
+        // Canvas visualizer with selectable renderers
+        if (this.elements.visualizerCanvas) {
+            try {
+                this.visualizer = new Visualizer({
+                    canvas: this.elements.visualizerCanvas,
+                    renderer: this.config.visualizerRenderer,
+                    onChange: (renderer) => {
+                        this.updateVisualizerPicker();
+                        this.emit('visualizerChanged', { renderer });
+                    }
+                });
+                this.renderVisualizerPicker();
+            } catch (error) {
+                console.warn('Canvas visualizer unavailable:', error);
+                this.visualizer = null;
+            }
+        }
         
-        // Simple CSS-based visualizer
         this.startVisualizer();
     }
     
+    renderVisualizerPicker() {
+        const picker = this.elements.visualizerPicker;
+        if (!picker || !this.visualizer) return;
+        
+        picker.innerHTML = '';
+        this.visualizer.getRenderers().forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'option-btn visualizer-option';
+            button.dataset.visualizer = id;
+            button.setAttribute('role', 'radio');
+            button.textContent = label;
+            button.addEventListener('click', () => this.setVisualizer(id));
+            picker.appendChild(button);
+        });
+        
+        picker.classList.remove('hidden');
+        this.updateVisualizerPicker();
+    }
+    
+    updateVisualizerPicker() {
+        const picker = this.elements.visualizerPicker;
+        if (!picker || !this.visualizer) return;
+        
+        picker.querySelectorAll('[data-visualizer]').forEach(button => {
+            const isActive = button.dataset.visualizer === this.visualizer.rendererId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', String(isActive));
+        });
+    }
+    
+    setVisualizer(renderer) {
+        if (!this.visualizer) return false;
+        this.visualizer.setRenderer(renderer);
+        return true;
+    }
+    
+    getVisualizer() {
+        return this.visualizer ? this.visualizer.rendererId : null;
+    }
+    
     startVisualizer() {
-        if (!this.isPlaying || !this.elements.visualizer) return;
+        if (!this.isPlaying) return;
+        
+        if (this.visualizer && this.analyser) {
+            if (this.visualizer.analyser !== this.analyser) {
+                this.visualizer.setAnalyser(this.analyser);
+            }
+            this.visualizer.start();
+        }
+        
+        this.startVisualizerBars();
+    }
+    
+    stopVisualizer() {
+        if (this.visualizer) {
+            this.visualizer.stop();
+        }
+        
+        if (this.visualizerBarsFrame) {
+            cancelAnimationFrame(this.visualizerBarsFrame);
+            this.visualizerBarsFrame = null;
+        }
+    }
+    
+    startVisualizerBars() {
+        // Header mini bars; CSS keeps them still when reduced motion is preferred
+        if (!this.elements.visualizer || this.visualizerBarsFrame) return;
+        if (this.visualizer && this.visualizer.prefersReducedMotion()) return;
         
         const bars = this.elements.visualizer.querySelectorAll('.bar');
+        let data = null;
         
         const animate = () => {
-            if (!this.isPlaying) return;
+            if (!this.isPlaying) {
+                this.visualizerBarsFrame = null;
+                return;
+            }
+            
+            if (!data && this.analyser) data = new Uint8Array(this.analyser.frequencyBinCount);
+            if (data) this.analyser.getByteFrequencyData(data);
             
             bars.forEach((bar, index) => {
-                const height = Math.random() * 16 + 4; // 4-20px
-                bar.style.height = `${height}px`;
+                // One low, mid and high band per bar; random movement until the analyser exists
+                const value = data ? data[Math.floor((index + 0.5) * data.length / (bars.length * 2))] / 255 : Math.random();
+                bar.style.height = `${value * 16 + 4}px`; // 4-20px
             });
             
-            requestAnimationFrame(animate);
+            this.visualizerBarsFrame = requestAnimationFrame(animate);
         };
         
         animate();
     }
     
     // Playlist management
-    loadPlaylist(category) {
+    loadPlaylist(category, { index = 0, resumeAt = null, file = null } = {}) {
         const tracks = this.playlists.get(category);
         if (!tracks) {
             console.warn(`Playlist not found: ${category}`);
@@ -380,20 +990,66 @@ export class AudioPlayer {
         this.currentIndex = 0;
         
         if (this.isShuffled) {
-            this.shuffleArray(this.currentTracks);
+            this.currentTracks = this.shuffleTracks(this.currentTracks);
+        }
+        
+        // Start from a specific track, wherever shuffling put it
+        if (file) {
+            index = Math.max(0, this.currentTracks.findIndex(track => track.file === file));
         }
         
         this.updatePlaylistUI();
         this.updateCategoryTabs();
         
-        // Load first track if available
+        // Load first (or restored) track if available
         if (this.currentTracks.length > 0) {
-            this.loadTrack(0);
+            this.loadTrack(Math.min(index, this.currentTracks.length - 1), { resumeAt });
         } else {
             this.showFallbackMessage();
         }
     }
     
+    restoreSession() {
+        this.queue.load();
+        
+        const position = this.queue.getPosition();
+        if (!position || !this.playlists.has(position.playlist)) {
+            this.loadPlaylist(this.currentPlaylist);
+            return;
+        }
+        
+        const tracks = this.playlists.get(position.playlist);
+        const index = tracks.findIndex(track => track.file === position.file);
+        
+        if (index !== -1) {
+            this.loadPlaylist(position.playlist, { index, resumeAt: position.time });
+        } else {
+            // The track was playing from the queue, outside the category list
+            this.loadPlaylist(position.playlist, { index: position.index || 0 });
+            if (position.track) {
+                this.setCurrentTrack(position.track, { fromQueue: true, resumeAt: position.time });
+            }
+        }
+        
+        this.emit('sessionRestored', { position, queueLength: this.queue.length });
+    }
+    
+    savePosition({ force = false, time } = {}) {
+        if (!this.currentTrack) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastPositionSave < this.config.positionSaveInterval) return;
+        this.lastPositionSave = now;
+        
+        this.queue.setPosition({
+            playlist: this.currentPlaylist,
+            index: this.currentIndex,
+            file: this.currentTrack.file,
+            time: time ?? this.pendingSeek ?? (this.elements.audioElement ? this.elements.audioElement.currentTime || 0 : 0),
+            track: this.isQueuedTrack ? this.queue.snapshot(this.currentTrack) : null
+        });
+    }
+    
     switchPlaylist(category) {
         if (category === this.currentPlaylist) return;
         
@@ -408,67 +1064,1055 @@ export class AudioPlayer {
         this.emit('playlistChanged', { category, trackCount: this.currentTracks.length });
     }
     
+    registerFullMix() {
+        // Every music track in one list; spoken word stays in its own tabs
+        const id = this.config.fullMixCategory;
+        const tracks = [];
+        this.playlists.forEach((categoryTracks, category) => {
+            if (!this.config.longFormCategories.includes(category)) {
+                tracks.push(...categoryTracks);
+            }
+        });
+        
+        if (tracks.length === 0 || this.playlists.has(id)) return;
+        
+        this.playlists.set(id, tracks);
+        this.categories.push({
+            id,
+            name: this.config.fullMixName,
+            description: '',
+            color: null,
+            trackCount: tracks.length,
+            derived: true
+        });
+    }
+    
     updatePlaylistUI() {
         if (!this.elements.playlist) return;
         
-        const playlistHTML = this.currentTracks.map((track, index) => `
-            <div class="track-item ${index === this.currentIndex ? 'active' : ''}" 
+        // An active search replaces the category list with its results
+        const isSearching = this.isSearchActive();
+        const tracks = isSearching ? this.searchResults.map(result => result.item.track) : this.currentTracks;
+        const isActive = (track, index) => isSearching
+            ? Boolean(this.currentTrack) && track.file === this.currentTrack.file
+            : index === this.currentIndex;
+        
+        const playlistHTML = tracks.map((track, index) => `
+            <div class="track-item ${isActive(track, index) ? 'active' : ''} ${this.progress.isFinished(track.file) ? 'finished' : ''} ${this.isTrackAvailable(track) ? '' : 'unavailable'}" 
                  data-index="${index}"
                  role="button" 
                  tabindex="0"
-                 aria-label="Play ${this.generateTitle(track.file)}">
-                <div class="track-title">${this.generateTitle(track.file)}</div>
+                 aria-label="Play ${this.escapeHtml(this.getTrackTitle(track))}">
+                <div class="track-title">${this.escapeHtml(this.getTrackTitle(track))}</div>
+                ${isSearching ? this.renderSearchMatch(this.searchResults[index]) : ''}
                 <div class="track-info">
                     <span class="track-category">${track.category || 'Unknown'}</span>
-                    <span class="track-duration">${track.metadata?.duration || '00:00'}</span>
+                    <span class="track-duration">${this.getTrackProgressLabel(track)}</span>
+                </div>
+                <div class="track-actions">
+                    ${this.renderUserPlaylistActions(track, isSearching)}
+                    ${this.renderDownloadAction(track)}
+                    <button class="track-action" type="button" data-action="play-next"
+                            title="Zagraj jako następny"
+                            aria-label="Play next: ${this.escapeHtml(this.getTrackTitle(track))}">⤴</button>
+                    <button class="track-action" type="button" data-action="enqueue"
+                            title="Dodaj do kolejki"
+                            aria-label="Add to queue: ${this.escapeHtml(this.getTrackTitle(track))}">+</button>
                 </div>
             </div>
         `).join('');
         
         this.elements.playlist.innerHTML = playlistHTML;
         
-        // Add click handlers to track items
-        this.elements.playlist.querySelectorAll('.track-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const index = parseInt(item.getAttribute('data-index'));
-                this.loadTrack(index);
-                if (!this.isPlaying) {
-                    this.play();
+        // Queue actions on each track
+        this.elements.playlist.querySelectorAll('.track-action').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const index = parseInt(btn.closest('.track-item').getAttribute('data-index'));
+                const track = tracks[index];
+                
+                switch (btn.getAttribute('data-action')) {
+                    case 'play-next':
+                        this.playNext(track);
+                        break;
+                    case 'enqueue':
+                        this.enqueue(track);
+                        break;
+                    case 'favorite':
+                        this.toggleFavorite(track);
+                        break;
+                    case 'add-to-playlist':
+                        this.openPlaylistMenu(btn, track);
+                        break;
+                    case 'move-up':
+                    case 'move-down':
+                        this.moveInUserPlaylist(this.currentPlaylist, index, index + (btn.getAttribute('data-action') === 'move-up' ? -1 : 1));
+                        break;
+                    case 'remove':
+                        this.removeFromUserPlaylist(this.currentPlaylist, track.file);
+                        break;
+                    case 'download':
+                        this.toggleDownload(track);
+                        break;
                 }
             });
+        });
+        
+        // Add click handlers to track items
+        const playItem = (item) => {
+            const index = parseInt(item.getAttribute('data-index'));
+            if (!this.isTrackAvailable(tracks[index])) {
+                this.showError('Brak połączenia - ten utwór nie jest pobrany');
+                return;
+            }
+            
+            if (isSearching) {
+                this.playSearchResult(tracks[index]);
+                return;
+            }
+            
+            this.loadTrack(index, { crossfade: true });
+            if (!this.isPlaying) {
+                this.play();
+            }
+        };
+        
+        this.elements.playlist.querySelectorAll('.track-item').forEach(item => {
+            item.addEventListener('click', () => playItem(item));
             
-            // Keyboard support
+            // Keyboard support; Alt+Up/Down reorders a user playlist
             item.addEventListener('keydown', (e) => {
+                if (e.target !== item) return;
+                
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
+                    playItem(item);
+                } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && this.isEditablePlaylist(isSearching)) {
+                    e.preventDefault();
+                    e.stopPropagation();
                     const index = parseInt(item.getAttribute('data-index'));
-                    this.loadTrack(index);
-                    if (!this.isPlaying) {
-                        this.play();
+                    const target = index + (e.key === 'ArrowUp' ? -1 : 1);
+                    if (this.moveInUserPlaylist(this.currentPlaylist, index, target)) {
+                        this.focusTrackItem(target);
                     }
                 }
             });
         });
+        
+        this.updateSearchStatus();
+        this.updateQueueUI();
     }
     
-    updateCategoryTabs() {
-        this.elements.categoryTabs.forEach(tab => {
-            const category = tab.getAttribute('data-category');
-            const isActive = category === this.currentPlaylist;
-            
-            tab.classList.toggle('active', isActive);
-            tab.setAttribute('aria-selected', isActive);
-        });
-    }
-    
-    // Playback controls
-    async togglePlayPause() {
-        if (!this.isAudioContextInitialized) {
-            this.showAutoplayOverlay();
-            return;
-        }
+    updateQueueUI() {
+        const container = this.elements.queueList;
+        if (!container) return;
         
-        if (this.isPlaying) {
+        const items = this.queue.list();
+        container.classList.toggle('hidden', items.length === 0);
+        
+        container.innerHTML = `
+            <div class="queue-header">
+                <h3 class="queue-title">Kolejka (${items.length})</h3>
+                <button class="option-btn queue-clear" type="button">Wyczyść</button>
+            </div>
+            <ol class="queue-list" aria-label="Play queue">
+                ${items.map((track, index) => `
+                    <li class="queue-item"
+                        draggable="true"
+                        tabindex="0"
+                        data-queue-index="${index}"
+                        aria-label="${this.escapeHtml(this.getTrackTitle(track))}. Alt+Up/Down to reorder, Delete to remove">
+                        <span class="queue-handle" aria-hidden="true">⋮⋮</span>
+                        <span class="queue-track">${this.escapeHtml(this.getTrackTitle(track))}</span>
+                        <span class="track-category">${this.escapeHtml(track.category || 'Unknown')}</span>
+                        <button class="queue-remove" type="button" aria-label="Remove from queue">×</button>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+        
+        container.querySelector('.queue-clear').addEventListener('click', () => this.clearQueue());
+        
+        container.querySelectorAll('.queue-item').forEach(item => {
+            const index = parseInt(item.getAttribute('data-queue-index'));
+            
+            item.querySelector('.queue-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeFromQueue(index);
+            });
+            
+            item.addEventListener('dblclick', () => this.playFromQueue(index));
+            
+            // Drag to reorder
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                item.classList.add('dragging');
+            });
+            
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+            
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            });
+            
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const fromIndex = parseInt(e.dataTransfer.getData('text/plain'));
+                if (!isNaN(fromIndex)) {
+                    this.moveInQueue(fromIndex, index);
+                }
+            });
+            
+            // Keyboard reorder and removal
+            item.addEventListener('keydown', (e) => {
+                if (e.target !== item) return;
+                
+                if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const target = index + (e.key === 'ArrowUp' ? -1 : 1);
+                    if (this.moveInQueue(index, target)) {
+                        this.focusQueueItem(target);
+                    }
+                } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.removeFromQueue(index);
+                    this.focusQueueItem(Math.min(index, this.queue.length - 1));
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.playFromQueue(index);
+                }
+            });
+        });
+    }
+    
+    focusQueueItem(index) {
+        if (!this.elements.queueList || index < 0) return;
+        
+        const item = this.elements.queueList.querySelector(`[data-queue-index="${index}"]`);
+        if (item) item.focus();
+    }
+    
+    // Queue management
+    enqueue(track) {
+        if (!this.queue.enqueue(track)) return false;
+        
+        this.onQueueChanged('enqueue', track);
+        return true;
+    }
+    
+    playNext(track) {
+        if (!this.queue.playNext(track)) return false;
+        
+        this.onQueueChanged('playNext', track);
+        return true;
+    }
+    
+    removeFromQueue(index) {
+        const removed = this.queue.remove(index);
+        if (removed) this.onQueueChanged('remove', removed);
+        return removed;
+    }
+    
+    moveInQueue(fromIndex, toIndex) {
+        const track = this.queue.items[fromIndex];
+        const moved = this.queue.move(fromIndex, toIndex);
+        if (moved) this.onQueueChanged('move', track);
+        return moved;
+    }
+    
+    clearQueue() {
+        if (this.queue.isEmpty()) return;
+        
+        this.queue.clear();
+        this.onQueueChanged('clear', null);
+    }
+    
+    playFromQueue(index) {
+        const track = this.queue.remove(index);
+        if (!track) return;
+        
+        this.setCurrentTrack(track, { crossfade: true, fromQueue: true });
+        this.onQueueChanged('play', track);
+        
+        if (!this.isPlaying) {
+            this.play();
+        }
+    }
+    
+    onQueueChanged(action, track) {
+        this.updateQueueUI();
+        this.updateMediaSessionActions();
+        this.emit('queueChanged', { action, track, queue: this.queue.list() });
+    }
+    
+    getQueue() {
+        return this.queue.list();
+    }
+    
+    syncCategoryTabs() {
+        if (!this.elements.categoryTabList) return;
+        
+        // Derived and user categories without a tab in the markup get one generated
+        const existing = new Set(
+            Array.from(this.elements.categoryTabs).map(tab => tab.getAttribute('data-category'))
+        );
+        
+        this.categories
+            .filter(category => !existing.has(category.id))
+            .forEach(category => this.createCategoryTab(category));
+        
+        this.elements.categoryTabs = document.querySelectorAll('.category-tab');
+        this.updateCategoryTabs();
+    }
+    
+    createCategoryTab(category) {
+        const tab = document.createElement('button');
+        tab.className = 'category-tab';
+        tab.id = `tab-${category.id}`;
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('data-category', category.id);
+        tab.setAttribute('aria-selected', 'false');
+        tab.classList.toggle('user-category', Boolean(category.user));
+        
+        const label = document.createElement('span');
+        label.textContent = category.name;
+        tab.appendChild(label);
+        
+        tab.addEventListener('click', () => this.switchPlaylist(category.id));
+        this.elements.categoryTabList.appendChild(tab);
+        
+        return tab;
+    }
+    
+    updateCategoryTabs() {
+        this.elements.categoryTabs.forEach(tab => {
+            const category = tab.getAttribute('data-category');
+            const isActive = category === this.currentPlaylist;
+            
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive);
+            
+            // User playlists can be renamed and change length after the tab was created
+            if (UserPlaylistStore.isUserCategory(category)) {
+                const info = this.categories.find(c => c.id === category);
+                const label = tab.querySelector('span');
+                if (info && label) {
+                    label.textContent = info.name;
+                    tab.title = `${info.name} (${info.trackCount})`;
+                }
+                tab.classList.toggle('favorites-category', category === FAVORITES_ID);
+            }
+        });
+        
+        this.updateUserPlaylistTools();
+    }
+    
+    // Favourites and user playlists
+    setupUserPlaylistControls() {
+        const {
+            userPlaylistCreateForm,
+            userPlaylistNameInput,
+            userPlaylistRenameForm,
+            userPlaylistRenameInput,
+            userPlaylistDeleteBtn,
+            userPlaylistsExportBtn,
+            userPlaylistsImportInput
+        } = this.elements;
+        
+        if (userPlaylistCreateForm && userPlaylistNameInput) {
+            userPlaylistCreateForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const tracks = this.pendingPlaylistTrack ? [this.pendingPlaylistTrack] : [];
+                if (this.createUserPlaylist(userPlaylistNameInput.value, tracks)) {
+                    userPlaylistNameInput.value = '';
+                    this.pendingPlaylistTrack = null;
+                }
+            });
+        }
+        
+        if (userPlaylistRenameForm && userPlaylistRenameInput) {
+            userPlaylistRenameForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.renameUserPlaylist(this.currentPlaylist, userPlaylistRenameInput.value);
+            });
+        }
+        
+        if (userPlaylistDeleteBtn) {
+            userPlaylistDeleteBtn.addEventListener('click', () => {
+                const info = this.categories.find(c => c.id === this.currentPlaylist);
+                if (info && window.confirm(`Usunąć playlistę „${info.name}”?`)) {
+                    this.removeUserPlaylist(this.currentPlaylist);
+                }
+            });
+        }
+        
+        if (userPlaylistsExportBtn) {
+            userPlaylistsExportBtn.addEventListener('click', () => this.downloadUserPlaylists());
+        }
+        
+        if (userPlaylistsImportInput) {
+            userPlaylistsImportInput.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (file) {
+                    this.importUserPlaylistsFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // The "add to playlist" menu closes on any outside click or Escape
+        document.addEventListener('click', (e) => {
+            if (this.playlistMenu && !this.playlistMenu.contains(e.target) && !e.target.closest('[data-action="add-to-playlist"]')) {
+                this.closePlaylistMenu();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.playlistMenu) {
+                this.closePlaylistMenu();
+            }
+        });
+    }
+    
+    isFavorite(track = this.currentTrack) {
+        return Boolean(track) && this.userPlaylists.isFavorite(track.file);
+    }
+    
+    toggleFavorite(track = this.currentTrack) {
+        if (!track || !track.file) return false;
+        
+        const isFavorite = this.userPlaylists.toggleFavorite(track);
+        this.onUserPlaylistChanged(FAVORITES_ID);
+        
+        this.emit('favoriteToggled', { track, isFavorite });
+        return isFavorite;
+    }
+    
+    updateFavoriteButton() {
+        const button = this.elements.favoriteBtn;
+        if (!button) return;
+        
+        const isFavorite = this.isFavorite();
+        button.disabled = !this.currentTrack;
+        button.setAttribute('aria-pressed', isFavorite);
+        button.setAttribute('aria-label', isFavorite ? 'Usuń z ulubionych' : 'Dodaj do ulubionych');
+    }
+    
+    createUserPlaylist(name, tracks = []) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            this.showError('Podaj nazwę playlisty');
+            return null;
+        }
+        
+        const playlist = this.userPlaylists.create(trimmed, tracks);
+        this.onUserPlaylistChanged(playlist.id);
+        
+        this.emit('userPlaylistCreated', { category: playlist.id, name: playlist.name });
+        return playlist;
+    }
+    
+    renameUserPlaylist(category, name) {
+        if (category === FAVORITES_ID) return false;
+        
+        const playlist = this.userPlaylists.rename(category, name);
+        if (!playlist) {
+            this.showError('Podaj nazwę playlisty');
+            return false;
+        }
+        
+        this.onUserPlaylistChanged(category);
+        this.emit('userPlaylistRenamed', { category, name: playlist.name });
+        return true;
+    }
+    
+    addToUserPlaylist(category, track) {
+        if (!this.userPlaylists.addTrack(category, track)) return false;
+        
+        this.onUserPlaylistChanged(category);
+        return true;
+    }
+    
+    removeFromUserPlaylist(category, file) {
+        if (!this.userPlaylists.removeTrack(category, file)) return false;
+        
+        this.onUserPlaylistChanged(category);
+        return true;
+    }
+    
+    moveInUserPlaylist(category, fromIndex, toIndex) {
+        if (!this.userPlaylists.moveTrack(category, fromIndex, toIndex)) return false;
+        
+        this.onUserPlaylistChanged(category);
+        return true;
+    }
+    
+    isEditablePlaylist(isSearching = this.isSearchActive()) {
+        // Reordering only makes sense on the stored order, not on search results or a shuffle
+        return !isSearching && !this.isShuffled && UserPlaylistStore.isUserCategory(this.currentPlaylist);
+    }
+    
+    onUserPlaylistChanged(category) {
+        const playlist = this.userPlaylists.get(category);
+        if (playlist) {
+            this.registerUserPlaylist(playlist);
+            this.syncCategoryTabs();
+        }
+        
+        // Keep the list on screen in step with the stored order, without interrupting playback
+        if (category === this.currentPlaylist && playlist) {
+            this.currentTracks = [...playlist.tracks];
+            if (this.isShuffled) {
+                this.currentTracks = this.shuffleTracks(this.currentTracks);
+            }
+            if (this.currentTrack) {
+                const index = this.currentTracks.findIndex(track => track.file === this.currentTrack.file);
+                if (index !== -1) this.currentIndex = index;
+            }
+        }
+        
+        this.indexPlaylists();
+        this.updateCategoryTabs();
+        this.updateFavoriteButton();
+        this.updatePlaylistUI();
+        
+        this.emit('userPlaylistChanged', { category });
+    }
+    
+    renderUserPlaylistActions(track, isSearching) {
+        const title = this.escapeHtml(this.getTrackTitle(track));
+        const isFavorite = this.userPlaylists.isFavorite(track.file);
+        
+        let html = `
+                    <button class="track-action ${isFavorite ? 'is-favorite' : ''}" type="button" data-action="favorite"
+                            title="${isFavorite ? 'Usuń z ulubionych' : 'Dodaj do ulubionych'}"
+                            aria-pressed="${isFavorite}"
+                            aria-label="Favourite: ${title}">${isFavorite ? '♥' : '♡'}</button>
+                    <button class="track-action" type="button" data-action="add-to-playlist"
+                            title="Dodaj do playlisty"
+                            aria-haspopup="true"
+                            aria-label="Add to playlist: ${title}">☰</button>`;
+        
+        if (!isSearching && UserPlaylistStore.isUserCategory(this.currentPlaylist)) {
+            if (this.isEditablePlaylist(isSearching)) {
+                html += `
+                    <button class="track-action" type="button" data-action="move-up"
+                            title="Przesuń wyżej (Alt+↑)"
+                            aria-label="Move up: ${title}">↑</button>
+                    <button class="track-action" type="button" data-action="move-down"
+                            title="Przesuń niżej (Alt+↓)"
+                            aria-label="Move down: ${title}">↓</button>`;
+            }
+            html += `
+                    <button class="track-action" type="button" data-action="remove"
+                            title="Usuń z playlisty"
+                            aria-label="Remove from playlist: ${title}">×</button>`;
+        }
+        
+        return html;
+    }
+    
+    openPlaylistMenu(button, track) {
+        const container = button.closest('.track-actions');
+        const wasOpen = this.playlistMenu && this.playlistMenu.parentElement === container;
+        this.closePlaylistMenu();
+        if (wasOpen || !container) return;
+        
+        const playlists = this.userPlaylists.list().filter(playlist => playlist.id !== FAVORITES_ID);
+        
+        const menu = document.createElement('div');
+        menu.className = 'playlist-add-menu';
+        menu.setAttribute('role', 'menu');
+        menu.innerHTML = `
+            ${playlists.length === 0 ? '<div class="playlist-add-empty">Brak własnych playlist</div>' : ''}
+            ${playlists.map(playlist => `
+                <button type="button" role="menuitem" data-playlist="${this.escapeHtml(playlist.id)}">
+                    ${this.escapeHtml(playlist.name)}${playlist.tracks.some(entry => entry.file === track.file) ? ' ✓' : ''}
+                </button>
+            `).join('')}
+            <button type="button" role="menuitem" data-playlist="">+ Nowa playlista…</button>
+        `;
+        
+        // Clicks inside the menu must not start playback of the track item
+        menu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('[data-playlist]');
+            if (!item) return;
+            
+            const category = item.getAttribute('data-playlist');
+            this.closePlaylistMenu();
+            
+            if (category) {
+                if (!this.addToUserPlaylist(category, track)) {
+                    this.showError('Utwór jest już na tej playliście');
+                }
+            } else if (this.elements.userPlaylistNameInput) {
+                // New playlists are named in the form; remember which track to put in it
+                this.pendingPlaylistTrack = track;
+                this.elements.userPlaylistNameInput.focus();
+            } else {
+                this.createUserPlaylist('Moja playlista', [track]);
+            }
+        });
+        
+        container.appendChild(menu);
+        button.setAttribute('aria-expanded', 'true');
+        this.playlistMenu = menu;
+        
+        const first = menu.querySelector('button');
+        if (first) first.focus();
+    }
+    
+    closePlaylistMenu() {
+        if (!this.playlistMenu) return;
+        
+        const button = this.playlistMenu.parentElement?.querySelector('[data-action="add-to-playlist"]');
+        if (button) button.setAttribute('aria-expanded', 'false');
+        
+        this.playlistMenu.remove();
+        this.playlistMenu = null;
+    }
+    
+    updateUserPlaylistTools() {
+        const { userPlaylistRenameForm, userPlaylistRenameInput } = this.elements;
+        if (!userPlaylistRenameForm) return;
+        
+        // Favourites keep their name and cannot be deleted
+        const isEditable = UserPlaylistStore.isUserCategory(this.currentPlaylist) && this.currentPlaylist !== FAVORITES_ID;
+        userPlaylistRenameForm.classList.toggle('hidden', !isEditable);
+        
+        if (isEditable && userPlaylistRenameInput && document.activeElement !== userPlaylistRenameInput) {
+            const info = this.categories.find(c => c.id === this.currentPlaylist);
+            userPlaylistRenameInput.value = info ? info.name : '';
+        }
+    }
+    
+    focusTrackItem(index) {
+        const item = this.elements.playlist?.querySelector(`.track-item[data-index="${index}"]`);
+        if (item) item.focus();
+    }
+    
+    exportUserPlaylists() {
+        return this.userPlaylists.export();
+    }
+    
+    downloadUserPlaylists() {
+        try {
+            const url = URL.createObjectURL(new Blob([this.exportUserPlaylists()], { type: 'application/json' }));
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'radio-adamowo-playlisty.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.emit('userPlaylistsExported');
+        } catch (error) {
+            console.error('Playlists export failed:', error);
+            this.showError('Nie można wyeksportować playlist');
+        }
+    }
+    
+    async importUserPlaylistsFile(file) {
+        try {
+            const imported = this.userPlaylists.import(await file.text());
+            imported.forEach(playlist => this.onUserPlaylistChanged(playlist.id));
+            
+            this.emit('userPlaylistsImported', { count: imported.length });
+            return imported.length;
+        } catch (error) {
+            console.error('Playlists import failed:', error);
+            this.showError('Nie można zaimportować playlist');
+            return 0;
+        }
+    }
+    
+    // Search
+    setupSearchControls() {
+        const input = this.elements.searchInput;
+        if (!input) return;
+        
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.setSearchQuery(input.value), this.config.searchDebounce);
+        });
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.clearSearch();
+                input.blur();
+            } else if (e.key === 'Enter') {
+                // Run the pending search right away and play the best match
+                e.preventDefault();
+                clearTimeout(this.searchTimeout);
+                this.setSearchQuery(input.value);
+                if (this.searchResults.length > 0) {
+                    this.playSearchResult(this.searchResults[0].item.track);
+                }
+            } else if (e.key === 'ArrowDown' && this.elements.playlist) {
+                const first = this.elements.playlist.querySelector('.track-item');
+                if (first) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+        
+        if (this.elements.searchFilter) {
+            this.elements.searchFilter.addEventListener('change', (e) => this.setSearchFilter(e.target.value));
+        }
+    }
+    
+    focusSearch() {
+        const input = this.elements.searchInput;
+        if (!input) return;
+        
+        input.focus();
+        input.select();
+    }
+    
+    indexPlaylists() {
+        // A file listed in several playlists is indexed once, under the first playlist that has it
+        const seen = new Set();
+        const items = [];
+        
+        this.playlists.forEach((tracks, playlist) => {
+            tracks.forEach(track => {
+                if (!track || !track.file || seen.has(track.file)) return;
+                seen.add(track.file);
+                items.push(this.toSearchItem(track, playlist));
+            });
+        });
+        
+        this.searchIndex.setItems('playlists', items);
+        this.refreshSearch();
+    }
+    
+    registerSearchItems(source, tracks) {
+        // Used by other modules (e.g. podcast episodes) to make their tracks searchable
+        this.searchIndex.setItems(source, tracks.map(track => this.toSearchItem(track, null)));
+        this.refreshSearch();
+    }
+    
+    toSearchItem(track, playlist) {
+        const metadata = track.metadata || {};
+        const tags = [metadata.mood, metadata.tags, track.mood, track.tags]
+            .flat()
+            .filter(tag => typeof tag === 'string');
+        
+        return {
+            id: track.id || track.file,
+            type: this.config.longFormCategories.includes(track.category) ? 'podcasts' : 'music',
+            track,
+            playlist,
+            title: this.getTrackTitle(track),
+            artist: metadata.artist,
+            album: metadata.album,
+            category: track.category,
+            tags,
+            description: metadata.description
+        };
+    }
+    
+    isSearchActive() {
+        return this.searchQuery.trim() !== '';
+    }
+    
+    search(query, { filter = 'all', limit = this.config.searchLimit } = {}) {
+        return this.searchIndex.search(query, {
+            type: filter === 'all' ? null : filter,
+            limit
+        });
+    }
+    
+    setSearchQuery(query) {
+        this.searchQuery = String(query || '');
+        if (this.elements.searchInput && this.elements.searchInput.value !== this.searchQuery) {
+            this.elements.searchInput.value = this.searchQuery;
+        }
+        
+        this.refreshSearch();
+        this.emit('searchChanged', {
+            query: this.searchQuery,
+            filter: this.searchFilter,
+            resultCount: this.searchResults.length
+        });
+    }
+    
+    setSearchFilter(filter) {
+        this.searchFilter = ['music', 'podcasts'].includes(filter) ? filter : 'all';
+        if (this.elements.searchFilter) {
+            this.elements.searchFilter.value = this.searchFilter;
+        }
+        
+        this.refreshSearch();
+    }
+    
+    clearSearch() {
+        clearTimeout(this.searchTimeout);
+        this.setSearchQuery('');
+    }
+    
+    refreshSearch() {
+        const wasSearching = this.searchResults.length > 0;
+        this.searchResults = this.isSearchActive()
+            ? this.search(this.searchQuery, { filter: this.searchFilter })
+            : [];
+        
+        // Nothing to redraw while the list shows the category and stays that way
+        if (this.isSearchActive() || wasSearching) {
+            this.updatePlaylistUI();
+        } else {
+            this.updateSearchStatus();
+        }
+    }
+    
+    playSearchResult(track) {
+        if (!track) return;
+        
+        const result = this.searchResults.find(entry => entry.item.track === track);
+        const playlist = result ? result.item.playlist : null;
+        const index = this.currentTracks.findIndex(item => item.file === track.file);
+        
+        // Catalogue tracks play inside their playlist so next/prev keep working
+        if (playlist && playlist !== this.currentPlaylist && this.playlists.has(playlist)) {
+            this.loadPlaylist(playlist, { file: track.file });
+            this.emit('playlistChanged', { category: playlist, trackCount: this.currentTracks.length });
+        } else if (index !== -1) {
+            this.loadTrack(index, { crossfade: true });
+        } else {
+            this.setCurrentTrack(track, { crossfade: true });
+        }
+        
+        if (!this.isPlaying) {
+            this.play();
+        }
+        
+        this.emit('searchResultPlayed', { track, query: this.searchQuery });
+    }
+    
+    renderSearchMatch(result) {
+        if (!result) return '';
+        
+        const labels = {
+            title: 'tytuł',
+            artist: 'wykonawca',
+            album: 'album',
+            tags: 'tagi',
+            category: 'kategoria',
+            description: 'opis'
+        };
+        
+        const fields = result.matchedFields.map(field => labels[field] || field);
+        return `<div class="track-match">Dopasowano: ${this.escapeHtml(fields.join(', '))}</div>`;
+    }
+    
+    updateSearchStatus() {
+        const status = this.elements.searchStatus;
+        if (!status) return;
+        
+        if (!this.isSearchActive()) {
+            status.textContent = '';
+            return;
+        }
+        
+        const count = this.searchResults.length;
+        const lastDigit = count % 10;
+        const lastTwo = count % 100;
+        
+        // Polish plural: 1 wynik, 2-4 wyniki, 5+ wyników
+        let noun = 'wyników';
+        if (count === 1) {
+            noun = 'wynik';
+        } else if (lastDigit >= 2 && lastDigit <= 4 && (lastTwo < 12 || lastTwo > 14)) {
+            noun = 'wyniki';
+        }
+        
+        status.textContent = count === 0 ? 'Brak wyników' : `${count} ${noun}`;
+    }
+    
+    // Playlist import/export
+    registerUserPlaylist(playlist) {
+        this.playlists.set(playlist.id, playlist.tracks);
+        
+        const category = {
+            id: playlist.id,
+            name: playlist.name,
+            description: '',
+            color: null,
+            trackCount: playlist.tracks.length,
+            user: true
+        };
+        
+        const existingIndex = this.categories.findIndex(c => c.id === playlist.id);
+        if (existingIndex === -1) {
+            this.categories.push(category);
+        } else {
+            this.categories[existingIndex] = category;
+        }
+    }
+    
+    async importPlaylistFile(file) {
+        try {
+            const content = await file.text();
+            return this.importPlaylist(content, {
+                filename: file.name,
+                name: file.name.replace(/\.[^.]+$/, '')
+            });
+        } catch (error) {
+            console.error('Playlist import failed:', error);
+            this.showError('Nie można zaimportować playlisty');
+            return null;
+        }
+    }
+    
+    importPlaylist(content, { filename = '', name } = {}) {
+        const entries = parsePlaylist(content, filename);
+        if (entries.length === 0) {
+            throw new Error('Imported playlist contains no tracks');
+        }
+        
+        // Reuse catalogue metadata for tracks the app already knows about
+        const catalogue = new Map();
+        this.playlists.forEach(tracks => tracks.forEach(track => catalogue.set(track.file, track)));
+        
+        const tracks = entries.map((entry, index) => {
+            const file = this.resolveImportedFile(entry.file);
+            const known = catalogue.get(file);
+            const metadata = { ...(known?.metadata || {}) };
+            
+            if (entry.title) metadata.title = entry.title;
+            if (entry.artist) metadata.artist = entry.artist;
+            if (entry.album) metadata.album = entry.album;
+            if (entry.duration && !metadata.duration_seconds) {
+                metadata.duration_seconds = Math.round(entry.duration);
+                metadata.duration = this.formatTime(entry.duration);
+            }
+            
+            return {
+                ...(known || {}),
+                id: known ? known.id : `imported_${index}`,
+                file,
+                metadata
+            };
+        });
+        
+        const playlist = this.userPlaylists.create(name || 'Importowana playlista', tracks, {
+            source: detectFormat(content, filename)
+        });
+        
+        this.registerUserPlaylist(playlist);
+        this.syncCategoryTabs();
+        this.indexPlaylists();
+        
+        this.emit('playlistImported', {
+            category: playlist.id,
+            name: playlist.name,
+            trackCount: playlist.tracks.length
+        });
+        
+        return playlist;
+    }
+    
+    resolveImportedFile(file) {
+        // Same-origin absolute URLs are stored relative so they match the catalogue
+        try {
+            const url = new URL(file, document.baseURI);
+            const base = new URL('.', document.baseURI);
+            if (url.origin === base.origin && url.pathname.startsWith(base.pathname)) {
+                return decodeURI(url.pathname.slice(base.pathname.length)) + url.search;
+            }
+        } catch (error) {
+            // Not a URL - keep the path as written
+        }
+        
+        return file;
+    }
+    
+    removeUserPlaylist(category) {
+        if (!UserPlaylistStore.isUserCategory(category) || !this.userPlaylists.remove(category)) {
+            return false;
+        }
+        
+        this.playlists.delete(category);
+        this.categories = this.categories.filter(c => c.id !== category);
+        this.indexPlaylists();
+        
+        const tab = document.querySelector(`.category-tab[data-category="${category}"]`);
+        if (tab) tab.remove();
+        this.elements.categoryTabs = document.querySelectorAll('.category-tab');
+        
+        if (this.currentPlaylist === category && this.playlists.size > 0) {
+            this.switchPlaylist(this.playlists.keys().next().value);
+        }
+        
+        this.emit('playlistRemoved', { category });
+        return true;
+    }
+    
+    exportPlaylist(format = 'm3u8') {
+        const spec = PLAYLIST_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported playlist format: ${format}`);
+        }
+        
+        // currentTracks is exported as-is, so a shuffled queue keeps its order
+        const entries = this.currentTracks.map(track => ({
+            file: new URL(track.file, document.baseURI).href,
+            title: this.getTrackTitle(track),
+            artist: track.metadata?.artist,
+            album: track.metadata?.album,
+            duration: track.metadata?.duration_seconds
+        }));
+        
+        const category = this.categories.find(c => c.id === this.currentPlaylist);
+        const content = serializePlaylist(entries, format, {
+            title: `Radio Adamowo - ${category ? category.name : this.currentPlaylist}`
+        });
+        
+        return {
+            content,
+            mimeType: spec.mimeType,
+            filename: `radio-adamowo-${this.currentPlaylist}.${spec.extension}`
+        };
+    }
+    
+    downloadPlaylist(format = 'm3u8') {
+        try {
+            const { content, mimeType, filename } = this.exportPlaylist(format);
+            const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.emit('playlistExported', { format, category: this.currentPlaylist });
+        } catch (error) {
+            console.error('Playlist export failed:', error);
+            this.showError('Nie można wyeksportować playlisty');
+        }
+    }
+    
+    // Playback controls
+    async togglePlayPause() {
+        if (!this.isAudioContextInitialized) {
+            this.showAutoplayOverlay();
+            return;
+        }
+        
+        if (this.isPlaying) {
             this.pause();
         } else {
             await this.play();
@@ -489,68 +2133,590 @@ export class AudioPlayer {
         }
     }
     
-    pause() {
-        if (this.elements.audioElement) {
-            this.elements.audioElement.pause();
+    pause() {
+        if (this.elements.audioElement) {
+            this.elements.audioElement.pause();
+        }
+    }
+    
+    next() {
+        // Queued tracks always play before the category list continues
+        const queued = this.queue.shift();
+        
+        if (queued) {
+            this.setCurrentTrack(queued, { crossfade: true, fromQueue: true });
+            this.onQueueChanged('play', queued);
+        } else {
+            if (this.currentTracks.length === 0) return;
+            
+            const nextIndex = this.getNextIndex();
+            if (nextIndex === -1) {
+                this.stopAtEndOfList();
+                return;
+            }
+            
+            this.loadTrack(nextIndex, { crossfade: true });
+        }
+        
+        if (this.isPlaying) {
+            this.play();
+        }
+    }
+    
+    prev() {
+        if (this.currentTracks.length === 0) return;
+        
+        // From a queued track, go back to the category track it interrupted
+        let prevIndex = this.isQueuedTrack ? this.currentIndex : this.currentIndex - 1;
+        if (prevIndex < 0) {
+            // With repeat off the first track just starts over
+            prevIndex = this.repeatMode === 'off' ? 0 : this.currentTracks.length - 1;
+        }
+        
+        this.loadTrack(prevIndex, { crossfade: true });
+        
+        if (this.isPlaying) {
+            this.play();
+        }
+    }
+    
+    getNextIndex() {
+        // Index of the list track after the current one, or -1 when the list is over.
+        // Offline, tracks that were not downloaded are skipped.
+        const length = this.currentTracks.length;
+        
+        for (let step = 1; step <= length; step++) {
+            const index = this.currentIndex + step;
+            if (index >= length && this.repeatMode === 'off') return -1;
+            if (this.isTrackAvailable(this.currentTracks[index % length])) return index % length;
+        }
+        
+        return -1;
+    }
+    
+    hasNext() {
+        return this.queue.length > 0 || this.getNextIndex() !== -1;
+    }
+    
+    stopAtEndOfList() {
+        // Same as the end of a CD: playback stops and the first track is ready to start again
+        this.pause();
+        this.isPlaying = false;
+        
+        if (this.currentTracks.length > 0) {
+            this.loadTrack(0);
+        }
+        
+        this.emit('playlistEnded', { playlist: this.currentPlaylist });
+    }
+    
+    loadTrack(index, options = {}) {
+        if (index < 0 || index >= this.currentTracks.length) {
+            console.warn(`Invalid track index: ${index}`);
+            return;
+        }
+        
+        const track = this.currentTracks[index];
+        if (!track || !track.file) {
+            console.warn('Invalid track data:', track);
+            return;
+        }
+        
+        this.currentIndex = index;
+        this.setCurrentTrack(track, options);
+    }
+    
+    setCurrentTrack(track, options = {}) {
+        const index = this.currentIndex;
+        
+        this.finishListeningSession({ replaced: true });
+        this.listeningSession = new ListeningSession(track);
+        if (this.isPlaying) this.listeningSession.play();
+        
+        this.currentTrack = track;
+        this.isQueuedTrack = Boolean(options.fromQueue);
+        this.pendingSeek = options.resumeAt > 0 ? options.resumeAt : null;
+        
+        // Update audio source
+        if (options.crossfade && this.canCrossfade()) {
+            this.crossfadeTo(track, index);
+        } else if (this.crossfade) {
+            this.crossfade.load(track.file);
+        } else if (this.elements.audioElement) {
+            this.elements.audioElement.src = track.file;
+        }
+        
+        this.applyPlaybackRate();
+        // The crossfade has already made the incoming deck active
+        this.applyTrackGain(track, { immediate: true });
+        this.useOfflineSource(track);
+        
+        // Update UI
+        this.updateTrackDisplay();
+        this.updateMediaSession();
+        this.updatePlaylistUI();
+        this.enrichTrackMetadata(track);
+        this.savePosition({ force: true, time: this.pendingSeek || 0 });
+        
+        if (this.pendingSeek === null) {
+            this.offerResume(track);
+        } else {
+            this.hideResumePrompt();
+        }
+        
+        this.emit('trackChanged', { track, index, fromQueue: this.isQueuedTrack });
+    }
+    
+    async enrichTrackMetadata(track) {
+        if (!this.metadataReader || !track || !track.file) return;
+        
+        let tags;
+        try {
+            tags = await this.metadataReader.read(track.file);
+        } catch (error) {
+            console.warn('Failed to read track tags:', error);
+            return;
+        }
+        if (!tags) return;
+        
+        // Metadata from the playlist or podcast feed wins; tags fill the gaps
+        const metadata = track.metadata || (track.metadata = {});
+        ['title', 'artist', 'album', 'year', 'trackNumber'].forEach(field => {
+            if (!metadata[field] && tags[field]) {
+                metadata[field] = tags[field];
+            }
+        });
+        
+        if (!metadata.artwork && tags.artwork) {
+            metadata.artwork = tags.artwork;
+            metadata.artworkType = tags.artworkType;
+        }
+        
+        if (track !== this.currentTrack) return;
+        
+        this.updateTrackDisplay();
+        this.updateMediaSession();
+        this.updatePlaylistUI();
+        this.emit('metadataLoaded', { track, tags });
+    }
+    
+    // Offline downloads
+    setupOfflineLibrary() {
+        const {
+            offlineTools,
+            downloadCategoryBtn,
+            offlineCancelBtn,
+            offlineStorage,
+            offlineStorageList,
+            offlineClearBtn
+        } = this.elements;
+        
+        if (!this.offline) {
+            if (offlineTools) offlineTools.classList.add('hidden');
+            return;
+        }
+        
+        this.offline.on('downloadStarted', ({ job }) => {
+            this.updateOfflineProgress(job);
+            this.onOfflineChanged();
+        });
+        this.offline.on('progress', ({ job }) => this.updateOfflineProgress(job));
+        this.offline.on('downloadFinished', (summary) => this.onDownloadFinished(summary));
+        this.offline.on('downloadFailed', ({ error }) => {
+            console.warn('Download failed:', error);
+            this.hideOfflineProgress();
+            this.showError('Nie można pobrać utworów do słuchania offline');
+            this.onOfflineChanged();
+        });
+        this.offline.on('added', () => this.onOfflineChanged());
+        this.offline.on('removed', () => this.onOfflineChanged());
+        
+        if (downloadCategoryBtn) {
+            downloadCategoryBtn.addEventListener('click', () => this.downloadCategory());
+        }
+        
+        if (offlineCancelBtn) {
+            offlineCancelBtn.addEventListener('click', () => this.offline.cancelAll());
+        }
+        
+        if (offlineStorage) {
+            offlineStorage.addEventListener('toggle', () => {
+                if (offlineStorage.open) this.renderOfflineStorage();
+            });
+        }
+        
+        if (offlineStorageList) {
+            offlineStorageList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-remove-file]');
+                if (button) this.offline.remove(button.getAttribute('data-remove-file'));
+            });
+        }
+        
+        if (offlineClearBtn) {
+            offlineClearBtn.addEventListener('click', () => {
+                if (this.offline.entries.size > 0 && window.confirm('Usunąć wszystkie pobrane utwory?')) {
+                    this.offline.clear();
+                }
+            });
+        }
+        
+        window.addEventListener('online', () => this.onConnectionChanged());
+        window.addEventListener('offline', () => this.onConnectionChanged());
+        
+        this.offline.init()
+            .catch(error => console.warn('Failed to initialize offline library:', error))
+            .then(() => this.onOfflineChanged());
+    }
+    
+    setupPodcasts() {
+        if (!this.config.enablePodcasts) return;
+        
+        this.podcasts = new PodcastManager(this, { feedUrl: this.config.podcastFeedUrl });
+        this.podcasts.init()
+            .catch(error => console.warn('Failed to initialize podcasts:', error));
+    }
+    
+    isTrackDownloaded(track) {
+        return Boolean(this.offline && track && this.offline.isDownloaded(track.file));
+    }
+    
+    isTrackAvailable(track) {
+        // Without a connection only downloaded tracks can play
+        return this.utils.isOnline() || !this.offline || this.isTrackDownloaded(track);
+    }
+    
+    canDownload() {
+        return Boolean(this.offline);
+    }
+    
+    async downloadTracks(tracks, label = '') {
+        if (!this.offline) return null;
+        
+        if (!this.utils.isOnline()) {
+            this.showError('Pobieranie wymaga połączenia z siecią');
+            return null;
+        }
+        
+        try {
+            return await this.offline.download(tracks, { label });
+        } catch (error) {
+            // Reported through the library's downloadFailed event
+            return null;
+        }
+    }
+    
+    downloadCategory(category = this.currentPlaylist) {
+        const tracks = this.playlists.get(category) || [];
+        const info = this.categories.find(item => item.id === category);
+        return this.downloadTracks(tracks, info ? info.name : category);
+    }
+    
+    toggleDownload(track) {
+        if (!this.offline || !track) return null;
+        
+        if (this.offline.isDownloaded(track.file)) {
+            return this.offline.remove(track.file);
+        }
+        
+        return this.downloadTracks([track], this.getTrackTitle(track));
+    }
+    
+    renderDownloadAction(track) {
+        if (!this.offline) return '';
+        
+        const title = this.escapeHtml(this.getTrackTitle(track));
+        const isDownloaded = this.offline.isDownloaded(track.file);
+        const isDownloading = this.offline.isDownloading(track.file);
+        
+        let label = 'Pobierz do słuchania offline';
+        if (isDownloaded) label = 'Usuń z pamięci offline';
+        else if (isDownloading) label = 'Pobieranie…';
+        
+        return `
+                    <button class="track-action ${isDownloaded ? 'is-downloaded' : ''}" type="button" data-action="download"
+                            title="${label}"
+                            aria-pressed="${isDownloaded}"
+                            aria-label="Download: ${title}"
+                            ${isDownloading ? 'disabled' : ''}>${isDownloaded ? '✓' : isDownloading ? '…' : '⤓'}</button>`;
+    }
+    
+    async useOfflineSource(track) {
+        // The service worker answers from the offline cache; a page it does not control reads the file itself
+        if (!this.offline || this.utils.isOnline() || this.offline.isControlled() || !this.offline.isDownloaded(track.file)) return;
+        
+        const url = await this.offline.getObjectUrl(track.file);
+        if (!url) return;
+        
+        if (track !== this.currentTrack || !this.elements.audioElement) {
+            URL.revokeObjectURL(url);
+            return;
+        }
+        
+        if (this.offlineObjectUrl) URL.revokeObjectURL(this.offlineObjectUrl);
+        this.offlineObjectUrl = url;
+        
+        const wasPlaying = this.isPlaying;
+        this.elements.audioElement.src = url;
+        if (wasPlaying) this.play();
+    }
+    
+    updateOfflineProgress(job) {
+        const { offlineProgress, offlineProgressLabel, offlineProgressFill, offlineCancelBtn } = this.elements;
+        if (!offlineProgress) return;
+        
+        clearTimeout(this.offlineStatusTimeout);
+        offlineProgress.classList.remove('hidden');
+        if (offlineCancelBtn) offlineCancelBtn.classList.remove('hidden');
+        
+        // Finished files count whole; the current one by its downloaded share
+        const fileShare = job.length > 0 ? Math.min(1, job.loaded / job.length) : 0;
+        const completed = job.done + job.failed;
+        const share = job.total > 0 ? Math.min(1, (completed + (completed < job.total ? fileShare : 0)) / job.total) : 0;
+        
+        if (offlineProgressFill) {
+            offlineProgressFill.style.width = `${(share * 100).toFixed(1)}%`;
+        }
+        
+        if (offlineProgressLabel) {
+            const name = job.label ? `${job.label}: ` : '';
+            const bytes = job.loaded > 0 ? ` (${this.utils.formatBytes(job.loaded, 1)})` : '';
+            offlineProgressLabel.textContent = `Pobieranie ${name}${Math.min(completed + 1, job.total)} z ${job.total}${bytes}`;
+        }
+    }
+    
+    hideOfflineProgress() {
+        if (this.elements.offlineProgress) {
+            this.elements.offlineProgress.classList.add('hidden');
+        }
+    }
+    
+    onDownloadFinished({ job, downloaded, failed, cancelled }) {
+        const { offlineProgress, offlineProgressLabel, offlineProgressFill, offlineCancelBtn } = this.elements;
+        
+        if (failed > 0) {
+            this.showError(`Nie udało się pobrać ${failed} z ${job.total} plików`);
+        }
+        
+        // Leave a short summary in place of the progress bar
+        if (offlineProgress && offlineProgressLabel) {
+            offlineProgressLabel.textContent = cancelled
+                ? `Pobieranie przerwane - pobrano ${downloaded} z ${job.total}`
+                : `Pobrano ${downloaded} z ${job.total}`;
+            if (offlineProgressFill) offlineProgressFill.style.width = '100%';
+            if (offlineCancelBtn) offlineCancelBtn.classList.add('hidden');
+            
+            clearTimeout(this.offlineStatusTimeout);
+            this.offlineStatusTimeout = setTimeout(() => {
+                if (this.offline.jobs.size === 0) this.hideOfflineProgress();
+            }, 4000);
+        }
+        
+        this.onOfflineChanged();
+        this.emit('downloadFinished', { label: job.label, downloaded, failed, cancelled });
+    }
+    
+    onOfflineChanged() {
+        this.updatePlaylistUI();
+        this.updateMediaSessionActions();
+        
+        if (this.elements.offlineStorage && this.elements.offlineStorage.open) {
+            this.renderOfflineStorage();
         }
+        
+        this.emit('offlineChanged', { count: this.offline ? this.offline.entries.size : 0 });
     }
     
-    next() {
-        if (this.currentTracks.length === 0) return;
+    onConnectionChanged() {
+        const online = this.utils.isOnline();
+        document.body.classList.toggle('is-offline', !online);
+        
+        this.updatePlaylistUI();
+        this.updateMediaSessionActions();
+        this.emit('connectionChanged', { online });
+    }
+    
+    async renderOfflineStorage() {
+        const { offlineStorageSummary, offlineStorageFill, offlineStorageList } = this.elements;
+        if (!this.offline) return;
+        
+        const estimate = await this.offline.estimate();
+        const format = (bytes) => this.utils.formatBytes(bytes || 0, 1);
         
-        let nextIndex = this.currentIndex + 1;
-        if (nextIndex >= this.currentTracks.length) {
-            nextIndex = 0; // Loop to beginning
+        if (offlineStorageSummary) {
+            let summary = `Pobrane utwory: ${format(estimate.offline)}`;
+            if (estimate.quota) {
+                summary += ` · zajęte ${format(estimate.usage)} z ${format(estimate.quota)} dostępnych`;
+            }
+            if (!estimate.persisted && this.offline.entries.size > 0) {
+                summary += ' · przy braku miejsca przeglądarka może usunąć pobrane pliki';
+            }
+            offlineStorageSummary.textContent = summary;
         }
         
-        this.loadTrack(nextIndex);
+        if (offlineStorageFill) {
+            const share = estimate.quota ? estimate.usage / estimate.quota : 0;
+            offlineStorageFill.style.width = `${Math.min(100, share * 100).toFixed(1)}%`;
+        }
         
-        if (this.isPlaying) {
-            this.play();
+        if (offlineStorageList) {
+            const entries = this.offline.list();
+            offlineStorageList.innerHTML = entries.length === 0
+                ? '<li class="offline-storage-empty">Nic jeszcze nie pobrano</li>'
+                : entries.map(entry => `
+                <li class="offline-storage-item">
+                    <span class="offline-storage-title">${this.escapeHtml(entry.title || this.getTrackTitle(entry))}</span>
+                    <span class="offline-storage-size">${format(entry.size)}</span>
+                    <button class="track-action" type="button" data-remove-file="${this.escapeHtml(entry.file)}"
+                            title="Usuń z pamięci offline"
+                            aria-label="Remove download: ${this.escapeHtml(entry.title || this.getTrackTitle(entry))}">×</button>
+                </li>
+            `).join('');
         }
     }
     
-    prev() {
-        if (this.currentTracks.length === 0) return;
+    // Listening history
+    finishListeningSession(options = {}) {
+        if (!this.listeningSession) return null;
         
-        let prevIndex = this.currentIndex - 1;
-        if (prevIndex < 0) {
-            prevIndex = this.currentTracks.length - 1; // Loop to end
-        }
+        const entry = this.listeningSession.finish(options);
+        this.listeningSession = null;
+        if (!entry) return null;
         
-        this.loadTrack(prevIndex);
+        this.history.record(entry);
+        this.emit('historyRecorded', { entry });
+        return entry;
+    }
+    
+    getListeningHistory(limit) {
+        return this.history.list(limit);
+    }
+    
+    getListeningStats(options = {}) {
+        return this.history.getStats(options);
+    }
+    
+    // Listening progress
+    isLongForm(track, duration) {
+        if (!track) return false;
+        if (this.config.longFormCategories.includes(track.category)) return true;
         
-        if (this.isPlaying) {
-            this.play();
+        const knownDuration = isFinite(duration) ? duration : track.metadata?.duration_seconds;
+        return knownDuration >= this.config.longFormMinDuration;
+    }
+    
+    trackProgress(force = false) {
+        const audio = this.elements.audioElement;
+        if (!this.currentTrack || !audio || !audio.currentTime) return;
+        if (!this.isLongForm(this.currentTrack, audio.duration)) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastProgressSave < this.config.positionSaveInterval) return;
+        this.lastProgressSave = now;
+        
+        const entry = this.progress.update(this.currentTrack.file, audio.currentTime, audio.duration);
+        if (entry && entry.finished) {
+            this.emit('trackFinished', { track: this.currentTrack });
         }
     }
     
-    loadTrack(index) {
-        if (index < 0 || index >= this.currentTracks.length) {
-            console.warn(`Invalid track index: ${index}`);
+    offerResume(track) {
+        const position = this.progress.getResumePosition(track.file);
+        if (!position) {
+            this.hideResumePrompt();
             return;
         }
         
-        const track = this.currentTracks[index];
-        if (!track || !track.file) {
-            console.warn('Invalid track data:', track);
+        this.resumeOffer = { track, position };
+        
+        if (this.elements.resumeBtn) {
+            this.elements.resumeBtn.textContent = `Wznów od ${this.formatTime(position)}`;
+        }
+        
+        if (this.elements.resumePrompt) {
+            this.elements.resumePrompt.classList.remove('hidden');
+        }
+        
+        this.emit('resumeAvailable', { track, position });
+    }
+    
+    acceptResume() {
+        if (!this.resumeOffer || this.resumeOffer.track !== this.currentTrack) {
+            this.hideResumePrompt();
             return;
         }
         
-        this.currentIndex = index;
-        this.currentTrack = track;
+        const { position } = this.resumeOffer;
+        const audio = this.elements.audioElement;
         
-        // Update audio source
-        if (this.elements.audioElement) {
-            this.elements.audioElement.src = track.file;
+        if (audio && audio.readyState >= 1) {
+            audio.currentTime = position;
+        } else {
+            this.pendingSeek = position;
         }
         
-        // Update UI
-        this.updateTrackDisplay();
-        this.updateMediaSession();
-        this.updatePlaylistUI();
+        this.hideResumePrompt();
+        this.emit('resumed', { track: this.currentTrack, position });
+        
+        if (!this.isPlaying) {
+            this.play();
+        }
+    }
+    
+    hideResumePrompt() {
+        this.resumeOffer = null;
+        
+        if (this.elements.resumePrompt) {
+            this.elements.resumePrompt.classList.add('hidden');
+        }
+    }
+    
+    getTrackProgressLabel(track) {
+        const duration = track.metadata?.duration || '00:00';
+        const position = this.progress.getResumePosition(track.file);
         
-        this.emit('trackChanged', { track, index });
+        return position ? `${this.formatTime(position)} / ${duration}` : duration;
+    }
+    
+    exportProgress() {
+        this.trackProgress(true);
+        return this.progress.export();
+    }
+    
+    downloadProgress() {
+        try {
+            const url = URL.createObjectURL(new Blob([this.exportProgress()], { type: 'application/json' }));
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'radio-adamowo-postep.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.emit('progressExported');
+        } catch (error) {
+            console.error('Progress export failed:', error);
+            this.showError('Nie można wyeksportować postępu słuchania');
+        }
+    }
+    
+    async importProgressFile(file) {
+        try {
+            const imported = this.progress.import(await file.text());
+            
+            this.updatePlaylistUI();
+            if (this.currentTrack && !this.isPlaying) {
+                this.offerResume(this.currentTrack);
+            }
+            
+            this.emit('progressImported', { count: imported });
+            return imported;
+        } catch (error) {
+            console.error('Progress import failed:', error);
+            this.showError('Nie można zaimportować postępu słuchania');
+            return 0;
+        }
     }
     
     seek(event) {
@@ -574,6 +2740,255 @@ export class AudioPlayer {
         this.elements.audioElement.currentTime = clampedTime;
     }
     
+    // Playback speed
+    getContentType(track = this.currentTrack) {
+        return track && this.config.longFormCategories.includes(track.category) ? 'podcast' : 'music';
+    }
+    
+    loadPlaybackRates() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.playbackRateStorageKey) || '{}');
+            for (const type of Object.keys(this.playbackRates)) {
+                if (isFinite(stored[type])) {
+                    this.playbackRates[type] = this.clampPlaybackRate(stored[type]);
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load playback rates:', error);
+        }
+    }
+    
+    clampPlaybackRate(rate) {
+        const rates = this.config.playbackRates;
+        return Math.max(rates[0], Math.min(rates[rates.length - 1], Number(rate) || 1));
+    }
+    
+    getPlaybackRate(contentType = this.getContentType()) {
+        return this.playbackRates[contentType] ?? 1;
+    }
+    
+    setPlaybackRate(rate, { contentType = this.getContentType() } = {}) {
+        if (!(contentType in this.playbackRates)) {
+            throw new Error(`Unknown content type: ${contentType}`);
+        }
+        
+        this.playbackRates[contentType] = this.clampPlaybackRate(rate);
+        
+        try {
+            localStorage.setItem(this.config.playbackRateStorageKey, JSON.stringify(this.playbackRates));
+        } catch (error) {
+            console.warn('Failed to save playback rates:', error);
+        }
+        
+        if (contentType === this.getContentType()) {
+            this.applyPlaybackRate();
+        }
+        
+        this.emit('playbackRateChanged', { rate: this.playbackRates[contentType], contentType });
+        return this.playbackRates[contentType];
+    }
+    
+    cyclePlaybackRate(step = 1, { wrap = true } = {}) {
+        const rates = this.config.playbackRates;
+        const current = this.getPlaybackRate();
+        
+        // Nearest preset, so stored in-between values still step sensibly
+        let index = rates.reduce((best, rate, i) =>
+            Math.abs(rate - current) < Math.abs(rates[best] - current) ? i : best, 0);
+        
+        index += step;
+        if (wrap) {
+            index = (index + rates.length) % rates.length;
+        } else {
+            index = Math.max(0, Math.min(rates.length - 1, index));
+        }
+        
+        return this.setPlaybackRate(rates[index]);
+    }
+    
+    applyPlaybackRate() {
+        const rate = this.getPlaybackRate();
+        const elements = this.crossfade ? this.crossfade.elements : [this.elements.audioElement];
+        
+        elements.filter(Boolean).forEach(element => {
+            // defaultPlaybackRate survives the reset that loading a new source does
+            element.defaultPlaybackRate = rate;
+            element.playbackRate = rate;
+            element.preservesPitch = true;
+            element.mozPreservesPitch = true;
+            element.webkitPreservesPitch = true;
+        });
+        
+        this.updatePlaybackRateButton();
+        this.updatePositionState();
+    }
+    
+    updatePlaybackRateButton() {
+        if (!this.elements.playbackRateBtn) return;
+        
+        const rate = this.getPlaybackRate();
+        const label = `${Number(rate.toFixed(2))}×`;
+        
+        this.elements.playbackRateBtn.textContent = label;
+        this.elements.playbackRateBtn.setAttribute('aria-label', `Playback speed ${label}`);
+        this.elements.playbackRateBtn.classList.toggle('active', rate !== 1);
+    }
+    
+    // Sleep timer
+    setupSleepTimerControls() {
+        const { sleepTimerBtn, sleepTimerMenu, sleepTimerCustomInput } = this.elements;
+        
+        // The remaining time sits next to the session timer when the page has one
+        if (!this.elements.sleepTimerDisplay && this.elements.sessionTimer) {
+            const display = document.createElement('span');
+            display.id = 'sleep-timer-remaining';
+            display.className = 'sleep-timer-remaining hidden';
+            display.setAttribute('aria-live', 'polite');
+            this.elements.sessionTimer.parentElement.insertAdjacentElement('afterend', display);
+            this.elements.sleepTimerDisplay = display;
+        }
+        
+        if (sleepTimerBtn && sleepTimerMenu) {
+            sleepTimerBtn.addEventListener('click', () => {
+                const isOpen = sleepTimerMenu.classList.toggle('hidden') === false;
+                sleepTimerBtn.setAttribute('aria-expanded', isOpen);
+            });
+            
+            sleepTimerMenu.querySelectorAll('[data-sleep]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const value = btn.getAttribute('data-sleep');
+                    
+                    if (value === 'off') {
+                        this.cancelSleepTimer();
+                    } else if (value === 'custom') {
+                        const minutes = parseInt(sleepTimerCustomInput?.value, 10);
+                        if (!minutes || minutes <= 0) {
+                            this.showError('Podaj czas w minutach');
+                            return;
+                        }
+                        this.setSleepTimer(minutes);
+                    } else {
+                        this.setSleepTimer(value === SLEEP_END_OF_TRACK ? value : parseInt(value, 10));
+                    }
+                    
+                    sleepTimerMenu.classList.add('hidden');
+                    sleepTimerBtn.setAttribute('aria-expanded', 'false');
+                });
+            });
+        }
+    }
+    
+    setSleepTimer(option) {
+        if (this.sleepTimer.cancel()) {
+            this.restoreGainAfterSleep();
+        }
+        
+        if (option === SLEEP_END_OF_TRACK) {
+            this.sleepTimer.startEndOfTrack();
+        } else {
+            this.sleepTimer.start(option);
+            // Set while paused, the countdown starts with the music
+            if (!this.isPlaying) this.sleepTimer.pause();
+        }
+        
+        this.emit('sleepTimerSet', { option });
+    }
+    
+    cancelSleepTimer() {
+        if (!this.sleepTimer.isActive) return;
+        
+        if (this.sleepTimer.cancel()) {
+            this.restoreGainAfterSleep();
+        }
+        
+        this.updateSleepTimerDisplay(null, null);
+        this.emit('sleepTimerCancelled');
+    }
+    
+    cycleSleepTimer() {
+        const presets = this.config.sleepTimerPresets;
+        const current = this.sleepTimer.isActive ? this.sleepTimerOption : null;
+        const index = presets.indexOf(current);
+        
+        if (index === presets.length - 1) {
+            this.cancelSleepTimer();
+            return;
+        }
+        
+        this.setSleepTimer(presets[index + 1]);
+    }
+    
+    get sleepTimerOption() {
+        if (this.sleepTimer.mode === SLEEP_END_OF_TRACK) return SLEEP_END_OF_TRACK;
+        
+        // Map a running countdown back to the preset it was started from
+        const minutes = Math.ceil(this.sleepTimer.getRemaining() / 60);
+        const presets = this.config.sleepTimerPresets.filter(preset => typeof preset === 'number');
+        return presets.find(preset => minutes <= preset) ?? null;
+    }
+    
+    getTrackRemaining() {
+        const audio = this.elements.audioElement;
+        if (!audio || !isFinite(audio.duration)) return null;
+        
+        return (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+    }
+    
+    fadeOutForSleep(remaining) {
+        if (!this.gainNode || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const gain = this.gainNode.gain;
+        
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + Math.max(0.5, remaining));
+        
+        this.emit('sleepFadeStart', { remaining });
+    }
+    
+    restoreGainAfterSleep() {
+        if (!this.gainNode || !this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const gain = this.gainNode.gain;
+        
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(this.isMuted ? 0 : this.currentVolume, now + 0.3);
+    }
+    
+    onSleepTimerExpired(mode) {
+        this.pause();
+        this.updateSleepTimerDisplay(null, null);
+        
+        // Give the pause a moment to land before the volume comes back
+        setTimeout(() => this.restoreGainAfterSleep(), 500);
+        
+        this.emit('sleepTimerExpired', { mode });
+    }
+    
+    updateSleepTimerDisplay(remaining, mode) {
+        const display = this.elements.sleepTimerDisplay;
+        const isActive = mode !== null;
+        
+        if (this.elements.sleepTimerBtn) {
+            this.elements.sleepTimerBtn.classList.toggle('active', isActive);
+            this.elements.sleepTimerBtn.setAttribute('aria-pressed', isActive);
+        }
+        
+        if (!display) return;
+        
+        display.classList.toggle('hidden', !isActive);
+        if (!isActive) {
+            display.textContent = '';
+            return;
+        }
+        
+        const time = remaining !== null ? this.formatTime(remaining) : '--:--';
+        display.textContent = mode === SLEEP_END_OF_TRACK ? `⏾ ${time} (koniec utworu)` : `⏾ ${time}`;
+    }
+    
     toggleShuffle() {
         this.isShuffled = !this.isShuffled;
         
@@ -584,21 +2999,132 @@ export class AudioPlayer {
         
         // Re-shuffle current playlist
         if (this.isShuffled) {
-            const currentTrack = this.currentTrack;
-            this.shuffleArray(this.currentTracks);
-            
-            // Find new index of current track
-            if (currentTrack) {
-                this.currentIndex = this.currentTracks.findIndex(track => track === currentTrack);
-                if (this.currentIndex === -1) this.currentIndex = 0;
-            }
+            this.reshuffle();
         } else {
             // Restore original order
             this.loadPlaylist(this.currentPlaylist);
         }
         
         this.updatePlaylistUI();
-        this.emit('shuffleToggled', { enabled: this.isShuffled });
+        this.emit('shuffleToggled', { enabled: this.isShuffled, mode: this.shuffleMode });
+    }
+    
+    reshuffle() {
+        // The playing track stays first so the rest of the mix is still ahead
+        const currentTrack = this.currentTrack;
+        const others = this.currentTracks.filter(track => track !== currentTrack);
+        
+        if (currentTrack && others.length < this.currentTracks.length) {
+            this.currentTracks = [currentTrack, ...this.shuffleTracks(others)];
+            this.currentIndex = 0;
+        } else {
+            this.currentTracks = this.shuffleTracks(this.currentTracks);
+        }
+    }
+    
+    shuffleTracks(tracks) {
+        const favorites = this.userPlaylists.get(FAVORITES_ID);
+        const shuffle = {
+            mode: this.shuffleMode,
+            seed: this.config.shuffleSeed ?? generateSeed(),
+            recentFiles: this.history.list(this.config.shuffleRecentWindow).map(entry => entry.file),
+            favoriteFiles: favorites ? favorites.tracks.map(track => track.file) : []
+        };
+        
+        // Everything needed to rebuild this exact order with shuffleTracks() from shuffle.js
+        this.lastShuffle = { ...shuffle, playlist: this.currentPlaylist };
+        this.emit('shuffled', this.lastShuffle);
+        
+        return shuffleTracks(tracks, shuffle.mode, {
+            seed: shuffle.seed,
+            recentFiles: shuffle.recentFiles,
+            favoriteFiles: shuffle.favoriteFiles,
+            favoriteWeight: this.config.shuffleFavoriteWeight,
+            recentWindow: this.config.shuffleRecentWindow
+        });
+    }
+    
+    setShuffleMode(mode) {
+        if (!SHUFFLE_MODES.includes(mode)) {
+            throw new Error(`Unknown shuffle mode: ${mode}`);
+        }
+        
+        this.shuffleMode = mode;
+        if (this.isShuffled) {
+            this.reshuffle();
+            this.updatePlaylistUI();
+        }
+        
+        this.emit('shuffleModeChanged', { mode });
+    }
+    
+    setShuffleSeed(seed) {
+        this.config.shuffleSeed = seed ?? null;
+        if (this.isShuffled) {
+            this.reshuffle();
+            this.updatePlaylistUI();
+        }
+    }
+    
+    getShuffleState() {
+        return this.lastShuffle;
+    }
+    
+    // Repeat
+    loadRepeatMode() {
+        try {
+            const stored = localStorage.getItem(this.config.repeatModeStorageKey);
+            if (REPEAT_MODES.includes(stored)) {
+                this.repeatMode = stored;
+            }
+        } catch (error) {
+            console.warn('Failed to load repeat mode:', error);
+        }
+        
+        this.updateRepeatButton();
+    }
+    
+    setRepeatMode(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            throw new Error(`Unknown repeat mode: ${mode}`);
+        }
+        
+        this.repeatMode = mode;
+        
+        try {
+            localStorage.setItem(this.config.repeatModeStorageKey, mode);
+        } catch (error) {
+            console.warn('Failed to save repeat mode:', error);
+        }
+        
+        this.updateRepeatButton();
+        this.updateMediaSessionActions();
+        this.emit('repeatModeChanged', { mode });
+        return mode;
+    }
+    
+    cycleRepeatMode() {
+        const index = REPEAT_MODES.indexOf(this.repeatMode);
+        return this.setRepeatMode(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+    }
+    
+    updateRepeatButton() {
+        const button = this.elements.repeatBtn;
+        if (!button) return;
+        
+        const labels = { off: 'wyłączone', all: 'cała lista', one: 'jeden utwór' };
+        const repeatAll = button.querySelector('.repeat-all');
+        const repeatOne = button.querySelector('.repeat-one');
+        
+        if (repeatAll && repeatOne) {
+            repeatAll.classList.toggle('hidden', this.repeatMode === 'one');
+            repeatOne.classList.toggle('hidden', this.repeatMode !== 'one');
+        }
+        
+        button.dataset.mode = this.repeatMode;
+        button.setAttribute('aria-pressed', this.repeatMode !== 'off');
+        button.setAttribute('aria-label', `Repeat ${this.repeatMode}`);
+        button.title = `Powtarzanie: ${labels[this.repeatMode]} (R)`;
     }
     
     toggleMute() {
@@ -636,6 +3162,8 @@ export class AudioPlayer {
     
     onPlay() {
         this.isPlaying = true;
+        if (this.listeningSession) this.listeningSession.play();
+        this.sleepTimer.resume();
         this.updatePlayButton();
         this.startVisualizer();
         this.emit('play');
@@ -643,18 +3171,42 @@ export class AudioPlayer {
     
     onPause() {
         this.isPlaying = false;
+        if (this.listeningSession) this.listeningSession.pause();
+        // The countdown counts listening time; a fade in progress starts again after resuming
+        if (this.sleepTimer.pause()) this.restoreGainAfterSleep();
         this.updatePlayButton();
+        this.savePosition({ force: true });
+        this.trackProgress(true);
+        this.stopVisualizer();
         this.emit('pause');
     }
     
     onEnded() {
         this.isPlaying = false;
+        this.finishListeningSession({ completed: true });
         this.updatePlayButton();
+        this.stopVisualizer();
         
-        // Auto-play next track
-        this.next();
-        if (this.currentTracks.length > 0) {
+        if (this.currentTrack && this.isLongForm(this.currentTrack, this.elements.audioElement.duration)) {
+            this.progress.markFinished(this.currentTrack.file);
+        }
+        
+        // "End of track" sleep timer: stop here instead of advancing
+        if (this.sleepTimer.mode === SLEEP_END_OF_TRACK) {
+            this.sleepTimer.expire();
+            this.emit('ended');
+            return;
+        }
+        
+        if (this.repeatMode === 'one' && this.currentTrack) {
+            // The finished play is already in the history; the repeat starts a new entry
+            this.setCurrentTrack(this.currentTrack, { fromQueue: this.isQueuedTrack });
+            this.play();
+        } else if (this.hasNext()) {
+            this.next();
             this.play();
+        } else {
+            this.stopAtEndOfList();
         }
         
         this.emit('ended');
@@ -671,10 +3223,44 @@ export class AudioPlayer {
     
     onTimeUpdate() {
         this.updateProgress();
+        this.savePosition();
+        this.trackProgress();
+        
+        const { currentTime, duration } = this.elements.audioElement;
+        if (this.listeningSession) this.listeningSession.update(currentTime, duration);
+        this.emit('timeupdate', { currentTime, duration });
+        this.checkGaplessAdvance();
+    }
+    
+    checkGaplessAdvance() {
+        // Start the next track early so it overlaps the tail of the current one
+        if (!this.canCrossfade() || this.crossfade.isFading) return;
+        if (this.sleepTimer.mode === SLEEP_END_OF_TRACK) return;
+        if (this.currentTracks.length + this.queue.length < 2) return;
+        // Repeat one loops on "ended"; at the end of the list with repeat off there is nothing to fade into
+        if (this.repeatMode === 'one' || !this.hasNext()) return;
+        
+        const { currentTime, duration, playbackRate } = this.elements.audioElement;
+        if (!duration || !isFinite(duration)) return;
+        
+        // Remaining wall-clock time shrinks when playing faster
+        if ((duration - currentTime) / (playbackRate || 1) <= this.crossfade.durationSeconds) {
+            this.next();
+        }
     }
     
     onLoadedMetadata() {
         this.updateTrackDisplay();
+        this.updatePositionState();
+        
+        // Resume a restored session where it stopped
+        if (this.pendingSeek !== null) {
+            const { duration } = this.elements.audioElement;
+            if (!isFinite(duration) || this.pendingSeek < duration - 1) {
+                this.elements.audioElement.currentTime = this.pendingSeek;
+            }
+            this.pendingSeek = null;
+        }
     }
     
     // UI updates
@@ -734,7 +3320,23 @@ export class AudioPlayer {
         
         // Update title
         if (this.elements.trackTitle) {
-            this.elements.trackTitle.textContent = this.generateTitle(this.currentTrack.file);
+            this.elements.trackTitle.textContent = this.getTrackTitle(this.currentTrack);
+        }
+        
+        // Update artist and cover art
+        const metadata = this.currentTrack.metadata || {};
+        if (this.elements.trackArtist) {
+            this.elements.trackArtist.textContent = metadata.artist || '';
+        }
+        
+        if (this.elements.trackArtwork) {
+            if (metadata.artwork) {
+                this.elements.trackArtwork.src = metadata.artwork;
+                this.elements.trackArtwork.alt = metadata.album || this.getTrackTitle(this.currentTrack);
+            } else {
+                this.elements.trackArtwork.removeAttribute('src');
+            }
+            this.elements.trackArtwork.classList.toggle('hidden', !metadata.artwork);
         }
         
         // Update category
@@ -751,6 +3353,8 @@ export class AudioPlayer {
                 this.elements.durationLabel.textContent = this.currentTrack.metadata.duration;
             }
         }
+        
+        this.updateFavoriteButton();
     }
     
     enableControls() {
@@ -759,6 +3363,7 @@ export class AudioPlayer {
             this.elements.nextBtn,
             this.elements.prevBtn,
             this.elements.shuffleBtn,
+            this.elements.repeatBtn,
             this.elements.muteBtn
         ];
         
@@ -814,6 +3419,17 @@ export class AudioPlayer {
     }
     
     // Utility methods
+    getTrackTitle(track) {
+        if (!track) return 'Unknown Track';
+        return track.metadata?.title || this.generateTitle(track.file);
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     generateTitle(filepath) {
         if (!filepath || typeof filepath !== 'string') return 'Unknown Track';
         
@@ -888,15 +3504,29 @@ export class AudioPlayer {
         return Array.from(this.playlists.keys());
     }
     
+    getCategories() {
+        return this.categories;
+    }
+    
     getPlaybackState() {
         return {
             isPlaying: this.isPlaying,
             isMuted: this.isMuted,
             isShuffled: this.isShuffled,
+            shuffleMode: this.shuffleMode,
+            repeatMode: this.repeatMode,
+            isOnline: this.utils.isOnline(),
+            downloadedCount: this.offline ? this.offline.entries.size : 0,
             currentVolume: this.currentVolume,
             currentTrack: this.currentTrack,
             currentPlaylist: this.currentPlaylist,
-            currentIndex: this.currentIndex
+            currentIndex: this.currentIndex,
+            queueLength: this.queue.length,
+            playbackRate: this.getPlaybackRate(),
+            sleepTimerRemaining: this.sleepTimer.getRemaining(),
+            replayGainMode: this.config.replayGainMode,
+            visualizer: this.getVisualizer(),
+            isCrossfading: Boolean(this.crossfade && this.crossfade.isFading)
         };
     }
 }
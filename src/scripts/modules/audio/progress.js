@@ -0,0 +1,141 @@
+/**
+ * Playback Progress - Remembers where each track was left off, marks
+ * long-form episodes as finished and moves that progress between devices
+ */
+
+export const PROGRESS_EXPORT_VERSION = 1;
+
+export class PlaybackProgressStore {
+    constructor(config = {}) {
+        this.config = {
+            storageKey: config.storageKey || 'radio-adamowo-progress',
+            finishedThreshold: config.finishedThreshold || 0.95,
+            minResumePosition: config.minResumePosition ?? 15,
+            ...config
+        };
+
+        this.entries = {};
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            this.entries = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Failed to load playback progress:', error);
+            this.entries = {};
+        }
+
+        return this.entries;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.entries));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save playback progress:', error);
+            return false;
+        }
+    }
+
+    static keyFor(file) {
+        // Relative paths are the same on every device; origins and encoding are not
+        let key = String(file || '');
+        try {
+            key = decodeURI(new URL(key, 'https://radio.invalid/').pathname);
+        } catch {
+            // Keep the raw value
+        }
+        return key.replace(/^\/+/, '');
+    }
+
+    get(file) {
+        return this.entries[PlaybackProgressStore.keyFor(file)] || null;
+    }
+
+    update(file, position, duration) {
+        if (!file || !isFinite(position)) return null;
+
+        const key = PlaybackProgressStore.keyFor(file);
+        const previous = this.entries[key] || {};
+        const knownDuration = isFinite(duration) && duration > 0 ? duration : previous.duration || 0;
+        const finished = knownDuration > 0 && position / knownDuration >= this.config.finishedThreshold;
+
+        this.entries[key] = {
+            position: finished ? 0 : Math.floor(position),
+            duration: Math.round(knownDuration),
+            finished: finished || (previous.finished === true && position < this.config.minResumePosition),
+            updatedAt: Date.now()
+        };
+
+        this.save();
+        return this.entries[key];
+    }
+
+    markFinished(file, finished = true) {
+        const key = PlaybackProgressStore.keyFor(file);
+        this.entries[key] = {
+            ...(this.entries[key] || { duration: 0 }),
+            position: 0,
+            finished,
+            updatedAt: Date.now()
+        };
+        this.save();
+    }
+
+    reset(file) {
+        delete this.entries[PlaybackProgressStore.keyFor(file)];
+        this.save();
+    }
+
+    isFinished(file) {
+        const entry = this.get(file);
+        return Boolean(entry && entry.finished);
+    }
+
+    getResumePosition(file) {
+        const entry = this.get(file);
+        if (!entry || entry.finished || entry.position < this.config.minResumePosition) return 0;
+        return entry.position;
+    }
+
+    export() {
+        return JSON.stringify({
+            version: PROGRESS_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: this.entries
+        }, null, 2);
+    }
+
+    import(content) {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+
+        if (!data || data.version !== PROGRESS_EXPORT_VERSION || typeof data.entries !== 'object') {
+            throw new Error('Unsupported progress file');
+        }
+
+        // Newest entry wins so importing an older export never rewinds progress
+        let imported = 0;
+        Object.entries(data.entries).forEach(([file, entry]) => {
+            if (!entry || !isFinite(entry.position)) return;
+
+            const key = PlaybackProgressStore.keyFor(file);
+            const current = this.entries[key];
+            if (current && current.updatedAt >= (entry.updatedAt || 0)) return;
+
+            this.entries[key] = {
+                position: Math.max(0, Math.floor(entry.position)),
+                duration: Math.max(0, Math.round(entry.duration || 0)),
+                finished: entry.finished === true,
+                updatedAt: entry.updatedAt || Date.now()
+            };
+            imported++;
+        });
+
+        this.save();
+        return imported;
+    }
+}
+
+export default PlaybackProgressStore;
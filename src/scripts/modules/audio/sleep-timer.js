@@ -0,0 +1,148 @@
+/**
+ * Sleep Timer - Counts down to a stop time (or the end of the current track)
+ * and signals when to start fading out and when to stop playback
+ *
+ * The countdown measures listening time: the player pauses it together with
+ * playback, so 30 minutes means 30 minutes of audio, not of wall clock.
+ */
+
+export const SLEEP_END_OF_TRACK = 'end-of-track';
+
+export class SleepTimer {
+    constructor(config = {}) {
+        this.config = {
+            fadeDuration: config.fadeDuration ?? 30,
+            tickInterval: config.tickInterval || 1000,
+            // Seconds left in the current track, used by the end-of-track mode
+            getTrackRemaining: config.getTrackRemaining || (() => null),
+            onTick: config.onTick || (() => {}),
+            onFadeStart: config.onFadeStart || (() => {}),
+            onExpire: config.onExpire || (() => {}),
+            ...config
+        };
+
+        this.mode = null;
+        this.endsAt = null;
+        this.intervalId = null;
+        this.isFading = false;
+        this.isPaused = false;
+        this.pausedRemaining = null;
+    }
+
+    get isActive() {
+        return this.mode !== null;
+    }
+
+    start(minutes) {
+        const duration = Number(minutes);
+        if (!isFinite(duration) || duration <= 0) {
+            throw new Error(`Invalid sleep timer duration: ${minutes}`);
+        }
+
+        this.reset();
+        this.mode = 'duration';
+        this.endsAt = Date.now() + duration * 60 * 1000;
+        this.run();
+    }
+
+    startEndOfTrack() {
+        this.reset();
+        this.mode = SLEEP_END_OF_TRACK;
+        this.run();
+    }
+
+    cancel() {
+        const wasFading = this.isFading;
+        this.reset();
+        return wasFading;
+    }
+
+    pause() {
+        // The end-of-track mode follows the track position, which stops by itself
+        if (this.mode !== 'duration' || this.isPaused) return false;
+
+        const wasFading = this.isFading;
+        this.pausedRemaining = this.getRemaining();
+        this.isPaused = true;
+        this.isFading = false;
+        this.stopInterval();
+        this.config.onTick(this.pausedRemaining, this.mode);
+        return wasFading;
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+
+        this.endsAt = Date.now() + this.pausedRemaining * 1000;
+        this.isPaused = false;
+        this.pausedRemaining = null;
+        this.run();
+    }
+
+    getRemaining() {
+        if (this.isPaused) {
+            return this.pausedRemaining;
+        }
+
+        if (this.mode === 'duration') {
+            return Math.max(0, (this.endsAt - Date.now()) / 1000);
+        }
+
+        if (this.mode === SLEEP_END_OF_TRACK) {
+            const remaining = this.config.getTrackRemaining();
+            return isFinite(remaining) && remaining !== null ? Math.max(0, remaining) : null;
+        }
+
+        return null;
+    }
+
+    run() {
+        this.tick();
+        this.intervalId = setInterval(() => this.tick(), this.config.tickInterval);
+    }
+
+    tick() {
+        if (!this.isActive) return;
+
+        const remaining = this.getRemaining();
+        this.config.onTick(remaining, this.mode);
+
+        if (remaining === null) return;
+
+        if (!this.isFading && remaining <= this.config.fadeDuration) {
+            this.isFading = true;
+            this.config.onFadeStart(remaining);
+        }
+
+        if (remaining <= 0) {
+            this.expire();
+        }
+    }
+
+    expire() {
+        if (!this.isActive) return;
+
+        const mode = this.mode;
+        this.reset();
+        this.config.onExpire(mode);
+    }
+
+    stopInterval() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    reset() {
+        this.stopInterval();
+
+        this.mode = null;
+        this.endsAt = null;
+        this.isFading = false;
+        this.isPaused = false;
+        this.pausedRemaining = null;
+    }
+}
+
+export default SleepTimer;
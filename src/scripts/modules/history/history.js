@@ -0,0 +1,194 @@
+/**
+ * Listening History - Log of what was played (track, category, seconds
+ * listened, skipped or completed) and the statistics derived from it
+ *
+ * A ListeningSession follows one track from its first play to the moment it
+ * ends or is replaced; the finished session becomes one history entry
+ * (or null when the track never actually played).
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+export class ListeningHistory {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'radio-adamowo-history';
+        this.limit = config.limit || 2000;
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(entry => entry && typeof entry.file === 'string' && isFinite(entry.listened))
+                : [];
+        } catch (error) {
+            console.warn('Failed to load listening history:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save listening history:', error);
+            return false;
+        }
+    }
+
+    record(entry) {
+        // Newest first; the oldest entries fall off once the limit is reached
+        this.entries.unshift(entry);
+        this.entries = this.entries.slice(0, this.limit);
+        this.save();
+        return entry;
+    }
+
+    list(limit = this.limit) {
+        return this.entries.slice(0, limit);
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    getStats(options = {}) {
+        return computeStats(this.entries, options);
+    }
+}
+
+export class ListeningSession {
+    constructor(track, config = {}) {
+        this.track = track;
+        this.config = {
+            // Past this share of the duration a track counts as completed even without "ended"
+            completedThreshold: 0.9,
+            // Leaving a track before this many seconds is a skip
+            skipThreshold: 30,
+            now: () => Date.now(),
+            ...config
+        };
+
+        this.startedAt = this.config.now();
+        this.listened = 0;
+        this.playingSince = null;
+        this.hasPlayed = false;
+        this.duration = 0;
+        this.position = 0;
+    }
+
+    play() {
+        if (this.playingSince === null) {
+            this.playingSince = this.config.now();
+            this.hasPlayed = true;
+        }
+    }
+
+    pause() {
+        if (this.playingSince !== null) {
+            this.listened += (this.config.now() - this.playingSince) / 1000;
+            this.playingSince = null;
+        }
+    }
+
+    update(position, duration) {
+        if (isFinite(position)) this.position = position;
+        if (isFinite(duration) && duration > 0) this.duration = duration;
+    }
+
+    finish({ completed = false, replaced = false } = {}) {
+        this.pause();
+
+        // A track that was loaded but never started is not part of the history
+        if (!this.hasPlayed) return null;
+
+        const reachedEnd = this.duration > 0 && this.position >= this.duration * this.config.completedThreshold;
+        const isCompleted = completed || reachedEnd;
+        const metadata = this.track.metadata || {};
+
+        return {
+            file: this.track.file,
+            title: metadata.title || null,
+            category: this.track.category || null,
+            listened: Math.round(this.listened),
+            duration: Math.round(this.duration),
+            completed: isCompleted,
+            // Only moving on to another track is a skip; closing the page is not
+            skipped: !isCompleted && replaced && this.listened < Math.min(this.config.skipThreshold, this.duration || Infinity),
+            startedAt: this.startedAt,
+            endedAt: this.config.now()
+        };
+    }
+}
+
+// Monday 00:00 local time of the week containing `time`
+export function startOfWeek(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+export function computeStats(entries, options = {}) {
+    const {
+        weeks = 8,
+        top = 5,
+        now = Date.now()
+    } = options;
+
+    const categories = new Map();
+    const tracks = new Map();
+    const currentWeek = startOfWeek(now);
+    const weekly = Array.from({ length: weeks }, (_, index) => ({
+        weekStart: currentWeek - (weeks - 1 - index) * WEEK,
+        seconds: 0
+    }));
+
+    let totalSeconds = 0;
+    let completedCount = 0;
+    let skippedCount = 0;
+
+    entries.forEach(entry => {
+        const listened = Math.max(0, entry.listened || 0);
+        totalSeconds += listened;
+        if (entry.completed) completedCount++;
+        if (entry.skipped) skippedCount++;
+
+        const category = entry.category || 'unknown';
+        const categoryStats = categories.get(category) || { category, seconds: 0, plays: 0 };
+        categoryStats.seconds += listened;
+        categoryStats.plays++;
+        categories.set(category, categoryStats);
+
+        const trackStats = tracks.get(entry.file) || { file: entry.file, title: entry.title, category, plays: 0, skips: 0 };
+        trackStats.plays++;
+        if (entry.skipped) trackStats.skips++;
+        if (!trackStats.title && entry.title) trackStats.title = entry.title;
+        tracks.set(entry.file, trackStats);
+
+        // Week buckets are found from the time the track was started
+        const week = weekly.find(bucket => entry.startedAt >= bucket.weekStart && entry.startedAt < bucket.weekStart + WEEK);
+        if (week) week.seconds += listened;
+    });
+
+    return {
+        totalSeconds,
+        playCount: entries.length,
+        completedCount,
+        skippedCount,
+        topCategories: Array.from(categories.values())
+            .sort((a, b) => b.seconds - a.seconds || b.plays - a.plays)
+            .slice(0, top),
+        weekly,
+        mostSkipped: Array.from(tracks.values())
+            .filter(track => track.skips > 0)
+            .sort((a, b) => b.skips - a.skips || b.skips / b.plays - a.skips / a.plays)
+            .slice(0, top)
+    };
+}
+
+export default ListeningHistory;
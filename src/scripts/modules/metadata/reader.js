@@ -0,0 +1,222 @@
+/**
+ * Track Metadata Reader - Fetches only the leading tag block of an audio file,
+ * parses it with tags.js and caches the result (cover art included) in
+ * IndexedDB so a track is parsed once, not on every play
+ *
+ * Results are { title, artist, album, year, trackNumber, artwork, artworkType }
+ * where `artwork` is an object URL for the session, or null when the file has
+ * no usable tags.
+ */
+
+import { measureTags, parseTags } from './tags.js';
+
+// Bump when the parser changes so cached entries are read again
+const CACHE_VERSION = 1;
+
+export class TrackMetadataReader {
+    constructor(config = {}) {
+        this.config = {
+            dbName: config.dbName || 'radio-adamowo-metadata',
+            storeName: 'tracks',
+            headBytes: 64 * 1024,
+            maxTagBytes: 4 * 1024 * 1024,
+            // Covers are scaled down before caching; embedded art is often several MB
+            artworkSize: 512,
+            ...config
+        };
+
+        this.memory = new Map();
+        this.pending = new Map();
+        this.dbPromise = null;
+    }
+
+    async read(file) {
+        if (!file) return null;
+        if (this.memory.has(file)) return this.memory.get(file);
+        if (this.pending.has(file)) return this.pending.get(file);
+
+        const request = this.load(file)
+            .then(result => {
+                this.memory.set(file, result);
+                return result;
+            })
+            .finally(() => this.pending.delete(file));
+
+        this.pending.set(file, request);
+        return request;
+    }
+
+    async load(file) {
+        const cached = await this.getCached(file);
+        if (cached && cached.version === CACHE_VERSION) {
+            return this.toResult(cached);
+        }
+
+        const entry = await this.parse(file);
+        await this.putCached(entry);
+        return this.toResult(entry);
+    }
+
+    async parse(file) {
+        const entry = { file, version: CACHE_VERSION, parsedAt: Date.now(), tags: null, artwork: null };
+
+        try {
+            let bytes = await this.fetchHead(file, this.config.headBytes);
+            let size = measureTags(bytes);
+
+            // The tag header announces its size; fetch again if the first chunk was short
+            while (!size.complete && size.length <= this.config.maxTagBytes && bytes.length < size.length) {
+                const received = bytes.length;
+                bytes = await this.fetchHead(file, Math.min(this.config.maxTagBytes, size.length * 1.25));
+                if (bytes.length <= received) break;
+                size = measureTags(bytes);
+            }
+
+            const tags = parseTags(bytes);
+            if (tags) {
+                const { picture, ...text } = tags;
+                entry.tags = text;
+                entry.artwork = picture ? await this.shrinkArtwork(new Blob([picture.data], { type: picture.mime })) : null;
+            }
+        } catch (error) {
+            console.warn(`Failed to read tags from ${file}:`, error);
+        }
+
+        // Files without tags are cached too, so they are not fetched again
+        return entry;
+    }
+
+    async fetchHead(file, length) {
+        const response = await fetch(file, { headers: { Range: `bytes=0-${Math.ceil(length) - 1}` } });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${file}: ${response.status}`);
+        }
+
+        // Servers that ignore Range send the whole file; stop reading once we have enough
+        if (!response.body || !response.body.getReader) {
+            return new Uint8Array(await response.arrayBuffer()).subarray(0, length);
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+
+        while (received < length) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+        }
+        reader.cancel().catch(() => {});
+
+        const bytes = new Uint8Array(received);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return bytes.subarray(0, Math.min(received, length));
+    }
+
+    async shrinkArtwork(blob) {
+        if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') {
+            return blob;
+        }
+
+        try {
+            const bitmap = await createImageBitmap(blob);
+            const scale = Math.min(1, this.config.artworkSize / Math.max(bitmap.width, bitmap.height));
+            if (scale === 1) {
+                bitmap.close();
+                return blob;
+            }
+
+            const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+        } catch (error) {
+            console.warn('Failed to resize cover art:', error);
+            return blob;
+        }
+    }
+
+    toResult(entry) {
+        if (!entry.tags && !entry.artwork) return null;
+
+        return {
+            ...(entry.tags || {}),
+            artwork: entry.artwork ? URL.createObjectURL(entry.artwork) : null,
+            artworkType: entry.artwork ? entry.artwork.type : null
+        };
+    }
+
+    // ===== IndexedDB cache =====
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.config.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.config.storeName, { keyPath: 'file' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.config.storeName, mode);
+            const request = action(transaction.objectStore(this.config.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getCached(file) {
+        try {
+            return await this.transaction('readonly', store => store.get(file));
+        } catch (error) {
+            console.warn('Failed to read metadata cache:', error);
+            return null;
+        }
+    }
+
+    async putCached(entry) {
+        try {
+            await this.transaction('readwrite', store => store.put(entry));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save metadata cache:', error);
+            return false;
+        }
+    }
+
+    async clearCache() {
+        this.memory.forEach(result => {
+            if (result && result.artwork) URL.revokeObjectURL(result.artwork);
+        });
+        this.memory.clear();
+
+        try {
+            await this.transaction('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('Failed to clear metadata cache:', error);
+            return false;
+        }
+    }
+}
+
+export default TrackMetadataReader;
@@ -0,0 +1,421 @@
+/**
+ * Audio Tags - Reads title, artist, album and embedded cover art from the start
+ * of an audio file: ID3v2.2-2.4 (MP3), FLAC metadata blocks and Vorbis/Opus
+ * comments in Ogg
+ *
+ * Works on plain bytes (Uint8Array or ArrayBuffer) so it runs both in the
+ * browser and in Node. Parsed tags are { title, artist, album, year,
+ * trackNumber, picture: { mime, data } | null }.
+ */
+
+const ID3_TEXT_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TYER: 'year', TYE: 'year', TDRC: 'year',
+    TRCK: 'trackNumber', TRK: 'trackNumber'
+};
+
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    DATE: 'year',
+    TRACKNUMBER: 'trackNumber'
+};
+
+// APIC/PICTURE type 3 is the front cover
+const FRONT_COVER = 3;
+
+export function detectTagFormat(input) {
+    const bytes = toBytes(input);
+
+    if (matches(bytes, 0, 'ID3')) return 'id3';
+    if (matches(bytes, 0, 'fLaC')) return 'flac';
+    if (matches(bytes, 0, 'OggS')) return 'ogg';
+    return null;
+}
+
+/**
+ * How many leading bytes the tag block needs. `complete` is false when the
+ * bytes seen so far don't reach the end of the block yet; `length` is then the
+ * minimum to fetch next.
+ */
+export function measureTags(input) {
+    const bytes = toBytes(input);
+
+    switch (detectTagFormat(bytes)) {
+        case 'id3': {
+            if (bytes.length < 10) return { complete: false, length: 10 };
+            const footer = bytes[5] & 0x10 ? 10 : 0;
+            const length = 10 + readSyncsafe(bytes, 6) + footer;
+            return { complete: bytes.length >= length, length };
+        }
+        case 'flac': {
+            let offset = 4;
+            while (offset + 4 <= bytes.length) {
+                const isLast = bytes[offset] & 0x80;
+                offset += 4 + readUint24(bytes, offset + 1);
+                if (isLast) return { complete: bytes.length >= offset, length: offset };
+            }
+            return { complete: false, length: offset + 4 };
+        }
+        case 'ogg':
+            // Page boundaries don't announce the comment size; grow until it parses
+            return readOggPackets(bytes, 2).length >= 2
+                ? { complete: true, length: bytes.length }
+                : { complete: false, length: bytes.length * 2 };
+        default:
+            return { complete: true, length: 0 };
+    }
+}
+
+export function parseTags(input) {
+    const bytes = toBytes(input);
+
+    switch (detectTagFormat(bytes)) {
+        case 'id3':
+            return parseId3(bytes);
+        case 'flac':
+            return parseFlac(bytes);
+        case 'ogg':
+            return parseOgg(bytes);
+        default:
+            return null;
+    }
+}
+
+// ===== ID3v2 =====
+function parseId3(bytes) {
+    const version = bytes[3];
+    const flags = bytes[5];
+    const end = Math.min(bytes.length, 10 + readSyncsafe(bytes, 6));
+
+    if (version < 2 || version > 4) return null;
+
+    let body = bytes.subarray(10, end);
+
+    // v2.2/2.3 unsynchronise the whole tag; v2.4 marks it per frame
+    if (flags & 0x80 && version < 4) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (flags & 0x40 && version > 2) {
+        offset = version === 3 ? readUint32(body, 0) + 4 : readSyncsafe(body, 0);
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const tags = emptyTags();
+    const pictures = [];
+
+    while (offset + headerLength <= body.length) {
+        const id = readLatin1(body, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+        const size = version === 2
+            ? readUint24(body, offset + 3)
+            : version === 4 ? readSyncsafe(body, offset + 4) : readUint32(body, offset + 4);
+        const formatFlags = version === 2 ? 0 : body[offset + 9];
+
+        let frame = body.subarray(offset + headerLength, Math.min(body.length, offset + headerLength + size));
+        offset += headerLength + size;
+
+        // Compressed or encrypted frames are skipped rather than inflated
+        if (version === 3 && formatFlags & 0xc0) continue;
+        if (version === 4 && formatFlags & 0x0c) continue;
+
+        if (version === 3 && formatFlags & 0x20) frame = frame.subarray(1);
+        if (version === 4) {
+            if (formatFlags & 0x40) frame = frame.subarray(1);
+            if (formatFlags & 0x01) frame = frame.subarray(4);
+            if (formatFlags & 0x02 || flags & 0x80) frame = removeUnsynchronisation(frame);
+        }
+
+        if (ID3_TEXT_FRAMES[id]) {
+            const value = decodeText(frame.subarray(1), frame[0])
+                .split('\0')
+                .map(part => part.trim())
+                .filter(Boolean)
+                .join(', ');
+            if (value && !tags[ID3_TEXT_FRAMES[id]]) {
+                tags[ID3_TEXT_FRAMES[id]] = value;
+            }
+        } else if (id === 'APIC' || id === 'PIC') {
+            const picture = parseId3Picture(frame, id === 'PIC');
+            if (picture) pictures.push(picture);
+        }
+    }
+
+    tags.picture = pickCover(pictures);
+    return normaliseTags(tags);
+}
+
+function parseId3Picture(frame, isLegacy) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mime;
+
+    if (isLegacy) {
+        // v2.2 stores a three-letter image format instead of a MIME type
+        const format = readLatin1(frame, 1, 3).toUpperCase();
+        mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const mimeEnd = frame.indexOf(0, offset);
+        if (mimeEnd === -1) return null;
+        mime = readLatin1(frame, offset, mimeEnd - offset) || 'image/jpeg';
+        offset = mimeEnd + 1;
+    }
+
+    const type = frame[offset];
+    offset += 1;
+
+    // Skip the description, whose terminator width depends on the encoding
+    const descriptionEnd = findTerminator(frame, offset, encoding);
+    if (descriptionEnd === -1) return null;
+    offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+    const data = frame.subarray(offset);
+    if (data.length === 0) return null;
+
+    return { type, mime: mime.includes('/') ? mime : `image/${mime.toLowerCase()}`, data };
+}
+
+function removeUnsynchronisation(bytes) {
+    const output = new Uint8Array(bytes.length);
+    let length = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        output[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+
+    return output.subarray(0, length);
+}
+
+function decodeText(bytes, encoding) {
+    switch (encoding) {
+        case 1: {
+            // UTF-16 with byte order mark
+            if (bytes[0] === 0xfe && bytes[1] === 0xff) return decode(bytes.subarray(2), 'utf-16be');
+            if (bytes[0] === 0xff && bytes[1] === 0xfe) return decode(bytes.subarray(2), 'utf-16le');
+            return decode(bytes, 'utf-16le');
+        }
+        case 2:
+            return decode(bytes, 'utf-16be');
+        case 3:
+            return decode(bytes, 'utf-8');
+        default:
+            return decode(bytes, 'latin1');
+    }
+}
+
+function findTerminator(bytes, offset, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = offset; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+        }
+        return -1;
+    }
+
+    return bytes.indexOf(0, offset);
+}
+
+// ===== FLAC =====
+function parseFlac(bytes) {
+    const tags = emptyTags();
+    const pictures = [];
+    let offset = 4;
+
+    while (offset + 4 <= bytes.length) {
+        const header = bytes[offset];
+        const length = readUint24(bytes, offset + 1);
+        const block = bytes.subarray(offset + 4, Math.min(bytes.length, offset + 4 + length));
+        const type = header & 0x7f;
+
+        if (type === 4) {
+            applyVorbisComments(tags, pictures, block);
+        } else if (type === 6) {
+            const picture = parseFlacPicture(block);
+            if (picture) pictures.push(picture);
+        }
+
+        offset += 4 + length;
+        if (header & 0x80) break;
+    }
+
+    tags.picture = pickCover(pictures);
+    return normaliseTags(tags);
+}
+
+function parseFlacPicture(block) {
+    if (block.length < 32) return null;
+
+    const type = readUint32(block, 0);
+    const mimeLength = readUint32(block, 4);
+    const mime = readLatin1(block, 8, mimeLength);
+    let offset = 8 + mimeLength;
+    const descriptionLength = readUint32(block, offset);
+    offset += 4 + descriptionLength + 16; // width, height, depth, colours
+    const dataLength = readUint32(block, offset);
+    offset += 4;
+
+    const data = block.subarray(offset, offset + dataLength);
+    return data.length > 0 ? { type, mime: mime || 'image/jpeg', data } : null;
+}
+
+// ===== Ogg Vorbis / Opus =====
+function parseOgg(bytes) {
+    const [, comments] = readOggPackets(bytes, 2);
+    if (!comments) return null;
+
+    let start;
+    if (comments[0] === 0x03 && matches(comments, 1, 'vorbis')) {
+        start = 7;
+    } else if (matches(comments, 0, 'OpusTags')) {
+        start = 8;
+    } else {
+        return null;
+    }
+
+    const tags = emptyTags();
+    const pictures = [];
+    applyVorbisComments(tags, pictures, comments.subarray(start));
+
+    tags.picture = pickCover(pictures);
+    return normaliseTags(tags);
+}
+
+function readOggPackets(bytes, count) {
+    const packets = [];
+    let current = [];
+    let serial = null;
+    let offset = 0;
+
+    while (offset + 27 <= bytes.length && packets.length < count) {
+        if (!matches(bytes, offset, 'OggS')) break;
+
+        const pageSerial = readUint32LE(bytes, offset + 14);
+        const segments = bytes[offset + 26];
+        const tableEnd = offset + 27 + segments;
+        if (tableEnd > bytes.length) break;
+
+        serial = serial ?? pageSerial;
+        let dataOffset = tableEnd;
+
+        for (let i = 0; i < segments; i++) {
+            const size = bytes[offset + 27 + i];
+            if (dataOffset + size > bytes.length) return packets;
+
+            // Only the first logical stream carries the tags we want
+            if (pageSerial === serial) {
+                current.push(bytes.subarray(dataOffset, dataOffset + size));
+                if (size < 255) {
+                    packets.push(concat(current));
+                    current = [];
+                    if (packets.length >= count) break;
+                }
+            }
+            dataOffset += size;
+        }
+
+        offset = dataOffset;
+    }
+
+    return packets;
+}
+
+function applyVorbisComments(tags, pictures, block) {
+    // Little-endian vendor string, then "KEY=value" pairs
+    let offset = 4 + readUint32LE(block, 0);
+    const count = readUint32LE(block, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+        const length = readUint32LE(block, offset);
+        const comment = decode(block.subarray(offset + 4, offset + 4 + length), 'utf-8');
+        offset += 4 + length;
+
+        const separator = comment.indexOf('=');
+        if (separator === -1) continue;
+
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = comment.slice(separator + 1).trim();
+
+        if (VORBIS_FIELDS[key] && value) {
+            const field = VORBIS_FIELDS[key];
+            tags[field] = tags[field] ? `${tags[field]}, ${value}` : value;
+        } else if (key === 'METADATA_BLOCK_PICTURE') {
+            const picture = parseFlacPicture(decodeBase64(value));
+            if (picture) pictures.push(picture);
+        }
+    }
+}
+
+// ===== Helpers =====
+function emptyTags() {
+    return { title: null, artist: null, album: null, year: null, trackNumber: null, picture: null };
+}
+
+function normaliseTags(tags) {
+    if (tags.year) tags.year = String(tags.year).slice(0, 4);
+    if (tags.trackNumber) {
+        const number = parseInt(tags.trackNumber, 10);
+        tags.trackNumber = isNaN(number) ? null : number;
+    }
+
+    const hasAny = ['title', 'artist', 'album'].some(field => tags[field]) || tags.picture;
+    return hasAny ? tags : null;
+}
+
+function pickCover(pictures) {
+    const cover = pictures.find(picture => picture.type === FRONT_COVER) || pictures[0];
+    return cover ? { mime: cover.mime, data: cover.data } : null;
+}
+
+function toBytes(input) {
+    if (input instanceof Uint8Array) return input;
+    if (input instanceof ArrayBuffer) return new Uint8Array(input);
+    if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    throw new Error('Expected audio bytes (ArrayBuffer or Uint8Array)');
+}
+
+function matches(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+function decode(bytes, encoding) {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '');
+}
+
+function decodeBase64(value) {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function concat(chunks) {
+    if (chunks.length === 1) return chunks[0];
+
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return output;
+}
+
+const readLatin1 = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+const readSyncsafe = (bytes, offset) => (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+const readUint24 = (bytes, offset) => (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+const readUint32 = (bytes, offset) => ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+const readUint32LE = (bytes, offset) => ((bytes[offset + 3] << 24) >>> 0) + ((bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]);
+
+export default parseTags;
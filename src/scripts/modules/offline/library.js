@@ -0,0 +1,424 @@
+/**
+ * Offline Library - Tracks and episodes the listener chose to keep on the device
+ *
+ * Downloads run in the service worker, one PRELOAD_AUDIO message per file so
+ * a long category does not depend on a single event staying alive; the worker
+ * reports bytes and finished files with PRELOAD_PROGRESS messages. The audio
+ * lives in its own cache that the worker never trims; a small index in
+ * localStorage keeps titles and sizes for the storage screen and is rebuilt
+ * from the cache when the two disagree.
+ */
+
+// Must match OFFLINE_CACHE_NAME in public/sw.js
+export const OFFLINE_CACHE_NAME = 'radio-adamowo-offline-audio';
+
+export class OfflineLibrary {
+    constructor(config = {}) {
+        this.config = {
+            storageKey: config.storageKey || 'radio-adamowo-offline',
+            cacheName: config.cacheName || OFFLINE_CACHE_NAME,
+            // Short commands (CANCEL_PRELOAD) must be answered within this time
+            messageTimeout: 10000,
+            // A file download fails when the worker reports nothing for this long
+            downloadIdleTimeout: 30000,
+            ...config
+        };
+
+        // file -> { file, url, title, category, size, downloadedAt }
+        this.entries = new Map();
+        // Running downloads by id, with the progress last reported by the worker
+        this.jobs = new Map();
+        // Job id -> restarts the timeout of the message waiting for the current file
+        this.watchdogs = new Map();
+        this.eventListeners = new Set();
+        this.isInitialized = false;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof caches !== 'undefined';
+    }
+
+    async init() {
+        this.load();
+        navigator.serviceWorker.addEventListener('message', (event) => this.onWorkerMessage(event));
+        await this.reconcile();
+
+        this.isInitialized = true;
+        this.emit('initialized', { count: this.entries.size });
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.storageKey) || '[]');
+            this.entries = new Map(
+                (Array.isArray(stored) ? stored : [])
+                    .filter(entry => entry && typeof entry.file === 'string')
+                    .map(entry => [entry.file, entry])
+            );
+        } catch (error) {
+            console.warn('Failed to load offline library:', error);
+            this.entries = new Map();
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(Array.from(this.entries.values())));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save offline library:', error);
+            return false;
+        }
+    }
+
+    async reconcile() {
+        // The cache is the truth: the browser may evict it under storage pressure, and a
+        // download interrupted before its answer leaves files that the index never heard of
+        try {
+            const cache = await caches.open(this.config.cacheName);
+            const requests = await cache.keys();
+            const cached = new Set(requests.map(request => request.url));
+            const indexed = new Set(Array.from(this.entries.values(), entry => entry.url));
+            let changed = false;
+
+            this.entries.forEach((entry, file) => {
+                if (!cached.has(entry.url)) {
+                    this.entries.delete(file);
+                    changed = true;
+                }
+            });
+
+            for (const request of requests) {
+                if (indexed.has(request.url)) continue;
+
+                const response = await cache.match(request);
+                if (!response) continue;
+
+                const file = this.toFile(request.url);
+                this.entries.set(file, {
+                    file,
+                    url: request.url,
+                    title: null,
+                    category: null,
+                    size: parseInt(response.headers.get('content-length')) || (await response.blob()).size,
+                    downloadedAt: Date.now()
+                });
+                changed = true;
+            }
+
+            if (changed) this.save();
+        } catch (error) {
+            console.warn('Failed to read offline cache:', error);
+        }
+    }
+
+    toUrl(file) {
+        return new URL(file, location.href).href;
+    }
+
+    toFile(url) {
+        // Playlist paths are relative to the page; URLs outside it are kept whole
+        const base = new URL('.', location.href).href;
+        return url.startsWith(base) ? decodeURI(url.slice(base.length)) : url;
+    }
+
+    isDownloaded(file) {
+        return this.entries.has(file);
+    }
+
+    isDownloading(file) {
+        for (const job of this.jobs.values()) {
+            if (job.files.includes(file)) return true;
+        }
+        return false;
+    }
+
+    list() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => b.downloadedAt - a.downloadedAt);
+    }
+
+    getUsage() {
+        let bytes = 0;
+        this.entries.forEach(entry => { bytes += entry.size || 0; });
+        return bytes;
+    }
+
+    // ===== Downloads =====
+    async download(tracks, { label = '' } = {}) {
+        const pending = tracks.filter(track => track && track.file && !this.isDownloaded(track.file) && !this.isDownloading(track.file));
+        if (pending.length === 0) return null;
+
+        const job = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            label,
+            files: pending.map(track => track.file),
+            total: pending.length,
+            done: 0,
+            failed: 0,
+            current: null,
+            loaded: 0,
+            length: 0,
+            cancelled: false
+        };
+        job.tracksByUrl = new Map(pending.map(track => [this.toUrl(track.file), track]));
+
+        this.jobs.set(job.id, job);
+        this.emit('downloadStarted', { job });
+        this.requestPersistence();
+
+        try {
+            await this.getWorker();
+        } catch (error) {
+            this.jobs.delete(job.id);
+            this.emit('downloadFailed', { job, error });
+            throw error;
+        }
+
+        for (const [url, track] of job.tracksByUrl) {
+            if (job.cancelled) break;
+
+            Object.assign(job, { current: track.file, loaded: 0, length: 0 });
+            this.emit('progress', { job });
+
+            try {
+                const result = await this.postMessage('PRELOAD_AUDIO', { id: job.id, urls: [url] }, {
+                    timeout: this.config.downloadIdleTimeout,
+                    jobId: job.id
+                });
+                (result.downloaded || []).forEach(({ url: downloadedUrl, size }) => this.record(job, downloadedUrl, size));
+                if ((result.failed || []).length > 0) job.failed++;
+            } catch (error) {
+                // The worker was stopped or stalled; the next file starts it again
+                console.warn('Offline download interrupted:', error);
+                if (!this.isDownloaded(track.file)) job.failed++;
+                this.postMessage('CANCEL_PRELOAD', { id: job.id }, { timeout: this.config.messageTimeout }).catch(() => {});
+            }
+        }
+
+        this.jobs.delete(job.id);
+        const summary = {
+            job,
+            downloaded: job.done,
+            failed: job.failed,
+            cancelled: job.cancelled
+        };
+        this.emit('downloadFinished', summary);
+        return summary;
+    }
+
+    record(job, url, size) {
+        // Called for the PRELOAD_PROGRESS that reports the file and again for the answer
+        const track = job.tracksByUrl.get(url);
+        if (!track || this.isDownloaded(track.file)) return;
+
+        const metadata = track.metadata || {};
+        this.entries.set(track.file, {
+            file: track.file,
+            url,
+            title: metadata.title || null,
+            category: track.category || null,
+            size: size || 0,
+            downloadedAt: Date.now()
+        });
+        this.save();
+
+        Object.assign(job, { done: job.done + 1, loaded: 0, length: 0 });
+        this.emit('added', { file: track.file, job });
+    }
+
+    async cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        job.cancelled = true;
+        try {
+            await this.postMessage('CANCEL_PRELOAD', { id }, { timeout: this.config.messageTimeout });
+        } catch (error) {
+            console.warn('Failed to cancel offline download:', error);
+        }
+        return true;
+    }
+
+    async cancelAll() {
+        await Promise.all(Array.from(this.jobs.keys()).map(id => this.cancel(id)));
+    }
+
+    onWorkerMessage(event) {
+        const { type, data } = event.data || {};
+        if (type !== 'PRELOAD_PROGRESS' || !data) return;
+
+        const job = this.jobs.get(data.id);
+        if (!job) return;
+
+        // Any sign of life keeps the current file's message from timing out
+        const watchdog = this.watchdogs.get(data.id);
+        if (watchdog) watchdog();
+
+        if (data.completed) {
+            this.record(job, data.completed.url, data.completed.size);
+        }
+
+        if (data.url) {
+            Object.assign(job, {
+                current: this.fileForUrl(job, data.url),
+                loaded: data.loaded || 0,
+                length: data.length || 0
+            });
+        }
+        this.emit('progress', { job });
+    }
+
+    fileForUrl(job, url) {
+        return job.files.find(file => this.toUrl(file) === url) || null;
+    }
+
+    async remove(files) {
+        const list = Array.isArray(files) ? files : [files];
+
+        try {
+            const cache = await caches.open(this.config.cacheName);
+            await Promise.all(list.map(file => {
+                const entry = this.entries.get(file);
+                return cache.delete(entry ? entry.url : this.toUrl(file));
+            }));
+        } catch (error) {
+            console.warn('Failed to remove offline audio:', error);
+        }
+
+        list.forEach(file => this.entries.delete(file));
+        this.save();
+        this.emit('removed', { files: list });
+    }
+
+    async clear() {
+        try {
+            await caches.delete(this.config.cacheName);
+        } catch (error) {
+            console.warn('Failed to clear offline audio:', error);
+        }
+
+        const files = Array.from(this.entries.keys());
+        this.entries.clear();
+        this.save();
+        this.emit('removed', { files });
+    }
+
+    // ===== Playback =====
+    async getObjectUrl(file) {
+        // Only needed when no service worker controls the page (e.g. after a hard reload)
+        try {
+            const cache = await caches.open(this.config.cacheName);
+            const entry = this.entries.get(file);
+            const response = await cache.match(entry ? entry.url : this.toUrl(file));
+            return response ? URL.createObjectURL(await response.blob()) : null;
+        } catch (error) {
+            console.warn('Failed to read offline audio:', error);
+            return null;
+        }
+    }
+
+    isControlled() {
+        return Boolean(navigator.serviceWorker.controller);
+    }
+
+    // ===== Storage =====
+    async estimate() {
+        const offline = this.getUsage();
+        if (!navigator.storage || typeof navigator.storage.estimate !== 'function') {
+            return { usage: null, quota: null, offline, persisted: false };
+        }
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            const persisted = typeof navigator.storage.persisted === 'function' ? await navigator.storage.persisted() : false;
+            return { usage, quota, offline, persisted };
+        } catch (error) {
+            console.warn('Failed to estimate storage:', error);
+            return { usage: null, quota: null, offline, persisted: false };
+        }
+    }
+
+    async requestPersistence() {
+        // Persistent storage keeps the browser from evicting downloads when space runs low
+        if (!navigator.storage || typeof navigator.storage.persist !== 'function') return false;
+
+        try {
+            return await navigator.storage.persist();
+        } catch (error) {
+            console.warn('Failed to request persistent storage:', error);
+            return false;
+        }
+    }
+
+    // ===== Service worker messaging =====
+    async getWorker() {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const worker = registration && (registration.active || registration.waiting || registration.installing);
+        if (!worker) {
+            throw new Error('Service worker is not available');
+        }
+        return worker;
+    }
+
+    async postMessage(type, data, { timeout = this.config.messageTimeout, jobId = null } = {}) {
+        const worker = await this.getWorker();
+
+        // A worker stopped by the browser never answers; the timeout keeps callers from waiting forever
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            let timer = null;
+
+            const settle = () => {
+                clearTimeout(timer);
+                if (jobId) this.watchdogs.delete(jobId);
+                channel.port1.close();
+            };
+            const arm = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    settle();
+                    reject(new Error(`Service worker did not answer ${type}`));
+                }, timeout);
+            };
+
+            if (timeout > 0) {
+                arm();
+                if (jobId) this.watchdogs.set(jobId, arm);
+            }
+
+            channel.port1.onmessage = (event) => {
+                settle();
+                resolve(event.data || {});
+            };
+            worker.postMessage({ type, data }, [channel.port2]);
+        });
+    }
+
+    // Event system
+    on(event, callback) {
+        this.eventListeners.add({ event, callback });
+    }
+
+    off(event, callback) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event && listener.callback === callback) {
+                this.eventListeners.delete(listener);
+            }
+        });
+    }
+
+    emit(event, data) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event) {
+                try {
+                    listener.callback(data);
+                } catch (error) {
+                    console.error('Error in offline library event listener:', error);
+                }
+            }
+        });
+    }
+}
+
+export default OfflineLibrary;
@@ -0,0 +1,213 @@
+/**
+ * Playlist Formats - Import and export of M3U/M3U8, PLS and XSPF playlists
+ *
+ * Entries are plain { file, title, artist, duration } objects, duration in seconds.
+ */
+
+export const PLAYLIST_FORMATS = {
+    m3u8: { extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+    pls: { extension: 'pls', mimeType: 'audio/x-scpls' },
+    xspf: { extension: 'xspf', mimeType: 'application/xspf+xml' }
+};
+
+export function detectFormat(content, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'm3u' || extension === 'm3u8') return 'm3u8';
+    if (extension === 'pls') return 'pls';
+    if (extension === 'xspf') return 'xspf';
+
+    const head = content.trimStart().slice(0, 200).toLowerCase();
+    if (head.startsWith('#extm3u')) return 'm3u8';
+    if (head.startsWith('[playlist]')) return 'pls';
+    if (head.startsWith('<?xml') || head.startsWith('<playlist')) return 'xspf';
+
+    // Bare M3U files are just one path per line
+    return 'm3u8';
+}
+
+export function parsePlaylist(content, filename = '') {
+    const format = detectFormat(content, filename);
+
+    switch (format) {
+        case 'pls':
+            return parsePLS(content);
+        case 'xspf':
+            return parseXSPF(content);
+        default:
+            return parseM3U(content);
+    }
+}
+
+export function serializePlaylist(entries, format, options = {}) {
+    switch (format) {
+        case 'pls':
+            return serializePLS(entries);
+        case 'xspf':
+            return serializeXSPF(entries, options);
+        case 'm3u8':
+            return serializeM3U(entries);
+        default:
+            throw new Error(`Unsupported playlist format: ${format}`);
+    }
+}
+
+// ===== M3U / M3U8 =====
+export function parseM3U(content) {
+    const entries = [];
+    let pending = {};
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('#EXTINF:')) {
+            const match = /^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line);
+            if (match) {
+                pending = { ...splitDisplayTitle(match[2].trim()), duration: toDuration(match[1]) };
+            }
+            return;
+        }
+
+        if (line.startsWith('#')) return;
+
+        entries.push({ file: line, ...pending });
+        pending = {};
+    });
+
+    return entries;
+}
+
+export function serializeM3U(entries) {
+    const lines = ['#EXTM3U'];
+
+    entries.forEach(entry => {
+        const duration = entry.duration ? Math.round(entry.duration) : -1;
+        const label = entry.artist ? `${entry.artist} - ${entry.title || ''}` : (entry.title || '');
+        lines.push(`#EXTINF:${duration},${label}`);
+        lines.push(entry.file);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// ===== PLS =====
+export function parsePLS(content) {
+    const fields = new Map();
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const match = /^(File|Title|Length)(\d+)=(.*)$/i.exec(rawLine.trim());
+        if (!match) return;
+
+        const index = parseInt(match[2], 10);
+        if (!fields.has(index)) fields.set(index, {});
+        fields.get(index)[match[1].toLowerCase()] = match[3].trim();
+    });
+
+    return Array.from(fields.entries())
+        .sort(([a], [b]) => a - b)
+        .filter(([, entry]) => entry.file)
+        .map(([, entry]) => ({
+            file: entry.file,
+            ...splitDisplayTitle(entry.title || ''),
+            duration: toDuration(entry.length)
+        }));
+}
+
+export function serializePLS(entries) {
+    const lines = ['[playlist]'];
+
+    entries.forEach((entry, i) => {
+        const n = i + 1;
+        lines.push(`File${n}=${entry.file}`);
+        if (entry.title) {
+            lines.push(`Title${n}=${entry.artist ? `${entry.artist} - ${entry.title}` : entry.title}`);
+        }
+        lines.push(`Length${n}=${entry.duration ? Math.round(entry.duration) : -1}`);
+    });
+
+    lines.push(`NumberOfEntries=${entries.length}`);
+    lines.push('Version=2');
+
+    return lines.join('\n') + '\n';
+}
+
+// ===== XSPF =====
+export function parseXSPF(content) {
+    const doc = new DOMParser().parseFromString(content, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid XSPF document');
+    }
+
+    const text = (parent, tag) => {
+        const node = parent.getElementsByTagName(tag)[0];
+        return node ? node.textContent.trim() : '';
+    };
+
+    return Array.from(doc.getElementsByTagName('track'))
+        .map(track => ({
+            file: decodeLocation(text(track, 'location')),
+            title: text(track, 'title') || undefined,
+            artist: text(track, 'creator') || undefined,
+            album: text(track, 'album') || undefined,
+            duration: text(track, 'duration') ? toDuration(text(track, 'duration')) / 1000 : undefined
+        }))
+        .filter(entry => entry.file);
+}
+
+export function serializeXSPF(entries, options = {}) {
+    const tracks = entries.map(entry => {
+        const fields = [`      <location>${escapeXml(encodeURI(entry.file))}</location>`];
+        if (entry.title) fields.push(`      <title>${escapeXml(entry.title)}</title>`);
+        if (entry.artist) fields.push(`      <creator>${escapeXml(entry.artist)}</creator>`);
+        if (entry.album) fields.push(`      <album>${escapeXml(entry.album)}</album>`);
+        if (entry.duration) fields.push(`      <duration>${Math.round(entry.duration * 1000)}</duration>`);
+        return `    <track>\n${fields.join('\n')}\n    </track>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(options.title || 'Radio Adamowo')}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n');
+}
+
+// ===== Helpers =====
+function splitDisplayTitle(label) {
+    if (!label) return {};
+
+    const separator = label.indexOf(' - ');
+    if (separator === -1) return { title: label };
+
+    return {
+        artist: label.slice(0, separator).trim() || undefined,
+        title: label.slice(separator + 3).trim()
+    };
+}
+
+function toDuration(value) {
+    const duration = parseFloat(value);
+    return isNaN(duration) || duration < 0 ? undefined : duration;
+}
+
+function decodeLocation(location) {
+    try {
+        return decodeURI(location);
+    } catch {
+        return location;
+    }
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
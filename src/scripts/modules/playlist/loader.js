@@ -0,0 +1,245 @@
+/**
+ * Playlist Loader - Fetches playlist data and normalises every known schema
+ * into a single { categories, tracks } shape
+ *
+ * Tracks may carry an optional "gain" object from scripts/analyze-loudness.mjs
+ * (ReplayGain-style dB values plus linear peaks) used for loudness normalisation.
+ */
+
+const AUDIO_FILE_PATTERN = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|webm)$/i;
+
+export class PlaylistSchemaError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'PlaylistSchemaError';
+        this.errors = errors;
+    }
+}
+
+export class PlaylistLoader {
+    constructor(config = {}) {
+        this.config = {
+            url: config.url || 'playlist.json',
+            strict: config.strict === true,
+            ...config
+        };
+
+        // Normalisers keyed by schema major version; 0 is the flat legacy array
+        this.schemas = new Map([
+            [0, (data) => this.normaliseFlat(data)],
+            [1, (data) => this.normaliseCategorised(data)]
+        ]);
+    }
+
+    registerSchema(majorVersion, normaliser) {
+        this.schemas.set(Number(majorVersion), normaliser);
+    }
+
+    async load(url = this.config.url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load playlist: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return this.normalise(data);
+    }
+
+    detectSchemaVersion(data) {
+        if (Array.isArray(data)) return 0;
+
+        if (!data || typeof data !== 'object') {
+            throw new PlaylistSchemaError('Playlist data must be an array or an object');
+        }
+
+        const version = data.schemaVersion ?? data.version ?? 1;
+        const major = parseInt(String(version).split('.')[0], 10);
+
+        if (isNaN(major)) {
+            throw new PlaylistSchemaError(`Invalid playlist schema version: ${version}`);
+        }
+
+        return major;
+    }
+
+    normalise(data) {
+        const version = this.detectSchemaVersion(data);
+        const normaliser = this.schemas.get(version);
+
+        if (!normaliser) {
+            throw new PlaylistSchemaError(`Unsupported playlist schema version: ${version}`);
+        }
+
+        const { tracks: rawTracks, categories: declaredCategories = [] } = normaliser(data);
+        const { tracks, errors, warnings } = this.validateTracks(rawTracks);
+
+        if (tracks.length === 0 && rawTracks.length > 0) {
+            throw new PlaylistSchemaError('Playlist contains no valid tracks', errors);
+        }
+
+        if (this.config.strict && errors.length > 0) {
+            throw new PlaylistSchemaError(`Playlist has ${errors.length} invalid entries`, errors);
+        }
+
+        return {
+            schemaVersion: version,
+            categories: this.deriveCategories(tracks, declaredCategories),
+            tracks,
+            errors,
+            warnings
+        };
+    }
+
+    normaliseFlat(data) {
+        return { tracks: data, categories: [] };
+    }
+
+    normaliseCategorised(data) {
+        if (!Array.isArray(data.tracks)) {
+            throw new PlaylistSchemaError('Playlist object is missing a "tracks" array');
+        }
+
+        return {
+            tracks: data.tracks,
+            categories: Array.isArray(data.categories) ? data.categories : []
+        };
+    }
+
+    validateTracks(rawTracks) {
+        const tracks = [];
+        const errors = [];
+        // Problems that keep the track in the playlist (strict mode ignores them)
+        const warnings = [];
+        const seenFiles = new Set();
+        const seenIds = new Set();
+
+        rawTracks.forEach((raw, index) => {
+            const fail = (message) => errors.push({ index, message: `Track #${index}: ${message}` });
+            const warn = (message) => warnings.push({ index, message: `Track #${index}: ${message}` });
+
+            if (!raw || typeof raw !== 'object') {
+                fail('entry is not an object');
+                return;
+            }
+
+            const file = typeof raw.file === 'string' ? raw.file.trim() : '';
+            if (!file) {
+                fail('missing "file"');
+                return;
+            }
+
+            if (!AUDIO_FILE_PATTERN.test(file.split('?')[0])) {
+                fail(`unsupported file type "${file}"`);
+                return;
+            }
+
+            const category = typeof raw.category === 'string' ? raw.category.trim() : '';
+            if (!category) {
+                fail('missing "category"');
+                return;
+            }
+
+            if (seenFiles.has(file)) {
+                fail(`duplicate file "${file}"`);
+                return;
+            }
+
+            let id = typeof raw.id === 'string' && raw.id ? raw.id : this.generateId(file, category);
+            if (seenIds.has(id)) {
+                id = `${id}_${index}`;
+            }
+
+            seenFiles.add(file);
+            seenIds.add(id);
+
+            const track = {
+                ...raw,
+                id,
+                file,
+                category,
+                metadata: raw.metadata && typeof raw.metadata === 'object' ? { ...raw.metadata } : {}
+            };
+
+            // Bad loudness data only costs the track its normalisation, not its place
+            delete track.gain;
+            if (raw.gain !== undefined) {
+                const gain = this.normaliseGain(raw.gain);
+                if (gain) {
+                    track.gain = gain;
+                } else {
+                    warn('invalid "gain" ignored');
+                }
+            }
+
+            tracks.push(track);
+        });
+
+        return { tracks, errors, warnings };
+    }
+
+    normaliseGain(gain) {
+        // { lufs, track, trackPeak, album, albumPeak } as written by scripts/analyze-loudness.mjs
+        if (!gain || typeof gain !== 'object' || !Number.isFinite(gain.track)) return null;
+
+        const peak = (value) => Number.isFinite(value) && value > 0 ? value : 1;
+
+        return {
+            lufs: Number.isFinite(gain.lufs) ? gain.lufs : null,
+            track: gain.track,
+            trackPeak: peak(gain.trackPeak),
+            album: Number.isFinite(gain.album) ? gain.album : gain.track,
+            albumPeak: peak(gain.albumPeak ?? gain.trackPeak)
+        };
+    }
+
+    deriveCategories(tracks, declaredCategories) {
+        const categories = new Map();
+
+        declaredCategories.forEach(category => {
+            if (!category || typeof category.id !== 'string') return;
+            categories.set(category.id, {
+                id: category.id,
+                name: category.name || this.formatCategoryName(category.id),
+                description: category.description || '',
+                color: category.color || null,
+                trackCount: 0
+            });
+        });
+
+        tracks.forEach(track => {
+            if (!categories.has(track.category)) {
+                categories.set(track.category, {
+                    id: track.category,
+                    name: this.formatCategoryName(track.category),
+                    description: '',
+                    color: null,
+                    trackCount: 0
+                });
+            }
+            categories.get(track.category).trackCount++;
+        });
+
+        return Array.from(categories.values());
+    }
+
+    groupByCategory(normalised) {
+        const groups = new Map();
+
+        normalised.categories.forEach(category => groups.set(category.id, []));
+        normalised.tracks.forEach(track => groups.get(track.category).push(track));
+
+        return groups;
+    }
+
+    generateId(file, category) {
+        const filename = file.split('/').pop().replace(AUDIO_FILE_PATTERN, '');
+        const slug = filename.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+        return `${category}_${slug || 'track'}`;
+    }
+
+    formatCategoryName(id) {
+        return id.charAt(0).toUpperCase() + id.slice(1);
+    }
+}
+
+export default PlaylistLoader;
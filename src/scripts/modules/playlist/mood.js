@@ -0,0 +1,192 @@
+/**
+ * Mood Playlists - Builds a weighted queue across categories from mood tags
+ * and 1-10 energy values, and keeps a history of the moods the listener picked
+ *
+ * Tracks carry their own "mood"/"energy" in playlist.json, written by
+ * scripts/index-moods.mjs (hand-curated where available, otherwise measured),
+ * and only those are explained as the track's own feel. Tracks the script has
+ * not indexed yet fall back to their category's default mood below.
+ *
+ * Every pick carries structured reasons ({ type: 'tag' | 'energy' | 'category'
+ * | 'fresh', value }) so the UI can explain why a track was chosen.
+ */
+
+// Target energy (1-10), preferred tags and category affinity for each mood button
+export const MOOD_PROFILES = {
+    confused: {
+        energy: 2,
+        tags: ['calm', 'peaceful', 'nature', 'reflective'],
+        categories: { ambient: 1, barbara: 0.4, kids: 0.2 }
+    },
+    angry: {
+        energy: 7,
+        tags: ['energetic', 'urban', 'real', 'wise'],
+        categories: { hiphop: 1, disco: 0.4, ambient: 0.2 }
+    },
+    sad: {
+        energy: 4,
+        tags: ['melancholic', 'warm', 'calm', 'peaceful'],
+        categories: { barbara: 1, ambient: 0.5, kids: 0.2 }
+    },
+    hopeful: {
+        energy: 7,
+        tags: ['happy', 'energetic', 'danceable', 'playful'],
+        categories: { disco: 1, kids: 0.5, hiphop: 0.3 }
+    }
+};
+
+// Default mood of each catalogue category, for tracks without their own mood or energy
+export const CATEGORY_MOODS = {
+    ambient: { tags: ['calm', 'peaceful'], energy: 2 },
+    barbara: { tags: ['melancholic', 'warm'], energy: 4 },
+    disco: { tags: ['energetic', 'happy', 'danceable'], energy: 8 },
+    hiphop: { tags: ['urban', 'wise'], energy: 6 },
+    kids: { tags: ['happy', 'playful'], energy: 6 }
+};
+
+// Tracks from these categories never end up in a mood queue (spoken word)
+const EXCLUDED_CATEGORIES = ['audio', 'podcasts'];
+
+const DEFAULT_ENERGY = 5;
+
+export function getTrackMood(track) {
+    const metadata = track.metadata || {};
+    const tags = track.mood || metadata.mood;
+    const energy = Number(track.energy ?? metadata.energy);
+
+    if (tags || Number.isFinite(energy)) {
+        return {
+            tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
+            energy: Number.isFinite(energy) ? energy : null,
+            source: 'track'
+        };
+    }
+
+    const fallback = CATEGORY_MOODS[track.category] || { tags: [], energy: null };
+    return { tags: fallback.tags, energy: fallback.energy, source: 'category' };
+}
+
+export function scoreTrack(track, profile) {
+    const { tags, energy, source } = getTrackMood(track);
+    const reasons = [];
+
+    // Category affinity is the base weight; tags and energy fit multiply it
+    const categoryWeight = profile.categories[track.category] ?? 0.1;
+
+    const matchedTags = tags.filter(tag => profile.tags.includes(tag));
+    const tagFactor = 1 + matchedTags.length * 0.75;
+
+    const distance = Math.abs((energy ?? DEFAULT_ENERGY) - profile.energy);
+    const energyFactor = Math.max(0.1, 1 - distance / 6);
+    const energyFits = energy !== null && distance <= 2;
+
+    // A category default describes the category, so the pick is explained by the category
+    if (categoryWeight >= 0.5 || (source === 'category' && (matchedTags.length > 0 || energyFits))) {
+        reasons.push({ type: 'category', value: track.category });
+    }
+
+    if (source === 'track') {
+        matchedTags.forEach(tag => reasons.push({ type: 'tag', value: tag }));
+        if (energyFits) {
+            reasons.push({ type: 'energy', value: energy });
+        }
+    }
+
+    return { weight: categoryWeight * tagFactor * energyFactor, reasons };
+}
+
+export function generateMoodQueue(tracks, mood, options = {}) {
+    const profile = MOOD_PROFILES[mood];
+    if (!profile) {
+        throw new Error(`Unknown mood: ${mood}`);
+    }
+
+    const {
+        length = 20,
+        recentFiles = [],
+        random = Math.random
+    } = options;
+
+    const recent = new Set(recentFiles);
+
+    const candidates = tracks
+        .filter(track => track && track.file && !EXCLUDED_CATEGORIES.includes(track.category))
+        .map(track => {
+            const { weight, reasons } = scoreTrack(track, profile);
+
+            // Recently played tracks stay possible but much less likely
+            if (recent.has(track.file)) {
+                return { track, weight: weight * 0.1, reasons };
+            }
+            // "Not heard recently" only means something once there is a listening history
+            return recent.size > 0
+                ? { track, weight, reasons: [...reasons, { type: 'fresh', value: true }] }
+                : { track, weight, reasons };
+        })
+        .filter(candidate => candidate.weight > 0);
+
+    // Weighted sampling without replacement: sort by u^(1/w) (Efraimidis-Spirakis)
+    return candidates
+        .map(candidate => ({ ...candidate, key: Math.pow(random(), 1 / candidate.weight) }))
+        .sort((a, b) => b.key - a.key)
+        .slice(0, length)
+        .map(({ track, weight, reasons }) => ({ track, weight, reasons }));
+}
+
+export class MoodHistory {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'radio-adamowo-mood-history';
+        this.limit = config.limit || 50;
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(entry => entry && MOOD_PROFILES[entry.mood])
+                : [];
+        } catch (error) {
+            console.warn('Failed to load mood history:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save mood history:', error);
+            return false;
+        }
+    }
+
+    record(mood) {
+        this.entries.unshift({ mood, at: Date.now() });
+        this.entries = this.entries.slice(0, this.limit);
+        this.save();
+    }
+
+    list(limit = this.limit) {
+        return this.entries.slice(0, limit);
+    }
+
+    getLast() {
+        return this.entries[0] || null;
+    }
+
+    getCounts() {
+        return this.entries.reduce((counts, entry) => {
+            counts[entry.mood] = (counts[entry.mood] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
+
+export default generateMoodQueue;
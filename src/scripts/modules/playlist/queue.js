@@ -0,0 +1,126 @@
+/**
+ * Play Queue - Cross-category "up next" list persisted together with the
+ * listening position so a reload resumes where playback stopped
+ */
+
+export class PlayQueue {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'radio-adamowo-queue';
+        this.limit = config.limit || 200;
+        this.items = [];
+        this.position = null;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.items = Array.isArray(stored.items)
+                ? stored.items.filter(track => track && typeof track.file === 'string')
+                : [];
+            this.position = stored.position && typeof stored.position.file === 'string'
+                ? stored.position
+                : null;
+        } catch (error) {
+            console.warn('Failed to load play queue:', error);
+            this.items = [];
+            this.position = null;
+        }
+
+        return this.items;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                items: this.items,
+                position: this.position
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save play queue:', error);
+            return false;
+        }
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    list() {
+        return [...this.items];
+    }
+
+    enqueue(track) {
+        if (!track || !track.file || this.items.length >= this.limit) return false;
+
+        this.items.push(this.snapshot(track));
+        this.save();
+        return true;
+    }
+
+    playNext(track) {
+        if (!track || !track.file) return false;
+
+        this.items.unshift(this.snapshot(track));
+        this.items = this.items.slice(0, this.limit);
+        this.save();
+        return true;
+    }
+
+    shift() {
+        const track = this.items.shift() || null;
+        if (track) this.save();
+        return track;
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.items.length) return null;
+
+        const [removed] = this.items.splice(index, 1);
+        this.save();
+        return removed;
+    }
+
+    move(fromIndex, toIndex) {
+        const last = this.items.length - 1;
+        if (fromIndex < 0 || fromIndex > last) return false;
+
+        const target = Math.max(0, Math.min(toIndex, last));
+        if (target === fromIndex) return false;
+
+        const [track] = this.items.splice(fromIndex, 1);
+        this.items.splice(target, 0, track);
+        this.save();
+        return true;
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    setPosition(position) {
+        this.position = position ? { ...position, savedAt: Date.now() } : null;
+        this.save();
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    snapshot(track) {
+        // Keep what is needed to replay the track; DOM-derived state stays behind
+        return {
+            id: track.id,
+            file: track.file,
+            category: track.category,
+            metadata: track.metadata ? { ...track.metadata } : {}
+        };
+    }
+}
+
+export default PlayQueue;
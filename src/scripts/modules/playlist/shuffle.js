@@ -0,0 +1,118 @@
+/**
+ * Smart Shuffle - Orders a playlist so recently played tracks come late,
+ * favourites come early and categories are spread evenly instead of clumping
+ *
+ * Every shuffle is driven by a seed: the same tracks, recent list, favourites
+ * and seed always give the same order, so a reported mix can be reproduced.
+ */
+
+export const SHUFFLE_MODES = ['smart', 'random'];
+
+// Turns any string or number into a 32-bit seed (FNV-1a)
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for ordering tracks
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+export function randomShuffle(tracks, { seed = generateSeed() } = {}) {
+    const random = createRandom(seed);
+    const result = [...tracks];
+
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+}
+
+export function smartShuffle(tracks, options = {}) {
+    const {
+        seed = generateSeed(),
+        // Most recent first, e.g. from the listening history
+        recentFiles = [],
+        favoriteFiles = [],
+        favoriteWeight = 2,
+        recentWindow = 50,
+        spreadCategories = true
+    } = options;
+
+    const random = createRandom(seed);
+    const favorites = new Set(favoriteFiles);
+    const recency = new Map();
+    recentFiles.slice(0, recentWindow).forEach((file, index) => {
+        if (!recency.has(file)) recency.set(file, index);
+    });
+
+    // Weighted order (Efraimidis-Spirakis): heavier tracks tend to come first
+    const weighted = tracks
+        .map(track => {
+            let weight = favorites.has(track.file) ? favoriteWeight : 1;
+
+            // The track played last weighs least; older plays recover gradually
+            if (recency.has(track.file)) {
+                weight *= 0.02 + 0.98 * recency.get(track.file) / recentWindow;
+            }
+
+            return { track, key: Math.pow(random(), 1 / weight) };
+        })
+        .sort((a, b) => b.key - a.key)
+        .map(entry => entry.track);
+
+    if (!spreadCategories) return weighted;
+
+    // Spread each category over the whole list: its n tracks land near evenly
+    // spaced slots (k + offset) / n, keeping the weighted order within the category
+    const groups = new Map();
+    weighted.forEach(track => {
+        const category = track.category || '';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(track);
+    });
+
+    if (groups.size < 2) return weighted;
+
+    const slots = [];
+    groups.forEach(group => {
+        const offset = random();
+        group.forEach((track, index) => {
+            // A little jitter keeps the pattern from becoming a fixed rotation
+            const jitter = (random() - 0.5) * 0.2;
+            slots.push({ track, position: (index + offset + jitter) / group.length });
+        });
+    });
+
+    return slots
+        .sort((a, b) => a.position - b.position)
+        .map(slot => slot.track);
+}
+
+export function shuffleTracks(tracks, mode = 'smart', options = {}) {
+    return mode === 'random' ? randomShuffle(tracks, options) : smartShuffle(tracks, options);
+}
+
+export default smartShuffle;
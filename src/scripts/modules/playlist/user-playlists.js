@@ -0,0 +1,247 @@
+/**
+ * User Playlists - Locally stored playlists that appear as extra categories,
+ * including the built-in favourites list, with a JSON backup format
+ */
+
+export const USER_CATEGORY_PREFIX = 'user-';
+export const FAVORITES_ID = `${USER_CATEGORY_PREFIX}favorites`;
+export const USER_PLAYLISTS_EXPORT_VERSION = 1;
+
+export class UserPlaylistStore {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'radio-adamowo-user-playlists';
+        this.favoritesName = config.favoritesName || 'Ulubione';
+        this.playlists = new Map();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.playlists = new Map(
+                (Array.isArray(stored) ? stored : [])
+                    .filter(playlist => playlist && playlist.id && Array.isArray(playlist.tracks))
+                    .map(playlist => [playlist.id, playlist])
+            );
+        } catch (error) {
+            console.warn('Failed to load user playlists:', error);
+            this.playlists = new Map();
+        }
+
+        return this.list();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.list()));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save user playlists:', error);
+            return false;
+        }
+    }
+
+    list() {
+        return Array.from(this.playlists.values());
+    }
+
+    get(id) {
+        return this.playlists.get(id) || null;
+    }
+
+    has(id) {
+        return this.playlists.has(id);
+    }
+
+    create(name, tracks = [], extra = {}) {
+        const id = extra.id || this.generateId(name);
+        const playlist = {
+            id,
+            name: name || 'Playlista',
+            tracks: tracks.map(track => this.toEntry(track, id)),
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            ...extra
+        };
+
+        this.playlists.set(id, playlist);
+        this.save();
+
+        return playlist;
+    }
+
+    rename(id, name) {
+        const playlist = this.get(id);
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!playlist || !trimmed) return null;
+
+        playlist.name = trimmed;
+        return this.touch(playlist);
+    }
+
+    remove(id) {
+        // Favourites can be emptied but not deleted
+        if (id === FAVORITES_ID) return false;
+
+        const removed = this.playlists.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    // ===== Tracks =====
+    addTrack(id, track) {
+        const playlist = this.get(id);
+        if (!playlist || !track || !track.file) return false;
+        if (playlist.tracks.some(entry => entry.file === track.file)) return false;
+
+        playlist.tracks.push(this.toEntry(track, id));
+        this.touch(playlist);
+        return true;
+    }
+
+    removeTrack(id, file) {
+        const playlist = this.get(id);
+        if (!playlist) return false;
+
+        const index = playlist.tracks.findIndex(entry => entry.file === file);
+        if (index === -1) return false;
+
+        playlist.tracks.splice(index, 1);
+        this.touch(playlist);
+        return true;
+    }
+
+    moveTrack(id, fromIndex, toIndex) {
+        const playlist = this.get(id);
+        if (!playlist) return false;
+
+        const last = playlist.tracks.length - 1;
+        if (fromIndex < 0 || fromIndex > last) return false;
+
+        const target = Math.max(0, Math.min(toIndex, last));
+        if (target === fromIndex) return false;
+
+        const [track] = playlist.tracks.splice(fromIndex, 1);
+        playlist.tracks.splice(target, 0, track);
+        this.touch(playlist);
+        return true;
+    }
+
+    // ===== Favourites =====
+    getFavorites() {
+        // Created on first use so an untouched install has no empty tab
+        return this.get(FAVORITES_ID) || this.create(this.favoritesName, [], { id: FAVORITES_ID, favorites: true });
+    }
+
+    hasFavorites() {
+        const favorites = this.get(FAVORITES_ID);
+        return Boolean(favorites && favorites.tracks.length > 0);
+    }
+
+    isFavorite(file) {
+        const favorites = this.get(FAVORITES_ID);
+        return Boolean(favorites && favorites.tracks.some(entry => entry.file === file));
+    }
+
+    toggleFavorite(track) {
+        if (!track || !track.file) return false;
+
+        this.getFavorites();
+        if (this.isFavorite(track.file)) {
+            this.removeTrack(FAVORITES_ID, track.file);
+            return false;
+        }
+
+        this.addTrack(FAVORITES_ID, track);
+        return true;
+    }
+
+    // ===== Backup =====
+    export() {
+        return JSON.stringify({
+            version: USER_PLAYLISTS_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            playlists: this.list()
+        }, null, 2);
+    }
+
+    import(content) {
+        const data = typeof content === 'string' ? JSON.parse(content) : content;
+
+        if (!data || data.version !== USER_PLAYLISTS_EXPORT_VERSION || !Array.isArray(data.playlists)) {
+            throw new Error('Unsupported playlists file');
+        }
+
+        // Newest copy of a playlist wins; favourites are merged instead so nothing liked is lost
+        const imported = [];
+        data.playlists.forEach(playlist => {
+            if (!playlist || !UserPlaylistStore.isUserCategory(playlist.id) || !Array.isArray(playlist.tracks)) return;
+
+            const tracks = playlist.tracks.filter(track => track && typeof track.file === 'string');
+            const current = this.get(playlist.id);
+
+            if (playlist.id === FAVORITES_ID) {
+                const favorites = this.getFavorites();
+                const added = tracks.filter(track => this.addTrack(FAVORITES_ID, track));
+                if (added.length > 0) imported.push(favorites);
+                return;
+            }
+
+            if (current && (current.updatedAt || 0) >= (playlist.updatedAt || 0)) return;
+
+            this.playlists.set(playlist.id, {
+                ...playlist,
+                name: typeof playlist.name === 'string' && playlist.name ? playlist.name : 'Playlista',
+                tracks: tracks.map(track => this.toEntry(track, playlist.id)),
+                createdAt: playlist.createdAt || Date.now(),
+                updatedAt: playlist.updatedAt || Date.now()
+            });
+            imported.push(this.get(playlist.id));
+        });
+
+        this.save();
+        return imported;
+    }
+
+    touch(playlist) {
+        playlist.updatedAt = Date.now();
+        this.save();
+        return playlist;
+    }
+
+    toEntry(track, id) {
+        const entry = { ...track, category: id, metadata: { ...(track.metadata || {}) } };
+
+        // Cover art read from tags is a session object URL and would be dead after a reload
+        if (typeof entry.metadata.artwork === 'string' && entry.metadata.artwork.startsWith('blob:')) {
+            delete entry.metadata.artwork;
+            delete entry.metadata.artworkType;
+        }
+
+        return entry;
+    }
+
+    generateId(name) {
+        const slug = (name || 'playlist')
+            .toString()
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ł/g, 'l')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'playlist';
+
+        let id = `${USER_CATEGORY_PREFIX}${slug}`;
+        let suffix = 2;
+        while (this.playlists.has(id)) {
+            id = `${USER_CATEGORY_PREFIX}${slug}-${suffix++}`;
+        }
+
+        return id;
+    }
+
+    static isUserCategory(category) {
+        return typeof category === 'string' && category.startsWith(USER_CATEGORY_PREFIX);
+    }
+}
+
+export default UserPlaylistStore;
@@ -0,0 +1,250 @@
+/**
+ * Podcast Feed - Parses episode lists from the JSON data file or from an
+ * RSS 2.0 / Podcasting 2.0 feed, plus chapter and transcript documents
+ *
+ * Episodes are { id, title, file, description, duration, published, artwork,
+ * chapters, chaptersUrl, transcript: { url, type } }, times in seconds.
+ */
+
+const PODCAST_NAMESPACE = 'https://podcastindex.org/namespace/1.0';
+const ITUNES_NAMESPACE = 'http://www.itunes.com/dtds/podcast-1.0.dtd';
+
+// Preferred transcript types, best first
+const TRANSCRIPT_TYPES = ['text/vtt', 'application/json', 'application/x-subrip', 'application/srt', 'text/html', 'text/plain'];
+
+export async function loadPodcastFeed(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load podcast feed: ${response.status}`);
+    }
+
+    const content = await response.text();
+    return content.trimStart().startsWith('<')
+        ? parseRssFeed(content, url)
+        : normaliseFeedData(JSON.parse(content), url);
+}
+
+// ===== JSON data file =====
+export function normaliseFeedData(data, baseUrl = '') {
+    if (!data || !Array.isArray(data.episodes)) {
+        throw new Error('Podcast data is missing an "episodes" array');
+    }
+
+    const show = {
+        title: data.title || 'Radio Adamowo',
+        author: data.author || 'Radio Adamowo',
+        description: data.description || '',
+        artwork: data.artwork || null
+    };
+
+    const episodes = data.episodes
+        .filter(episode => episode && (episode.file || episode.url))
+        .map((episode, index) => ({
+            id: episode.id || `episode-${index + 1}`,
+            title: episode.title || `Odcinek ${index + 1}`,
+            file: resolveUrl(episode.file || episode.url, baseUrl),
+            description: episode.description || '',
+            duration: parseDuration(episode.duration),
+            published: episode.published || null,
+            artwork: episode.artwork || show.artwork,
+            chapters: Array.isArray(episode.chapters) ? normaliseChapters(episode.chapters) : null,
+            chaptersUrl: episode.chaptersUrl ? resolveUrl(episode.chaptersUrl, baseUrl) : null,
+            transcript: episode.transcript ? {
+                url: resolveUrl(episode.transcript.url || episode.transcript, baseUrl),
+                type: episode.transcript.type || guessTranscriptType(episode.transcript.url || episode.transcript)
+            } : null
+        }));
+
+    return { show, episodes };
+}
+
+// ===== RSS 2.0 / Podcasting 2.0 =====
+export function parseRssFeed(content, baseUrl = '') {
+    const doc = new DOMParser().parseFromString(content, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid podcast RSS feed');
+    }
+
+    const channel = doc.getElementsByTagName('channel')[0];
+    if (!channel) {
+        throw new Error('Podcast RSS feed has no <channel>');
+    }
+
+    const text = (parent, tag) => {
+        const node = Array.from(parent.children).find(child => child.tagName === tag);
+        return node ? node.textContent.trim() : '';
+    };
+    const nsElement = (parent, ns, tag) => parent.getElementsByTagNameNS(ns, tag)[0] || null;
+
+    const channelImage = nsElement(channel, ITUNES_NAMESPACE, 'image');
+    const show = {
+        title: text(channel, 'title') || 'Radio Adamowo',
+        author: (nsElement(channel, ITUNES_NAMESPACE, 'author') || {}).textContent || 'Radio Adamowo',
+        description: text(channel, 'description'),
+        artwork: channelImage ? channelImage.getAttribute('href') : null
+    };
+
+    const episodes = Array.from(channel.getElementsByTagName('item'))
+        .map((item, index) => {
+            const enclosure = item.getElementsByTagName('enclosure')[0];
+            if (!enclosure || !enclosure.getAttribute('url')) return null;
+
+            const chapters = nsElement(item, PODCAST_NAMESPACE, 'chapters');
+            const image = nsElement(item, ITUNES_NAMESPACE, 'image');
+            const duration = nsElement(item, ITUNES_NAMESPACE, 'duration');
+
+            return {
+                id: text(item, 'guid') || `episode-${index + 1}`,
+                title: text(item, 'title') || `Odcinek ${index + 1}`,
+                file: resolveUrl(enclosure.getAttribute('url'), baseUrl),
+                description: text(item, 'description'),
+                duration: parseDuration(duration ? duration.textContent : null),
+                published: text(item, 'pubDate') || null,
+                artwork: image ? image.getAttribute('href') : show.artwork,
+                chapters: null,
+                chaptersUrl: chapters ? resolveUrl(chapters.getAttribute('url'), baseUrl) : null,
+                transcript: pickTranscript(item.getElementsByTagNameNS(PODCAST_NAMESPACE, 'transcript'), baseUrl)
+            };
+        })
+        .filter(Boolean);
+
+    return { show, episodes };
+}
+
+function pickTranscript(nodes, baseUrl) {
+    const transcripts = Array.from(nodes)
+        .filter(node => node.getAttribute('url'))
+        .map(node => ({
+            url: resolveUrl(node.getAttribute('url'), baseUrl),
+            type: node.getAttribute('type') || guessTranscriptType(node.getAttribute('url'))
+        }))
+        .sort((a, b) => rankTranscriptType(a.type) - rankTranscriptType(b.type));
+
+    return transcripts[0] || null;
+}
+
+function rankTranscriptType(type) {
+    const rank = TRANSCRIPT_TYPES.indexOf(type);
+    return rank === -1 ? TRANSCRIPT_TYPES.length : rank;
+}
+
+// ===== Chapters =====
+export function parseChapters(data) {
+    // Podcasting 2.0 JSON chapters: { version, chapters: [{ startTime, title, ... }] }
+    const chapters = Array.isArray(data) ? data : data && data.chapters;
+    if (!Array.isArray(chapters)) {
+        throw new Error('Invalid chapters document');
+    }
+
+    return normaliseChapters(chapters);
+}
+
+function normaliseChapters(chapters) {
+    return chapters
+        .filter(chapter => chapter && chapter.toc !== false && Number.isFinite(parseDuration(chapter.startTime)))
+        .map(chapter => ({
+            start: parseDuration(chapter.startTime),
+            end: chapter.endTime !== undefined ? parseDuration(chapter.endTime) : null,
+            title: chapter.title || '',
+            image: chapter.img || null,
+            url: chapter.url || null
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// ===== Transcripts =====
+export function parseTranscript(content, type = 'text/plain') {
+    switch (type) {
+        case 'text/vtt':
+        case 'application/x-subrip':
+        case 'application/srt':
+            return parseTimedText(content);
+        case 'application/json':
+            return parseJsonTranscript(JSON.parse(content));
+        case 'text/html': {
+            const doc = new DOMParser().parseFromString(content, 'text/html');
+            return [{ start: null, end: null, speaker: null, text: doc.body.textContent.trim() }];
+        }
+        default:
+            return [{ start: null, end: null, speaker: null, text: content.trim() }];
+    }
+}
+
+function parseTimedText(content) {
+    const timing = /(\d{1,2}:)?(\d{1,2}):(\d{2})[.,](\d{3})\s*-->\s*(\d{1,2}:)?(\d{1,2}):(\d{2})[.,](\d{3})/;
+    const toSeconds = (h, m, s, ms) => (parseInt(h || '0', 10) * 3600) + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms, 10) / 1000;
+
+    return content
+        .replace(/\r/g, '')
+        .split(/\n{2,}/)
+        .map(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => timing.test(line));
+            if (timingIndex === -1) return null;
+
+            const match = timing.exec(lines[timingIndex]);
+            const raw = lines.slice(timingIndex + 1).join(' ').trim();
+            const voice = /^<v\s+([^>]+)>/.exec(raw);
+
+            return {
+                start: toSeconds(match[1] && match[1].slice(0, -1), match[2], match[3], match[4]),
+                end: toSeconds(match[5] && match[5].slice(0, -1), match[6], match[7], match[8]),
+                speaker: voice ? voice[1].trim() : null,
+                text: raw.replace(/<[^>]+>/g, '').trim()
+            };
+        })
+        .filter(cue => cue && cue.text);
+}
+
+function parseJsonTranscript(data) {
+    const segments = Array.isArray(data) ? data : data && data.segments;
+    if (!Array.isArray(segments)) {
+        throw new Error('Invalid transcript document');
+    }
+
+    return segments
+        .filter(segment => segment && segment.body)
+        .map(segment => ({
+            start: parseDuration(segment.startTime),
+            end: parseDuration(segment.endTime),
+            speaker: segment.speaker || null,
+            text: String(segment.body).trim()
+        }));
+}
+
+// ===== Helpers =====
+export function parseDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    // Accepts "3723", "62:03" and "1:02:03"
+    const parts = String(value).trim().split(':').map(Number);
+    if (parts.some(isNaN)) return null;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function guessTranscriptType(url = '') {
+    const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+    return {
+        vtt: 'text/vtt',
+        srt: 'application/x-subrip',
+        json: 'application/json',
+        html: 'text/html',
+        htm: 'text/html'
+    }[extension] || 'text/plain';
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url || !baseUrl) return url;
+
+    // Keep catalogue-style relative paths relative to the page, like playlist.json does
+    if (!/^[a-z]+:\/\//i.test(baseUrl)) return url;
+
+    try {
+        return new URL(url, baseUrl).href;
+    } catch {
+        return url;
+    }
+}
@@ -0,0 +1,505 @@
+/**
+ * Podcast Manager - Episode list, show notes, chapter markers and transcripts
+ * on top of the shared AudioPlayer
+ */
+
+import { loadPodcastFeed, parseChapters, parseTranscript } from './feed.js';
+
+export class PodcastManager {
+    constructor(player, config = {}) {
+        this.player = player;
+        this.config = {
+            feedUrl: config.feedUrl || 'data/podcasts.json',
+            category: config.category || 'podcasts',
+            // Going "back" within this many seconds of a chapter start jumps to the previous one
+            chapterRestartThreshold: config.chapterRestartThreshold ?? 3,
+            ...config
+        };
+
+        this.show = null;
+        this.episodes = [];
+        this.currentEpisode = null;
+        this.chapters = [];
+        this.transcript = [];
+        this.activeChapterIndex = -1;
+        this.activeCueIndex = -1;
+        this.markerDuration = 0;
+
+        this.chapterCache = new Map();
+        this.transcriptCache = new Map();
+
+        this.elements = {};
+        this.eventListeners = new Set();
+        this.isInitialized = false;
+    }
+
+    async init() {
+        this.findElements();
+        this.setupEventListeners();
+
+        try {
+            const { show, episodes } = await loadPodcastFeed(this.config.feedUrl);
+            this.show = show;
+            this.episodes = episodes;
+        } catch (error) {
+            console.error('Failed to load podcast feed:', error);
+            this.showError('Nie można załadować listy odcinków');
+            this.episodes = [];
+        }
+
+        this.renderEpisodes();
+        this.registerSearch();
+
+        // Pick up an episode that is already loaded, e.g. after a session restore
+        const currentTrack = this.player.getCurrentTrack();
+        if (currentTrack) {
+            this.onTrackChanged({ track: currentTrack });
+        }
+
+        this.isInitialized = true;
+        this.emit('initialized', { episodeCount: this.episodes.length });
+    }
+
+    findElements() {
+        const elementMap = {
+            panel: '#podcast-panel',
+            episodeList: '#podcast-episodes',
+            episodeTitle: '#podcast-episode-title',
+            description: '#podcast-description',
+            chapterControls: '#chapter-controls',
+            chapterPrevBtn: '#chapter-prev-btn',
+            chapterNextBtn: '#chapter-next-btn',
+            chapterTitle: '#current-chapter',
+            chapterList: '#podcast-chapters',
+            transcript: '#podcast-transcript'
+        };
+
+        for (const [key, selector] of Object.entries(elementMap)) {
+            this.elements[key] = document.querySelector(selector);
+        }
+    }
+
+    setupEventListeners() {
+        this.player.on('trackChanged', (data) => this.onTrackChanged(data));
+        this.player.on('timeupdate', (data) => this.onTimeUpdate(data));
+        this.player.on('offlineChanged', () => this.renderEpisodes());
+
+        if (this.elements.chapterPrevBtn) {
+            this.elements.chapterPrevBtn.addEventListener('click', () => this.prevChapter());
+        }
+
+        if (this.elements.chapterNextBtn) {
+            this.elements.chapterNextBtn.addEventListener('click', () => this.nextChapter());
+        }
+
+        // [ and ] skip chapters; arrows stay with the player
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (!this.currentEpisode || this.chapters.length === 0) return;
+
+            if (e.code === 'BracketLeft') {
+                e.preventDefault();
+                this.prevChapter();
+            } else if (e.code === 'BracketRight') {
+                e.preventDefault();
+                this.nextChapter();
+            }
+        });
+    }
+
+    // Episodes
+    renderEpisodes() {
+        const list = this.elements.episodeList;
+        if (!list) return;
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.toggle('hidden', this.episodes.length === 0);
+        }
+
+        list.innerHTML = this.episodes.map(episode => `
+            <li class="episode-item ${episode === this.currentEpisode ? 'active' : ''}" data-episode-id="${this.escapeHtml(episode.id)}">
+                <button class="episode-play" type="button" aria-label="Play ${this.escapeHtml(episode.title)}">
+                    <span class="episode-title">${this.escapeHtml(episode.title)}</span>
+                    ${episode.duration ? `<span class="episode-duration">${this.player.formatTime(episode.duration)}</span>` : ''}
+                </button>
+                ${this.renderDownloadButton(episode)}
+                ${episode.description ? `<p class="episode-description">${this.escapeHtml(episode.description)}</p>` : ''}
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.episode-item').forEach(item => {
+            item.querySelector('.episode-play').addEventListener('click', () => {
+                this.playEpisode(item.getAttribute('data-episode-id'));
+            });
+
+            const download = item.querySelector('.episode-download');
+            if (download) {
+                download.addEventListener('click', () => this.toggleDownload(item.getAttribute('data-episode-id')));
+            }
+        });
+    }
+
+    renderDownloadButton(episode) {
+        if (typeof this.player.canDownload !== 'function' || !this.player.canDownload()) return '';
+
+        const track = this.toTrack(episode);
+        const isDownloaded = this.player.isTrackDownloaded(track);
+        const isDownloading = this.player.offline.isDownloading(track.file);
+
+        return `
+                <button class="track-action episode-download ${isDownloaded ? 'is-downloaded' : ''}" type="button"
+                        title="${isDownloaded ? 'Usuń z pamięci offline' : 'Pobierz odcinek offline'}"
+                        aria-pressed="${isDownloaded}"
+                        aria-label="Download: ${this.escapeHtml(episode.title)}"
+                        ${isDownloading ? 'disabled' : ''}>${isDownloaded ? '✓' : isDownloading ? '…' : '⤓'}</button>`;
+    }
+
+    toggleDownload(id) {
+        const episode = this.episodes.find(item => item.id === id);
+        if (!episode) return null;
+
+        return this.player.toggleDownload(this.toTrack(episode));
+    }
+
+    toTrack(episode) {
+        return {
+            id: `${this.config.category}_${episode.id}`,
+            file: episode.file,
+            category: this.config.category,
+            metadata: {
+                title: episode.title,
+                artist: this.show ? this.show.author : 'Radio Adamowo',
+                album: this.show ? this.show.title : 'Radio Adamowo',
+                description: episode.description,
+                duration: episode.duration ? this.player.formatTime(episode.duration) : undefined,
+                duration_seconds: episode.duration || undefined,
+                artwork: episode.artwork || undefined
+            }
+        };
+    }
+
+    registerSearch() {
+        // Episodes become searchable in the player's track list, show notes included
+        if (typeof this.player.registerSearchItems === 'function') {
+            this.player.registerSearchItems(this.config.category, this.episodes.map(episode => this.toTrack(episode)));
+        }
+    }
+
+    async playEpisode(id) {
+        const episode = this.episodes.find(item => item.id === id);
+        if (!episode) {
+            console.warn(`Episode not found: ${id}`);
+            return;
+        }
+
+        this.player.setCurrentTrack(this.toTrack(episode), { crossfade: true });
+
+        if (!this.player.isPlaying) {
+            await this.player.play();
+        }
+
+        this.emit('episodePlayed', { episode });
+    }
+
+    findEpisodeForTrack(track) {
+        if (!track || track.category !== this.config.category) return null;
+        return this.episodes.find(episode => episode.file === track.file) || null;
+    }
+
+    async onTrackChanged({ track }) {
+        const episode = this.findEpisodeForTrack(track);
+        if (episode === this.currentEpisode) return;
+
+        this.currentEpisode = episode;
+        this.chapters = [];
+        this.transcript = [];
+        this.activeChapterIndex = -1;
+        this.activeCueIndex = -1;
+        this.markerDuration = 0;
+
+        this.renderEpisodes();
+        this.renderEpisodeDetails();
+        this.renderChapterMarkers();
+        this.renderTranscript();
+
+        if (!episode) return;
+
+        const [chapters, transcript] = await Promise.all([
+            this.loadChapters(episode),
+            this.loadTranscript(episode)
+        ]);
+
+        // Another track may have started while the documents were loading
+        if (episode !== this.currentEpisode) return;
+
+        this.chapters = chapters;
+        this.transcript = transcript;
+
+        this.renderEpisodeDetails();
+        this.renderChapterMarkers();
+        this.renderTranscript();
+
+        this.emit('episodeChanged', { episode, chapters, transcript });
+    }
+
+    renderEpisodeDetails() {
+        const episode = this.currentEpisode;
+
+        if (this.elements.episodeTitle) {
+            this.elements.episodeTitle.textContent = episode ? episode.title : '';
+        }
+
+        if (this.elements.description) {
+            this.elements.description.textContent = episode ? episode.description : '';
+        }
+
+        if (this.elements.chapterControls) {
+            this.elements.chapterControls.classList.toggle('hidden', this.chapters.length === 0);
+        }
+
+        if (this.elements.chapterList) {
+            this.elements.chapterList.innerHTML = this.chapters.map((chapter, index) => `
+                <li class="chapter-item ${index === this.activeChapterIndex ? 'active' : ''}">
+                    <button type="button" class="chapter-link" data-chapter-index="${index}">
+                        <span class="chapter-time">${this.player.formatTime(chapter.start)}</span>
+                        <span class="chapter-name">${this.escapeHtml(chapter.title)}</span>
+                    </button>
+                </li>
+            `).join('');
+
+            this.elements.chapterList.querySelectorAll('.chapter-link').forEach(btn => {
+                btn.addEventListener('click', () => this.seekToChapter(parseInt(btn.getAttribute('data-chapter-index'))));
+            });
+        }
+    }
+
+    // Chapters
+    async loadChapters(episode) {
+        if (episode.chapters) return episode.chapters;
+        if (!episode.chaptersUrl) return [];
+
+        if (!this.chapterCache.has(episode.chaptersUrl)) {
+            try {
+                const response = await fetch(episode.chaptersUrl);
+                if (!response.ok) {
+                    throw new Error(`Failed to load chapters: ${response.status}`);
+                }
+                this.chapterCache.set(episode.chaptersUrl, parseChapters(await response.json()));
+            } catch (error) {
+                console.warn('Chapters unavailable:', error);
+                return [];
+            }
+        }
+
+        return this.chapterCache.get(episode.chaptersUrl);
+    }
+
+    renderChapterMarkers(duration = this.getDuration()) {
+        const progressBar = this.player.elements.progressBar;
+        if (!progressBar) return;
+
+        progressBar.querySelectorAll('.chapter-marker').forEach(marker => marker.remove());
+        this.markerDuration = duration || 0;
+
+        if (!duration || this.chapters.length === 0) return;
+
+        this.chapters.forEach((chapter, index) => {
+            if (chapter.start <= 0 || chapter.start >= duration) return;
+
+            const marker = document.createElement('span');
+            marker.className = 'chapter-marker';
+            marker.style.left = `${(chapter.start / duration) * 100}%`;
+            marker.title = `${this.player.formatTime(chapter.start)} ${chapter.title}`;
+            marker.setAttribute('data-chapter-index', index);
+            marker.setAttribute('aria-hidden', 'true');
+            progressBar.appendChild(marker);
+        });
+    }
+
+    getDuration() {
+        const audio = this.player.elements.audioElement;
+        if (audio && isFinite(audio.duration) && audio.duration > 0) return audio.duration;
+        return this.currentEpisode ? this.currentEpisode.duration : 0;
+    }
+
+    getChapterIndexAt(time) {
+        for (let i = this.chapters.length - 1; i >= 0; i--) {
+            if (time >= this.chapters[i].start) return i;
+        }
+        return -1;
+    }
+
+    seekToChapter(index) {
+        const chapter = this.chapters[index];
+        const audio = this.player.elements.audioElement;
+        if (!chapter || !audio) return;
+
+        this.player.seekRelative(chapter.start - audio.currentTime);
+        this.emit('chapterSkipped', { chapter, index });
+    }
+
+    nextChapter() {
+        const audio = this.player.elements.audioElement;
+        if (!audio) return;
+
+        const next = this.getChapterIndexAt(audio.currentTime) + 1;
+        if (next < this.chapters.length) {
+            this.seekToChapter(next);
+        }
+    }
+
+    prevChapter() {
+        const audio = this.player.elements.audioElement;
+        if (!audio) return;
+
+        const current = this.getChapterIndexAt(audio.currentTime);
+        if (current === -1) return;
+
+        const intoChapter = audio.currentTime - this.chapters[current].start;
+        this.seekToChapter(intoChapter > this.config.chapterRestartThreshold ? current : Math.max(0, current - 1));
+    }
+
+    // Transcripts
+    async loadTranscript(episode) {
+        if (!episode.transcript) return [];
+
+        const { url, type } = episode.transcript;
+        if (!this.transcriptCache.has(url)) {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load transcript: ${response.status}`);
+                }
+                this.transcriptCache.set(url, parseTranscript(await response.text(), type));
+            } catch (error) {
+                console.warn('Transcript unavailable:', error);
+                return [];
+            }
+        }
+
+        return this.transcriptCache.get(url);
+    }
+
+    renderTranscript() {
+        const container = this.elements.transcript;
+        if (!container) return;
+
+        container.classList.toggle('hidden', this.transcript.length === 0);
+
+        container.innerHTML = this.transcript.map((cue, index) => `
+            <p class="transcript-cue ${cue.start !== null ? 'timed' : ''}" data-cue-index="${index}">
+                ${cue.start !== null ? `<button type="button" class="transcript-time">${this.player.formatTime(cue.start)}</button>` : ''}
+                ${cue.speaker ? `<strong class="transcript-speaker">${this.escapeHtml(cue.speaker)}:</strong>` : ''}
+                <span class="transcript-text">${this.escapeHtml(cue.text)}</span>
+            </p>
+        `).join('');
+
+        container.querySelectorAll('.transcript-time').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const cue = this.transcript[parseInt(btn.closest('.transcript-cue').getAttribute('data-cue-index'))];
+                const audio = this.player.elements.audioElement;
+                if (cue && audio) {
+                    this.player.seekRelative(cue.start - audio.currentTime);
+                }
+            });
+        });
+    }
+
+    getCueIndexAt(time) {
+        return this.transcript.findIndex(cue =>
+            cue.start !== null && time >= cue.start && (cue.end === null || time < cue.end)
+        );
+    }
+
+    onTimeUpdate({ currentTime, duration }) {
+        if (!this.currentEpisode) return;
+
+        // Real duration arrives with metadata and may differ from the feed's estimate
+        if (isFinite(duration) && duration > 0 && Math.abs(duration - this.markerDuration) > 1) {
+            this.renderChapterMarkers(duration);
+        }
+
+        const chapterIndex = this.getChapterIndexAt(currentTime);
+        if (chapterIndex !== this.activeChapterIndex) {
+            this.activeChapterIndex = chapterIndex;
+            const chapter = this.chapters[chapterIndex];
+
+            if (this.elements.chapterTitle) {
+                this.elements.chapterTitle.textContent = chapter ? chapter.title : '';
+            }
+
+            if (this.elements.chapterList) {
+                this.elements.chapterList.querySelectorAll('.chapter-item').forEach((item, index) => {
+                    item.classList.toggle('active', index === chapterIndex);
+                });
+            }
+
+            if (chapter) {
+                this.emit('chapterChanged', { chapter, index: chapterIndex });
+            }
+        }
+
+        const cueIndex = this.getCueIndexAt(currentTime);
+        if (cueIndex !== this.activeCueIndex && this.elements.transcript) {
+            const previous = this.elements.transcript.querySelector('.transcript-cue.active');
+            if (previous) previous.classList.remove('active');
+
+            const active = this.elements.transcript.querySelector(`[data-cue-index="${cueIndex}"]`);
+            if (active) {
+                active.classList.add('active');
+                active.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+
+            this.activeCueIndex = cueIndex;
+        }
+    }
+
+    // Helpers
+    escapeHtml(text) {
+        return this.player.escapeHtml(text);
+    }
+
+    showError(message) {
+        this.emit('error', { message });
+    }
+
+    // Event system
+    on(event, callback) {
+        this.eventListeners.add({ event, callback });
+    }
+
+    off(event, callback) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event && listener.callback === callback) {
+                this.eventListeners.delete(listener);
+            }
+        });
+    }
+
+    emit(event, data) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event) {
+                try {
+                    listener.callback(data);
+                } catch (error) {
+                    console.error('Error in podcast manager event listener:', error);
+                }
+            }
+        });
+    }
+
+    // Public API
+    getEpisodes() {
+        return this.episodes;
+    }
+
+    getCurrentEpisode() {
+        return this.currentEpisode;
+    }
+
+    getChapters() {
+        return this.chapters;
+    }
+}
+
+export default PodcastManager;
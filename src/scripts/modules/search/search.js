@@ -0,0 +1,183 @@
+/**
+ * Search Index - Fuzzy, diacritic-insensitive search over tracks and podcast
+ * episodes (title, artist, album, category, mood tags, description)
+ *
+ * Every query word has to match some field: exactly, as a prefix, as a
+ * substring or within a small edit distance. "zolw", "żółw" and "zółw" are the
+ * same query.
+ */
+
+// Relative importance of each field in the score
+export const SEARCH_FIELDS = {
+    title: 3,
+    artist: 2,
+    album: 1.5,
+    tags: 1.5,
+    category: 1,
+    description: 0.5
+};
+
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    substring: 0.6,
+    fuzzy: 0.4
+};
+
+export function normaliseText(text) {
+    // NFD strips accents from ą ę ó ś ć ń ź ż; ł has no decomposition
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/ł/g, 'l')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+export function tokenize(text) {
+    const normalised = normaliseText(text);
+    return normalised ? normalised.split(' ') : [];
+}
+
+// Damerau-Levenshtein distance with an early exit once `limit` is exceeded
+export function editDistance(a, b, limit = 2) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+
+            current[j] = value;
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+
+        if (rowMinimum > limit) return limit + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function matchToken(queryToken, field) {
+    let best = 0;
+
+    for (const token of field.tokens) {
+        if (token === queryToken) return MATCH_SCORES.exact;
+        if (token.startsWith(queryToken)) {
+            best = Math.max(best, MATCH_SCORES.prefix);
+        } else if (queryToken.length >= 4) {
+            // Allow one typo in short words and two in long ones
+            const limit = queryToken.length >= 7 ? 2 : 1;
+            const target = token.length > queryToken.length ? token.slice(0, queryToken.length) : token;
+            if (editDistance(queryToken, target, limit) <= limit) {
+                best = Math.max(best, MATCH_SCORES.fuzzy);
+            }
+        }
+    }
+
+    if (best < MATCH_SCORES.substring && queryToken.length >= 3 && field.text.includes(queryToken)) {
+        best = MATCH_SCORES.substring;
+    }
+
+    return best;
+}
+
+export class SearchIndex {
+    constructor(config = {}) {
+        this.config = {
+            fields: { ...SEARCH_FIELDS, ...(config.fields || {}) },
+            limit: config.limit || 50,
+            ...config
+        };
+
+        // Items grouped by source ("playlist", "podcasts", ...) so each can be replaced on its own
+        this.sources = new Map();
+    }
+
+    setItems(source, items) {
+        this.sources.set(source, items.map(item => this.prepare(item)));
+    }
+
+    removeSource(source) {
+        this.sources.delete(source);
+    }
+
+    get size() {
+        let size = 0;
+        this.sources.forEach(items => { size += items.length; });
+        return size;
+    }
+
+    prepare(item) {
+        // item: { id, type, track, title, artist, album, category, tags, description }
+        const fields = {};
+
+        Object.keys(this.config.fields).forEach(name => {
+            const value = Array.isArray(item[name]) ? item[name].join(' ') : item[name];
+            const text = normaliseText(value);
+            if (text) {
+                fields[name] = { text, tokens: text.split(' ') };
+            }
+        });
+
+        return { item, fields };
+    }
+
+    search(query, options = {}) {
+        const queryTokens = tokenize(query);
+        if (queryTokens.length === 0) return [];
+
+        const { type = null, category = null, limit = this.config.limit } = options;
+        const results = [];
+
+        this.sources.forEach(entries => {
+            entries.forEach(({ item, fields }) => {
+                if (type && item.type !== type) return;
+                if (category && item.category !== category) return;
+
+                let score = 0;
+                const matchedFields = new Set();
+
+                for (const queryToken of queryTokens) {
+                    let best = 0;
+                    let bestField = null;
+
+                    Object.entries(fields).forEach(([name, field]) => {
+                        const value = matchToken(queryToken, field) * this.config.fields[name];
+                        if (value > best) {
+                            best = value;
+                            bestField = name;
+                        }
+                    });
+
+                    // Every word must match somewhere
+                    if (best === 0) return;
+
+                    score += best;
+                    matchedFields.add(bestField);
+                }
+
+                results.push({ item, score, matchedFields: Array.from(matchedFields) });
+            });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+export default SearchIndex;
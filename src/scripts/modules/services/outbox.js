@@ -0,0 +1,174 @@
+/**
+ * Outbox Client - Page side of the service worker outbox
+ *
+ * POSTs sent through send() carry an X-Outbox-Kind header (and optionally
+ * X-Outbox-Key to deduplicate). When the network fails, the worker stores
+ * them in IndexedDB, answers 202 { status: 'queued' } and replays them on
+ * the next background sync. OUTBOX_* messages keep the page up to date.
+ */
+
+export class OutboxClient {
+    constructor(config = {}) {
+        this.config = {
+            // Browsers without Background Sync only replay when asked
+            flushOnOnline: true,
+            ...config
+        };
+
+        this.status = { pending: 0, failed: 0, entries: [] };
+        this.eventListeners = new Set();
+        this.isInitialized = false;
+
+        this.onOnline = this.onOnline.bind(this);
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof indexedDB !== 'undefined';
+    }
+
+    async init() {
+        navigator.serviceWorker.addEventListener('message', (event) => this.onWorkerMessage(event));
+        if (this.config.flushOnOnline) {
+            window.addEventListener('online', this.onOnline);
+        }
+
+        await this.refresh();
+
+        // Requests queued in an earlier visit go out as soon as the page is back
+        if (navigator.onLine && this.status.pending > 0) {
+            this.flush();
+        }
+
+        this.isInitialized = true;
+        this.emit('initialized', { status: this.status });
+    }
+
+    async send(url, { kind, key = null, body = null, headers = {}, keepalive = false } = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Outbox-Kind': kind,
+                // Header values must be Latin-1, so keys with user text are encoded
+                ...(key ? { 'X-Outbox-Key': encodeURIComponent(key) } : {}),
+                ...headers
+            },
+            body: typeof body === 'string' ? body : JSON.stringify(body),
+            credentials: 'same-origin',
+            keepalive
+        });
+
+        const queued = response.headers.get('X-Outbox-Queued') === 'true';
+        if (queued) {
+            this.emit('queued', { kind, key, url });
+        }
+
+        return { queued, response };
+    }
+
+    onOnline() {
+        if (this.status.pending > 0) {
+            this.flush();
+        }
+    }
+
+    onWorkerMessage(event) {
+        const { type, data } = event.data || {};
+
+        switch (type) {
+            case 'OUTBOX_STATUS':
+                this.setStatus(data);
+                break;
+            case 'OUTBOX_SENT':
+                this.emit('sent', data);
+                break;
+            case 'OUTBOX_FAILED':
+                this.emit('failed', data);
+                break;
+        }
+    }
+
+    setStatus(status) {
+        if (!status) return;
+
+        this.status = status;
+        this.emit('status', status);
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    // ===== Worker commands =====
+    async refresh() {
+        return this.command('GET_OUTBOX_STATUS');
+    }
+
+    async flush() {
+        return this.command('FLUSH_OUTBOX');
+    }
+
+    async retry(id) {
+        return this.command('RETRY_OUTBOX', { id });
+    }
+
+    async discard(id) {
+        return this.command('DISCARD_OUTBOX', { id });
+    }
+
+    async command(type, data = {}) {
+        try {
+            this.setStatus(await this.postMessage(type, data));
+        } catch (error) {
+            console.warn('Outbox unavailable:', error);
+        }
+        return this.status;
+    }
+
+    // ===== Service worker messaging =====
+    async getWorker() {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const worker = registration && (registration.active || registration.waiting || registration.installing);
+        if (!worker) {
+            throw new Error('Service worker is not available');
+        }
+        return worker;
+    }
+
+    async postMessage(type, data) {
+        const worker = await this.getWorker();
+
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (event) => resolve(event.data || null);
+            worker.postMessage({ type, data }, [channel.port2]);
+        });
+    }
+
+    // Event system
+    on(event, callback) {
+        this.eventListeners.add({ event, callback });
+    }
+
+    off(event, callback) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event && listener.callback === callback) {
+                this.eventListeners.delete(listener);
+            }
+        });
+    }
+
+    emit(event, data) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event) {
+                try {
+                    listener.callback(data);
+                } catch (error) {
+                    console.error('Error in outbox event listener:', error);
+                }
+            }
+        });
+    }
+}
+
+export default OutboxClient;
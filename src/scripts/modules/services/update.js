@@ -0,0 +1,228 @@
+/**
+ * Update Manager - Notices a new service worker version and swaps it in
+ * without cutting off what is playing
+ *
+ * A new build installs next to the running worker and waits. The listener
+ * gets a toast offering to reload; if audio is playing at that moment the
+ * switch (SKIP_WAITING, then a reload on controllerchange) waits until
+ * playback pauses or ends.
+ */
+
+import { UtilsManager } from '../utils/helpers.js';
+
+export class UpdateManager {
+    constructor(config = {}) {
+        this.config = {
+            // Checking again while the page stays open (e.g. an installed app left running)
+            checkInterval: 60 * 60 * 1000,
+            versionSelector: '#app-version',
+            // Anything that reports whether audio is playing; defaults to the page's media elements
+            isPlaying: null,
+            ...config
+        };
+
+        this.utils = this.config.utils || new UtilsManager();
+        this.registration = null;
+        this.version = null;
+        this.isUpdateAvailable = false;
+        this.isActivationPending = false;
+        this.isReloadPending = false;
+        this.isReloading = false;
+        this.hasController = false;
+        this.checkTimer = null;
+        this.eventListeners = new Set();
+
+        this.onPlaybackStopped = this.onPlaybackStopped.bind(this);
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    init(registration) {
+        this.registration = registration;
+
+        // No controller yet means this is the first install, not an update
+        this.hasController = Boolean(navigator.serviceWorker.controller);
+
+        if (registration.waiting && this.hasController) {
+            this.onUpdateReady(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady(worker);
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => this.onControllerChange());
+
+        // Media events do not bubble, so they are caught on the way down
+        document.addEventListener('pause', this.onPlaybackStopped, true);
+        document.addEventListener('ended', this.onPlaybackStopped, true);
+
+        if (this.config.checkInterval > 0) {
+            this.checkTimer = setInterval(() => this.checkForUpdate(), this.config.checkInterval);
+        }
+
+        this.refreshVersion();
+    }
+
+    async checkForUpdate() {
+        if (!this.registration) return;
+
+        try {
+            await this.registration.update();
+        } catch (error) {
+            console.warn('Service worker update check failed:', error);
+        }
+    }
+
+    isPlaying() {
+        if (typeof this.config.isPlaying === 'function') {
+            return Boolean(this.config.isPlaying());
+        }
+
+        return Array.from(document.querySelectorAll('audio, video'))
+            .some(media => !media.paused && !media.ended);
+    }
+
+    onUpdateReady(worker) {
+        if (this.isUpdateAvailable) return;
+
+        this.isUpdateAvailable = true;
+        this.emit('updateAvailable', { worker });
+
+        this.utils.showToast('Dostępna jest nowa wersja Radia Adamowo', 'info', 0, {
+            action: {
+                label: 'Odśwież',
+                onClick: () => this.applyUpdate()
+            }
+        });
+    }
+
+    applyUpdate() {
+        const worker = this.registration && this.registration.waiting;
+        if (!worker) return;
+
+        if (this.isPlaying()) {
+            this.isActivationPending = true;
+            this.utils.showToast('Aktualizacja zostanie zainstalowana po zatrzymaniu odtwarzania', 'info', 5000);
+            this.emit('updateDeferred', { worker });
+            return;
+        }
+
+        this.isActivationPending = false;
+        this.isReloading = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    onPlaybackStopped() {
+        // A pause event fires before the next track starts; the check waits for the state to settle
+        if (!this.isActivationPending && !this.isReloadPending) return;
+
+        setTimeout(() => {
+            if (this.isPlaying()) return;
+
+            if (this.isReloadPending) {
+                this.reload();
+            } else if (this.isActivationPending) {
+                this.applyUpdate();
+            }
+        }, 0);
+    }
+
+    onControllerChange() {
+        // The first install claiming the page needs no reload
+        if (!this.hasController) {
+            this.hasController = true;
+            this.refreshVersion();
+            return;
+        }
+
+        // Another tab may have activated the update; this page then reloads once playback stops
+        if (!this.isReloading && this.isPlaying()) {
+            this.isReloadPending = true;
+            return;
+        }
+
+        this.reload();
+    }
+
+    reload() {
+        this.isReloadPending = false;
+        this.isReloading = true;
+        window.location.reload();
+    }
+
+    // ===== Version =====
+    async refreshVersion() {
+        const status = await this.getCacheStatus();
+        this.version = status ? status.cacheVersion : null;
+        this.renderVersion();
+        this.emit('versionChanged', { version: this.version });
+        return this.version;
+    }
+
+    async getCacheStatus() {
+        const worker = navigator.serviceWorker.controller || (this.registration && this.registration.active);
+        if (!worker) return null;
+
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            // An old worker that never answers must not leave the version empty forever
+            const timeout = setTimeout(() => resolve(null), 3000);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timeout);
+                resolve(event.data || null);
+            };
+            worker.postMessage({ type: 'GET_CACHE_STATUS' }, [channel.port2]);
+        });
+    }
+
+    renderVersion() {
+        const element = document.querySelector(this.config.versionSelector);
+        if (element) {
+            element.textContent = this.version || '—';
+        }
+    }
+
+    destroy() {
+        clearInterval(this.checkTimer);
+        document.removeEventListener('pause', this.onPlaybackStopped, true);
+        document.removeEventListener('ended', this.onPlaybackStopped, true);
+        this.eventListeners.clear();
+    }
+
+    // Event system
+    on(event, callback) {
+        this.eventListeners.add({ event, callback });
+    }
+
+    off(event, callback) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event && listener.callback === callback) {
+                this.eventListeners.delete(listener);
+            }
+        });
+    }
+
+    emit(event, data) {
+        this.eventListeners.forEach(listener => {
+            if (listener.event === event) {
+                try {
+                    listener.callback(data);
+                } catch (error) {
+                    console.error('Error in update manager event listener:', error);
+                }
+            }
+        });
+    }
+}
+
+export default UpdateManager;
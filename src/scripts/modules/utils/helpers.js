@@ -49,7 +49,8 @@ export class UtilsManager {
     }
     
     // Toast notifications
-    showToast(message, type = 'info', duration = 3000) {
+    // options.action = { label, onClick } adds a button that runs onClick and closes the toast
+    showToast(message, type = 'info', duration = 3000, options = {}) {
         if (!this.toastContainer) {
             this.setupToastContainer();
         }
@@ -60,9 +61,11 @@ export class UtilsManager {
             'role': 'alert'
         });
         
+        const { action } = options;
         toast.innerHTML = `
             <div class="toast-content">
                 <span class="toast-message">${this.escapeHtml(message)}</span>
+                ${action ? `<button class="toast-action" type="button">${this.escapeHtml(action.label)}</button>` : ''}
                 <button class="toast-close" aria-label="Close notification">×</button>
             </div>
         `;
@@ -71,6 +74,13 @@ export class UtilsManager {
         const closeBtn = toast.querySelector('.toast-close');
         closeBtn.addEventListener('click', () => this.removeToast(toast));
         
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                this.removeToast(toast);
+                action.onClick();
+            });
+        }
+        
         // Add to container
         this.toastContainer.appendChild(toast);
         
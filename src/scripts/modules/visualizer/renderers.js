@@ -0,0 +1,203 @@
+/**
+ * Visualizer Renderers - Drawing routines for the visualizer canvas
+ *
+ * A renderer is { label, dataType: 'frequency' | 'time', draw(ctx, data, frame),
+ * drawStatic?(ctx, frame), reset?() }. `frame` carries { width, height, time,
+ * colors }; `data` is the analyser's Uint8Array for the renderer's data type.
+ */
+
+export const DEFAULT_COLORS = {
+    primary: '#ff8c42',
+    secondary: '#4ecdc4',
+    background: 'rgba(0, 0, 0, 0)'
+};
+
+function clear(ctx, frame) {
+    ctx.clearRect(0, 0, frame.width, frame.height);
+}
+
+// Soft spectrum shape used for static (reduced motion) frames
+export function syntheticSpectrum(length, dataType = 'frequency') {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        const position = i / length;
+        data[i] = dataType === 'time'
+            ? 128 + Math.round(48 * Math.sin(position * Math.PI * 6) * (1 - position))
+            : Math.round(200 * Math.pow(1 - position, 1.6));
+    }
+    return data;
+}
+
+// ===== Bars =====
+const bars = {
+    label: 'Słupki',
+    dataType: 'frequency',
+
+    draw(ctx, data, frame) {
+        clear(ctx, frame);
+
+        // The top of the spectrum is mostly empty at 44.1 kHz; skip the last quarter
+        const count = Math.floor(data.length * 0.75);
+        const barWidth = frame.width / count;
+
+        for (let i = 0; i < count; i++) {
+            const value = data[i] / 255;
+            const barHeight = value * frame.height * 0.9;
+            ctx.globalAlpha = 0.35 + value * 0.5;
+            ctx.fillStyle = i / count < 0.5 ? frame.colors.primary : frame.colors.secondary;
+            ctx.fillRect(i * barWidth, frame.height - barHeight, Math.max(1, barWidth - 1), barHeight);
+        }
+
+        ctx.globalAlpha = 1;
+    }
+};
+
+// ===== Waveform / oscilloscope =====
+const waveform = {
+    label: 'Oscyloskop',
+    dataType: 'time',
+
+    draw(ctx, data, frame) {
+        clear(ctx, frame);
+
+        const step = frame.width / (data.length - 1);
+        const middle = frame.height / 2;
+
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = frame.colors.secondary;
+        ctx.beginPath();
+
+        for (let i = 0; i < data.length; i++) {
+            const y = middle + ((data[i] - 128) / 128) * middle * 0.9;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * step, y);
+            }
+        }
+
+        ctx.stroke();
+    }
+};
+
+// ===== Radial spectrum along the infinity motif =====
+const infinity = {
+    label: 'Nieskończoność',
+    dataType: 'frequency',
+
+    draw(ctx, data, frame) {
+        clear(ctx, frame);
+
+        // Lemniscate of Bernoulli, the same figure-eight as components/infinity.svg
+        const scale = Math.min(frame.width / 2.4, frame.height / 1.2) * 0.8;
+        const centerX = frame.width / 2;
+        const centerY = frame.height / 2;
+        const count = Math.floor(data.length * 0.75);
+        const rotation = frame.time / 8000;
+
+        const point = (t) => {
+            const denominator = 1 + Math.sin(t) ** 2;
+            return {
+                x: centerX + (scale * Math.cos(t)) / denominator,
+                y: centerY + (scale * Math.sin(t) * Math.cos(t)) / denominator
+            };
+        };
+
+        // Faint outline of the symbol itself
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = frame.colors.primary;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        for (let i = 0; i <= 120; i++) {
+            const { x, y } = point((i / 120) * Math.PI * 2);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        // Spectrum spikes pointing away from the centre, spread over both loops
+        ctx.lineWidth = Math.max(1, (scale * 4) / count);
+        for (let i = 0; i < count * 2; i++) {
+            const value = data[i % count] / 255;
+            const t = (i / (count * 2)) * Math.PI * 2 + rotation;
+            const { x, y } = point(t);
+            const dx = x - centerX;
+            const dy = y - centerY;
+            const distance = Math.hypot(dx, dy) || 1;
+            const length = value * scale * 0.35;
+
+            ctx.globalAlpha = 0.3 + value * 0.6;
+            ctx.strokeStyle = i % 2 === 0 ? frame.colors.primary : frame.colors.secondary;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + (dx / distance) * length, y + (dy / distance) * length);
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+    }
+};
+
+// ===== Spectrogram =====
+const spectrogram = {
+    label: 'Spektrogram',
+    dataType: 'frequency',
+    // Scrolls its own history, so the canvas must not be cleared between frames
+    persistent: true,
+
+    draw(ctx, data, frame) {
+        const columnWidth = 2;
+        const count = Math.floor(data.length * 0.75);
+        const rowHeight = frame.height / count;
+
+        // Shift the history one column left and paint the newest column on the right
+        ctx.drawImage(ctx.canvas, -columnWidth, 0);
+        ctx.clearRect(frame.width - columnWidth, 0, columnWidth, frame.height);
+
+        for (let i = 0; i < count; i++) {
+            const value = data[i] / 255;
+            if (value === 0) continue;
+
+            // Low frequencies at the bottom; hue runs from teal (quiet) to orange (loud)
+            ctx.fillStyle = `hsla(${Math.round(175 - value * 150)}, 80%, ${Math.round(25 + value * 35)}%, ${0.2 + value * 0.7})`;
+            ctx.fillRect(frame.width - columnWidth, frame.height - (i + 1) * rowHeight, columnWidth, Math.ceil(rowHeight));
+        }
+    },
+
+    drawStatic(ctx, frame) {
+        clear(ctx, frame);
+
+        const gradient = ctx.createLinearGradient(0, frame.height, 0, 0);
+        gradient.addColorStop(0, frame.colors.primary);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, frame.width, frame.height);
+        ctx.globalAlpha = 1;
+    }
+};
+
+const renderers = new Map([
+    ['bars', bars],
+    ['waveform', waveform],
+    ['infinity', infinity],
+    ['spectrogram', spectrogram]
+]);
+
+export function registerRenderer(id, renderer) {
+    if (!renderer || typeof renderer.draw !== 'function') {
+        throw new Error(`Renderer "${id}" must provide a draw() function`);
+    }
+
+    renderers.set(id, { label: id, dataType: 'frequency', ...renderer });
+}
+
+export function getRenderer(id) {
+    return renderers.get(id) || null;
+}
+
+export function getRenderers() {
+    return Array.from(renderers, ([id, renderer]) => ({ id, label: renderer.label }));
+}
+
+export default getRenderer;
@@ -0,0 +1,274 @@
+/**
+ * Visualizer - Drives a canvas from an AnalyserNode with a pluggable renderer,
+ * throttling itself while the tab is hidden and falling back to a static frame
+ * when the user prefers reduced motion
+ *
+ * Loaded as a module by the AudioPlayer class and through import() by the
+ * legacy scripts.
+ */
+
+import { DEFAULT_COLORS, getRenderer, getRenderers, syntheticSpectrum } from './renderers.js';
+
+export { registerRenderer, getRenderers } from './renderers.js';
+
+export class Visualizer {
+    constructor(config = {}) {
+        if (!config.canvas) {
+            throw new Error('Visualizer requires a canvas');
+        }
+
+        this.config = {
+            renderer: 'bars',
+            storageKey: config.storageKey || 'radio-adamowo-visualizer',
+            maxFps: 60,
+            // 0 pauses drawing entirely while the tab is hidden
+            hiddenFps: 0,
+            // Canvas size follows the element unless set to 'window'
+            sizeTo: 'element',
+            colors: { ...DEFAULT_COLORS, ...(config.colors || {}) },
+            onChange: () => {},
+            ...config
+        };
+
+        this.canvas = config.canvas;
+        this.context = this.canvas.getContext('2d');
+        this.analyser = config.analyser || null;
+        this.buffers = {};
+
+        this.rendererId = this.loadRenderer();
+        this.isRunning = false;
+        this.frameId = null;
+        this.timeoutId = null;
+        this.lastFrameTime = 0;
+
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleMotionChange = this.handleMotionChange.bind(this);
+        this.resize = this.resize.bind(this);
+        this.frame = this.frame.bind(this);
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('resize', this.resize);
+        if (this.motionQuery && this.motionQuery.addEventListener) {
+            this.motionQuery.addEventListener('change', this.handleMotionChange);
+        }
+
+        this.resize();
+    }
+
+    get renderer() {
+        return getRenderer(this.rendererId);
+    }
+
+    prefersReducedMotion() {
+        return Boolean(this.motionQuery && this.motionQuery.matches);
+    }
+
+    setAnalyser(analyser) {
+        this.analyser = analyser;
+        this.buffers = {};
+    }
+
+    // ===== Renderers =====
+    getRenderers() {
+        return getRenderers();
+    }
+
+    setRenderer(id) {
+        const renderer = getRenderer(id);
+        if (!renderer) {
+            throw new Error(`Unknown visualizer: ${id}`);
+        }
+
+        this.rendererId = id;
+        if (renderer.reset) renderer.reset();
+        this.saveRenderer();
+        this.clear();
+
+        if (!this.isRunning || this.prefersReducedMotion()) {
+            this.renderIdle();
+        }
+
+        this.config.onChange(id);
+    }
+
+    loadRenderer() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (stored && getRenderer(stored)) return stored;
+        } catch (error) {
+            console.warn('Failed to load visualizer setting:', error);
+        }
+
+        return getRenderer(this.config.renderer) ? this.config.renderer : 'bars';
+    }
+
+    saveRenderer() {
+        try {
+            localStorage.setItem(this.config.storageKey, this.rendererId);
+        } catch (error) {
+            console.warn('Failed to save visualizer setting:', error);
+        }
+    }
+
+    // ===== Loop =====
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        if (this.prefersReducedMotion()) {
+            this.renderStatic();
+            return;
+        }
+
+        this.schedule();
+    }
+
+    stop() {
+        this.isRunning = false;
+        this.cancel();
+        this.renderIdle();
+    }
+
+    schedule() {
+        this.cancel();
+        if (!this.isRunning || this.prefersReducedMotion()) return;
+
+        if (document.hidden) {
+            // requestAnimationFrame barely runs in background tabs; keep a slow timer only if asked to
+            if (this.config.hiddenFps > 0) {
+                this.timeoutId = setTimeout(() => this.frame(performance.now()), 1000 / this.config.hiddenFps);
+            }
+            return;
+        }
+
+        this.frameId = requestAnimationFrame(this.frame);
+    }
+
+    cancel() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+    }
+
+    frame(time) {
+        this.frameId = null;
+        this.timeoutId = null;
+
+        const minInterval = 1000 / this.config.maxFps;
+        if (document.hidden || time - this.lastFrameTime >= minInterval - 1) {
+            this.lastFrameTime = time;
+            this.draw(time);
+        }
+
+        this.schedule();
+    }
+
+    draw(time) {
+        const renderer = this.renderer;
+        if (!renderer || !this.analyser) return;
+
+        const data = this.getData(renderer.dataType);
+        renderer.draw(this.context, data, this.getFrameInfo(time));
+    }
+
+    getData(dataType) {
+        const length = dataType === 'time' ? this.analyser.fftSize : this.analyser.frequencyBinCount;
+
+        if (!this.buffers[dataType] || this.buffers[dataType].length !== length) {
+            this.buffers[dataType] = new Uint8Array(length);
+        }
+
+        if (dataType === 'time') {
+            this.analyser.getByteTimeDomainData(this.buffers[dataType]);
+        } else {
+            this.analyser.getByteFrequencyData(this.buffers[dataType]);
+        }
+
+        return this.buffers[dataType];
+    }
+
+    getFrameInfo(time = performance.now()) {
+        return {
+            width: this.canvas.width,
+            height: this.canvas.height,
+            time,
+            colors: this.config.colors
+        };
+    }
+
+    renderIdle() {
+        // Reduced motion keeps a static picture on screen; otherwise an idle canvas is empty
+        if (this.prefersReducedMotion() && this.isRunning) {
+            this.renderStatic();
+        } else {
+            this.clear();
+        }
+    }
+
+    renderStatic() {
+        const renderer = this.renderer;
+        if (!renderer) return;
+
+        const frame = this.getFrameInfo(0);
+        this.clear();
+
+        if (renderer.drawStatic) {
+            renderer.drawStatic(this.context, frame);
+        } else {
+            const length = this.analyser ? this.analyser.frequencyBinCount : 128;
+            renderer.draw(this.context, syntheticSpectrum(renderer.dataType === 'time' ? length * 2 : length, renderer.dataType), frame);
+        }
+    }
+
+    clear() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // ===== Environment =====
+    handleVisibilityChange() {
+        // Switches between requestAnimationFrame and the hidden-tab timer
+        if (this.isRunning) this.schedule();
+    }
+
+    handleMotionChange() {
+        if (this.prefersReducedMotion()) {
+            this.cancel();
+            this.renderIdle();
+        } else if (this.isRunning) {
+            this.schedule();
+        }
+    }
+
+    resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        const width = this.config.sizeTo === 'window' ? window.innerWidth : this.canvas.clientWidth;
+        const height = this.config.sizeTo === 'window' ? window.innerHeight : this.canvas.clientHeight;
+
+        if (!width || !height) return;
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+
+        if (!this.isRunning || this.prefersReducedMotion()) {
+            this.renderIdle();
+        }
+    }
+
+    destroy() {
+        this.stop();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('resize', this.resize);
+        if (this.motionQuery && this.motionQuery.removeEventListener) {
+            this.motionQuery.removeEventListener('change', this.handleMotionChange);
+        }
+    }
+}
+
+export default Visualizer;
@@ -0,0 +1,15 @@
+/**
+ * Services Entry - Service worker helpers for the classic bootstrap scripts
+ *
+ * index.html loads this file as a module, so Vite bundles it (and what it
+ * imports) into the build. The page scripts are not modules and find the
+ * classes on window.RadioAdamowoServices.
+ */
+
+import { UpdateManager } from './modules/services/update.js';
+import { OutboxClient } from './modules/services/outbox.js';
+
+window.RadioAdamowoServices = {
+    UpdateManager,
+    OutboxClient
+};
@@ -1,90 +1,5 @@
-const CACHE_NAME = 'radio-adamowo-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/playlist.json',
-  '/manifest.json',
-  'https://cdn.jsdelivr.net/npm/hls.js@1.5.7/dist/hls.min.js',
-  'https://fonts.googleapis.com/css2?family=Special+Elite&display=swap'
-];
-
-// Install event - cache resources
-self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-  );
-});
-
-// Fetch event - serve from cache when offline
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      }
-    )
-  );
-});
-
-// Activate event - clean up old caches
-self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('Deleting old cache:', cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
-  );
-});
-
-// Background sync for offline functionality
-self.addEventListener('sync', (event) => {
-  if (event.tag === 'background-sync') {
-    console.log('Background sync triggered');
-  }
-});
-
-// Push notification support
-self.addEventListener('push', (event) => {
-  if (event.data) {
-    const data = event.data.json();
-    const options = {
-      body: data.body,
-      icon: 'https://public-frontend-cos.metadl.com/mgx/img/favicon.png',
-      badge: 'https://public-frontend-cos.metadl.com/mgx/img/favicon.png',
-      vibrate: [100, 50, 100],
-      data: {
-        dateOfArrival: Date.now(),
-        primaryKey: 1
-      }
-    };
-    
-    event.waitUntil(
-      self.registration.showNotification(data.title, options)
-    );
-  }
-});
-
-// Notification click handler
-self.addEventListener('notificationclick', (event) => {
-  event.notification.close();
-  
-  event.waitUntil(
-    clients.openWindow('/')
-  );
-});
\ No newline at end of file
+// Generated by scripts/sw-precache.mjs (pnpm sw:standalone) for installs that copy the
+// repository as-is; builds use public/sw.js with their own manifest. Do not edit by hand.
+self.__PRECACHE_MANIFEST = [{"url":"/index.html","hash":"5240b80a9356"},{"url":"/","hash":"5240b80a9356"},{"url":"/lang/en.json","hash":"fe04ab1d613c"},{"url":"/lang/nl.json","hash":"8cfaf3e19fb5"},{"url":"/lang/pl.json","hash":"81fff80cd6ac"},{"url":"/manifest.json","hash":"1b9b78c60c99"},{"url":"/playlist.json","hash":"ef201581fd72"},{"url":"/script.js","hash":"43c0f6846ca1"},{"url":"/src/scripts/modules/audio/crossfade.js","hash":"c073d4ba9621"},{"url":"/src/scripts/modules/audio/effects.js","hash":"ebdc3a1ca36c"},{"url":"/src/scripts/modules/audio/player.js","hash":"12ad5726f16e"},{"url":"/src/scripts/modules/audio/progress.js","hash":"fed71f52d43b"},{"url":"/src/scripts/modules/audio/sleep-timer.js","hash":"8470c1a7583c"},{"url":"/src/scripts/modules/history/history.js","hash":"32e06d819b26"},{"url":"/src/scripts/modules/i18n/manager.js","hash":"2c83e15b391c"},{"url":"/src/scripts/modules/metadata/reader.js","hash":"91d07d175f2e"},{"url":"/src/scripts/modules/metadata/tags.js","hash":"6317d5e3b3c2"},{"url":"/src/scripts/modules/offline/library.js","hash":"c7c07ca0d514"},{"url":"/src/scripts/modules/playlist/formats.js","hash":"9b437480ce7f"},{"url":"/src/scripts/modules/playlist/loader.js","hash":"f626ebd1f9da"},{"url":"/src/scripts/modules/playlist/mood.js","hash":"4e3695d704b9"},{"url":"/src/scripts/modules/playlist/queue.js","hash":"b56679265fc0"},{"url":"/src/scripts/modules/playlist/shuffle.js","hash":"3bfc647660ff"},{"url":"/src/scripts/modules/playlist/user-playlists.js","hash":"700ec6ab8d1a"},{"url":"/src/scripts/modules/podcast/feed.js","hash":"d7aadfc8f23c"},{"url":"/src/scripts/modules/podcast/manager.js","hash":"3ac7f96a7f46"},{"url":"/src/scripts/modules/search/search.js","hash":"7308609d64cd"},{"url":"/src/scripts/modules/services/outbox.js","hash":"131a68fba2ae"},{"url":"/src/scripts/modules/services/update.js","hash":"1deb66082e89"},{"url":"/src/scripts/modules/utils/helpers.js","hash":"2dcbfbcade9d"},{"url":"/src/scripts/modules/visualizer/renderers.js","hash":"8d325e1cb97b"},{"url":"/src/scripts/modules/visualizer/visualizer.js","hash":"444d451421a5"},{"url":"/src/scripts/services.js","hash":"57393fbde01d"},{"url":"/style.css","hash":"168cf40aaf0f"}];
+self.__PRECACHE_VERSION = "f8c685d8";
+importScripts('/public/sw.js');
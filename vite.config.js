@@ -0,0 +1,7 @@
+import { defineConfig } from 'vite';
+import { swPrecache } from './scripts/sw-precache.mjs';
+
+export default defineConfig({
+    // public/sw.js is copied to the build root; the plugin adds its precache manifest
+    plugins: [swPrecache()]
+});